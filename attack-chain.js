@@ -0,0 +1,146 @@
+// Attack Chain - orders threat indicators in time, groups them into kill-chain stages and links them through process ancestry
+
+// Kill-chain stages in order and the ATT&CK tactics (or technique families, checked first) that fall into each.
+// Defense evasion such as injection happens while the payload runs, so it sits with execution; credential theft,
+// like discovery, prepares lateral movement and sits with it.
+const ATTACK_CHAIN_STAGES = [
+    { key: 'execution', label: 'Initial Execution', tactics: ['Reconnaissance', 'Resource Development', 'Initial Access', 'Execution', 'Defense Evasion'] },
+    { key: 'persistence', label: 'Persistence', tactics: ['Persistence', 'Privilege Escalation'] },
+    { key: 'discovery', label: 'Discovery', tactics: ['Discovery', 'Credential Access'] },
+    { key: 'lateral', label: 'Lateral Movement', tactics: ['Lateral Movement'] },
+    { key: 'staging', label: 'Staging', tactics: ['Collection'] },
+    { key: 'exfiltration', label: 'Exfiltration', tactics: ['Command and Control', 'Exfiltration'] },
+    { key: 'cleanup', label: 'Cleanup', tactics: ['Impact'], techniques: ['T1070'] }
+];
+const ATTACK_CHAIN_UNCLASSIFIED = { key: 'unclassified', label: 'Unclassified' };
+
+class AttackChainBuilder {
+    constructor(parsedData, indicators) {
+        this.parsedData = parsedData;
+        this.indicators = (indicators || []).filter(indicator => indicator && typeof indicator === 'object');
+        this.tree = new ProcessTreeBuilder(parsedData);
+        this.processKeys = new Map();
+    }
+
+    // Returns { stages: [{ key, label, nodeCount }], nodes, edges: [{ from, to, relation }] }.
+    // Repeats of the same detection on the same process collapse into one node that keeps every indicator.
+    build() {
+        this.tree.build();
+        const groups = new Map();
+
+        this.indicators.forEach(indicator => {
+            const stage = this.stageFor(indicator);
+            const process = this.resolveProcess(indicator);
+            const key = [stage.key, indicator.threatName, process.id].join('|');
+            let node = groups.get(key);
+            if (!node) {
+                node = {
+                    id: `chain-${groups.size}`,
+                    stage: stage.key,
+                    label: indicator.threatName || 'Threat Indicator',
+                    description: indicator.description,
+                    step: indicator.step,
+                    severity: indicator.severity,
+                    techniqueId: indicator.techniqueId,
+                    techniqueName: indicator.techniqueName,
+                    tactic: indicator.tactic,
+                    host: process.host,
+                    processName: process.name,
+                    processId: process.processId,
+                    // The process itself, then its parent, grandparent, ...
+                    lineage: process.lineage.map(ancestor => ancestor.processName),
+                    time: NaN,
+                    start: undefined,
+                    end: undefined,
+                    count: 0,
+                    indicators: [],
+                    process
+                };
+                groups.set(key, node);
+            }
+            const time = parseTimestamp(indicator.timestamp);
+            if (!isNaN(time)) {
+                if (isNaN(node.time) || time < node.time) {
+                    node.time = time;
+                    node.start = indicator.timestamp;
+                }
+                if (node.end === undefined || time >= parseTimestamp(node.end)) node.end = indicator.timestamp;
+            }
+            node.count++;
+            node.indicators.push(indicator);
+        });
+
+        const nodes = [...groups.values()].sort((a, b) => this.compareTime(a.time, b.time));
+        const edges = [];
+        // Each node links back to the latest earlier node on the same process or one of its ancestors
+        nodes.forEach((node, index) => {
+            for (let earlier = index - 1; earlier >= 0; earlier--) {
+                const relation = this.relation(nodes[earlier].process, node.process);
+                if (relation) {
+                    edges.push({ from: nodes[earlier].id, to: node.id, relation });
+                    break;
+                }
+            }
+        });
+
+        const stages = ATTACK_CHAIN_STAGES.concat(nodes.some(node => node.stage === ATTACK_CHAIN_UNCLASSIFIED.key) ? [ATTACK_CHAIN_UNCLASSIFIED] : [])
+            .map(stage => ({ key: stage.key, label: stage.label, nodeCount: nodes.filter(node => node.stage === stage.key).length }));
+
+        return {
+            stages,
+            nodes: nodes.map(({ process, ...node }) => node),
+            edges
+        };
+    }
+
+    stageFor(indicator) {
+        const techniqueId = String(indicator.techniqueId || '').toUpperCase();
+        const byTechnique = ATTACK_CHAIN_STAGES.find(stage => (stage.techniques || []).some(id => techniqueId === id || techniqueId.startsWith(id + '.')));
+        if (byTechnique) return byTechnique;
+        return ATTACK_CHAIN_STAGES.find(stage => stage.tactics.includes(indicator.tactic)) || ATTACK_CHAIN_UNCLASSIFIED;
+    }
+
+    // The process behind an indicator's event, found in the process tree when the event carries a PID
+    resolveProcess(indicator) {
+        const event = indicator.event || {};
+        const host = event.host || 'Unknown host';
+        const processId = event.processId ?? event.sourceProcessId;
+        const name = String(indicator.processName || event.processName || 'N/A');
+        const node = processId === undefined || processId === null
+            ? null
+            : this.tree.findNode(host, processId, parseTimestamp(event.timestamp));
+
+        const lineage = [];
+        for (let current = node; current; current = this.tree.parents.get(current)) lineage.push(current);
+        if (node && !this.processKeys.has(node)) this.processKeys.set(node, `pid-${this.processKeys.size}`);
+        return {
+            host,
+            name: node && node.processName !== 'N/A' ? node.processName : name,
+            processId,
+            node,
+            lineage,
+            id: node ? this.processKeys.get(node) : `name-${host}|${name.toLowerCase()}`
+        };
+    }
+
+    // How an earlier indicator's process relates to a later one's, or null when they are not linked
+    relation(earlier, later) {
+        if (hostKey(earlier.host) !== hostKey(later.host)) return null;
+        if (earlier.node && later.node) {
+            if (earlier.node === later.node) return 'same process';
+            return later.lineage.includes(earlier.node) ? 'descendant process' : null;
+        }
+        // Sources without PIDs (or PIDs the tree never saw) can only be matched by process name
+        const name = earlier.name.toLowerCase();
+        if (name === 'n/a') return null;
+        if (later.name.toLowerCase() === name) return 'same process name';
+        return later.lineage.some(ancestor => String(ancestor.processName).toLowerCase() === name) ? 'descendant process' : null;
+    }
+
+    compareTime(a, b) {
+        if (isNaN(a) && isNaN(b)) return 0;
+        if (isNaN(a)) return 1;
+        if (isNaN(b)) return -1;
+        return a - b;
+    }
+}
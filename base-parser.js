@@ -0,0 +1,540 @@
+// Log Parser Engine for Security Log Analysis - shared base for every source parser
+class BaseLogParser {
+    constructor(format) {
+        this.format = format;
+        this.parsedData = BaseLogParser.createEmptyParsedData();
+        // What was read, normalized, skipped and not recognized (ingestion-report.js)
+        this.report = new IngestionReport(format);
+        // Detections come from Sigma rules (sigma-engine.js); the hooks below cover vendor alerts and source-specific logic
+        this.ruleEngine = typeof sigmaEngine !== 'undefined' ? sigmaEngine : null;
+        // Threat-intelligence feeds and the allowlist of known-good infrastructure (ioc-matcher.js)
+        this.iocMatcher = typeof iocMatcher !== 'undefined' ? iocMatcher : null;
+        // Connections repeated at a steady interval (network-graph.js)
+        this.beaconDetector = typeof beaconDetector !== 'undefined' ? beaconDetector : null;
+        // Failed logons in bursts: brute force and password spraying (user-activity.js)
+        this.logonBurstDetector = typeof logonBurstDetector !== 'undefined' ? logonBurstDetector : null;
+        // Obfuscated and encoded command lines, LOLBins with suspicious arguments (command-line.js)
+        this.commandLineAnalyzer = typeof commandLineAnalyzer !== 'undefined' ? commandLineAnalyzer : null;
+    }
+
+    // The normalized buckets every parser fills
+    static createEmptyParsedData() {
+        return {
+            processes: [], networkConnections: [], fileActivities: [],
+            dllActivities: [], registryChanges: [], userActivities: [],
+            threats: [], dnsQueries: [], processTerminations: [],
+            processAccess: [], pipeActivities: [], wmiActivities: []
+        };
+    }
+
+    // The event listings every visualization carries, shared with Investigation for merged data
+    static buildEventMaps(parsedData) {
+        const withProcess = record => ({ ...record, process: record.processName || 'N/A' });
+        // Destination addresses are named after the DNS query that resolved to them
+        const resolver = new DnsResolutionIndex(parsedData.dnsQueries);
+        const connections = parsedData.networkConnections.map(record => ({
+            ...withProcess(record),
+            sourceZone: record.sourceIp ? networkZones.zoneOf(record.sourceIp).name : null,
+            destinationZone: record.destinationIp ? networkZones.zoneOf(record.destinationIp).name : null,
+            resolvedDomain: record.destinationIp ? resolver.resolve(record.destinationIp, record.timestamp) : null
+        }));
+        return {
+            fileMap: {
+                fileActivities: parsedData.fileActivities.map(withProcess),
+                graph: new FileActivityGraphBuilder(parsedData.fileActivities).build(),
+                // Each file's history, and the same content found under several paths (file-lifecycle.js)
+                ...new FileLifecycleBuilder(parsedData).build()
+            },
+            networkMap: {
+                connections,
+                dnsQueries: parsedData.dnsQueries.map(withProcess),
+                zones: networkZones.group(connections),
+                graph: new NetworkGraphBuilder(connections, resolver).build(),
+                beacons: beaconDetector.detect(connections, resolver).map(({ records, ...beacon }) => beacon)
+            },
+            processMap: {
+                processes: parsedData.processes.map(withProcess),
+                terminations: parsedData.processTerminations.map(withProcess),
+                accessEvents: parsedData.processAccess.map(withProcess),
+                tree: new ProcessTreeBuilder(parsedData).build()
+            },
+            moduleMap: { loads: parsedData.dllActivities.map(withProcess) },
+            registryMap: { changes: parsedData.registryChanges.map(withProcess) },
+            pipeMap: { pipes: parsedData.pipeActivities.map(withProcess) },
+            wmiMap: { activities: parsedData.wmiActivities.map(withProcess) },
+            userMap: {
+                activities: parsedData.userActivities.map(withProcess),
+                ...new UserActivityBuilder(parsedData).build(),
+                bursts: logonBurstDetector.detect(parsedData.userActivities).map(({ records, ...burst }) => burst)
+            },
+            // hosts (HostSummaryBuilder) is added once the threat indicators are known
+            hostMap: { hosts: [], movement: new HostMovementBuilder(connections, parsedData.userActivities).build() }
+        };
+    }
+
+    // Main parsing function
+    async parseLogs(files, format) {
+        console.log(`Parsing ${files.length} files in ${format} format using ${this.constructor.name}`);
+
+        // Clear parsedData for new analysis
+        this.parsedData = BaseLogParser.createEmptyParsedData();
+        this.report = new IngestionReport(this.format, [...files].map(file => file.name).join(', '));
+
+        for (let file of files) {
+            const content = await this.readFile(file);
+            await this.parseByFormat(content, format);
+        }
+
+        this.report.complete(this.parsedData);
+        return this.generateVisualizationData();
+    }
+
+    // Read file content through the Blob API rather than FileReader, so Node's Blob and File (jolt.js) read the same way
+    async readFile(file) {
+        return decodeText(await file.arrayBuffer());
+    }
+
+    // Parse based on format
+    async parseByFormat(content, format) {
+        if (format === this.format) {
+            this.parseContent(content);
+        } else {
+            console.warn(`${this.constructor.name} received an unsupported format: ${format}`);
+        }
+    }
+
+    // Subclasses normalize the raw file content into this.parsedData
+    parseContent(content) {
+        throw new Error(`${this.constructor.name} does not implement parseContent`);
+    }
+
+    // Normalizes one JSON record into this.parsedData. JSON sources implement it so their files can be streamed.
+    // A record that is deliberately left out should be reported with this.skipRecord(reason).
+    parseRecord(record) {
+        throw new Error(`${this.constructor.name} does not implement parseRecord`);
+    }
+
+    // The source's name for a record's event type, used to count parsed and unrecognized types in the report
+    recordType(record) {
+        return 'Record';
+    }
+
+    // Runs parseRecord on one record and files it in the report: parsed when it added events, unknown when it added none.
+    // location says where the record sits in the file, e.g. "line 12" or "record 4051".
+    readRecord(record, location) {
+        this.report.recordsRead++;
+        this.recordLocation = location;
+        const eventsBefore = this.eventCount();
+        const skippedBefore = this.report.skippedCount;
+        try {
+            this.parseRecord(record);
+        } catch (error) {
+            this.report.skip(`Could not be normalized: ${error.message}`, location);
+            return;
+        }
+        if (this.report.skippedCount > skippedBefore) return;
+        if (this.eventCount() > eventsBefore) this.report.parsed(this.recordType(record));
+        else this.report.unknown(this.recordType(record));
+    }
+
+    skipRecord(reason) {
+        this.report.skip(reason, this.recordLocation);
+    }
+
+    // Stamps the machine an event came from on the records a handler adds; records that already name one keep theirs.
+    // hostId is the source's own id for the machine, e.g. a Wazuh agent id or a Defender DeviceId.
+    withHost(host, handler, hostId = null) {
+        if (!host && !hostId) return handler();
+        const name = host ? String(host) : null;
+        const counts = Object.fromEntries(Object.keys(this.parsedData).map(bucket => [bucket, this.parsedData[bucket].length]));
+        handler();
+        Object.keys(counts).forEach(bucket => {
+            this.parsedData[bucket].slice(counts[bucket]).forEach(record => {
+                if (!record.host && name) record.host = name;
+                if (!record.hostId && hostId && record.host === name) record.hostId = String(hostId);
+            });
+        });
+    }
+
+    // Windows Security logon events (WINDOWS_LOGON_EVENTS in user-activity.js), from any source that keeps the EventData names:
+    // .evtx and event XML, Winlogbeat's winlog.event_data and, once capitalized, Wazuh's eventdata
+    processWindowsLogon(event, timestamp) {
+        const eventId = Number(event.EventID);
+        const value = field => event[field] === undefined || event[field] === null || event[field] === '' || event[field] === '-' ? undefined : event[field];
+        const account = (domain, name) => value(name) && value(domain) ? `${event[domain]}\\${event[name]}` : value(name);
+        const image = value('ProcessName');
+        const record = {
+            timestamp: timestamp || new Date().toISOString(),
+            action: WINDOWS_LOGON_EVENTS[eventId],
+            eventId,
+            processId: this.parseWindowsId(value('ProcessId')),
+            image,
+            processName: this.processNameFromImage(image)
+        };
+        if (eventId === 4624 || eventId === 4625) {
+            const status = [value('SubStatus'), value('Status')].map(code => code && String(code).toLowerCase()).find(code => code && code !== '0x0');
+            Object.assign(record, {
+                user: account('TargetDomainName', 'TargetUserName'),
+                subjectUser: account('SubjectDomainName', 'SubjectUserName'),
+                logonType: logonTypeNumber(value('LogonType')),
+                logonTypeName: LOGON_TYPES[logonTypeNumber(value('LogonType'))],
+                logonId: eventId === 4624 ? logonIdKey(value('TargetLogonId')) : undefined,
+                sourceIp: value('IpAddress'),
+                sourcePort: Number(value('IpPort')) ? value('IpPort') : undefined,
+                workstation: value('WorkstationName'),
+                authenticationPackage: value('AuthenticationPackageName'),
+                logonProcess: value('LogonProcessName') ? String(event.LogonProcessName).trim() : undefined,
+                // %%1842 is "Yes": the logon holds an administrator's full token
+                elevated: value('ElevatedToken') ? event.ElevatedToken === '%%1842' : undefined,
+                failureReason: eventId === 4625 ? LOGON_FAILURE_REASONS[status] || value('FailureReason') || status : undefined
+            });
+        } else if (eventId === 4648) {
+            // The subject used the target account's credentials, e.g. runas or a mapped drive with another user
+            Object.assign(record, {
+                user: account('SubjectDomainName', 'SubjectUserName'),
+                targetUser: account('TargetDomainName', 'TargetUserName'),
+                targetServer: value('TargetServerName'),
+                logonId: logonIdKey(value('SubjectLogonId')),
+                destinationIp: value('IpAddress'),
+                destinationPort: Number(value('IpPort')) ? value('IpPort') : undefined
+            });
+        } else if (eventId === 4672) {
+            Object.assign(record, {
+                user: account('SubjectDomainName', 'SubjectUserName'),
+                logonId: logonIdKey(value('SubjectLogonId')),
+                privileges: value('PrivilegeList') ? String(event.PrivilegeList).split(/\s+/).filter(Boolean) : []
+            });
+        } else {
+            return;
+        }
+        this.parsedData.userActivities.push(record);
+    }
+
+    // Windows logs PIDs as hex ("0x1a2c") in Security events
+    parseWindowsId(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        const text = String(value);
+        return /^0x/i.test(text) ? parseInt(text, 16) : Number(text);
+    }
+
+    // Sources that report each hash in its own field (Defender, Wazuh FIM, ECS) keep them as { md5, sha1, sha256 }
+    fileHashes(md5, sha1, sha256) {
+        if (!md5 && !sha1 && !sha256) return undefined;
+        return { md5, sha1, sha256 };
+    }
+
+    eventCount() {
+        let count = 0;
+        for (const bucket in this.parsedData) count += this.parsedData[bucket].length;
+        return count;
+    }
+
+    createRecordStream() {
+        return new JsonRecordStream((record, line) => this.readRecord(record, `line ${line}`), {
+            onError: (line, message) => this.report.malformed(message, `line ${line}`)
+        });
+    }
+
+    // Parses JSON array, NDJSON or concatenated-object content record by record; malformed records are skipped and reported
+    parseJsonRecords(content) {
+        const stream = this.createRecordStream();
+        stream.push(content);
+        stream.end();
+    }
+
+    // Reads the file in chunks and parses records as they complete, so a multi-gigabyte export is never one string.
+    // options: { chunkSize, signal (AbortSignal), onProgress({ bytesRead, totalBytes, records, skipped }), onChunk() }
+    // onChunk runs after every chunk and may return a promise, e.g. to hand off parsed records or let the page repaint.
+    async parseStream(file, options = {}) {
+        const chunkSize = options.chunkSize || 4 * 1024 * 1024;
+        this.parsedData = BaseLogParser.createEmptyParsedData();
+        this.report = new IngestionReport(this.format, file.name);
+
+        const stream = this.createRecordStream();
+        const hash = new Sha256();
+        let decoder = null;
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            if (options.signal && options.signal.aborted) throw new DOMException('Parsing was cancelled', 'AbortError');
+            const bytes = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            hash.update(bytes);
+            if (!decoder) decoder = new TextDecoder(textEncodingOf(bytes));
+            // stream: true keeps multi-byte characters split across chunks intact
+            stream.push(decoder.decode(bytes, { stream: offset + chunkSize < file.size }));
+            if (options.onProgress) {
+                options.onProgress({ bytesRead: Math.min(file.size, offset + chunkSize), totalBytes: file.size, records: this.report.recordsRead, skipped: this.report.skippedCount });
+            }
+            if (options.onChunk) await options.onChunk();
+        }
+        stream.end();
+        this.report.sha256 = hash.hex();
+        this.report.complete(this.parsedData);
+    }
+
+    // --- Detection hooks ---
+    // Each hook returns a list of { indicator, technique, step } findings:
+    //   indicator - { threatName, description, processName, user, severity }
+    //   technique - ATT&CK technique ID (see mitre-attack.js); a finding may also carry its own tactic and techniqueName
+    //   step      - one-line summary shown on the indicator's attack chain node
+
+    analyzeConnection(conn, processName) {
+        return [];
+    }
+
+    analyzeFileActivity(file, processName) {
+        return [];
+    }
+
+    analyzeRegistryChange(change, processName) {
+        return [];
+    }
+
+    analyzeImageLoad(load, processName) {
+        return [];
+    }
+
+    analyzeProcessAccess(access, processName) {
+        return [];
+    }
+
+    analyzePipeActivity(pipe, processName) {
+        return [];
+    }
+
+    analyzeWmiActivity(wmi, processName) {
+        return [];
+    }
+
+    // A Sigma rule match; the rule's ATT&CK tags stand in for a hook's technique
+    analyzeSigmaMatch(match) {
+        const { rule, record, fields } = match;
+        const processName = record.processName || 'N/A';
+        return [{
+            indicator: {
+                threatName: rule.title,
+                description: rule.description || `Sigma rule ${rule.id || rule.title} matched`,
+                processName,
+                user: record.user,
+                severity: rule.level,
+                ruleId: rule.id,
+                ruleOrigin: rule.origin,
+                matchedFields: fields
+            },
+            technique: rule.techniqueId,
+            tactic: rule.tactic,
+            step: `${rule.tactic || 'Detection'}: ${rule.title} (${processName})`
+        }];
+    }
+
+    // An event value listed in a loaded IOC feed. Network IOCs point to command and control unless the feed names a technique.
+    analyzeIocMatch(match) {
+        const { ioc, record, field, value } = match;
+        const processName = record.processName || 'N/A';
+        const label = IOC_TYPE_LABELS[ioc.type];
+        return [{
+            indicator: {
+                threatName: `Matched ${label} IOC from feed ${ioc.origin}`,
+                description: ioc.description
+                    ? `${ioc.description} (${field} ${value})`
+                    : `${field} ${value} is listed as ${ioc.listed} in ${ioc.origin}`,
+                processName,
+                user: record.user,
+                severity: ioc.severity || 'high',
+                iocFeed: ioc.origin,
+                iocType: ioc.type,
+                iocValue: ioc.listed,
+                matchedFields: [{ field, value }]
+            },
+            technique: ioc.techniqueId || (ioc.type === 'ip' || ioc.type === 'domain' ? 'T1071' : null),
+            step: `IOC: ${value} from ${ioc.origin} (${processName})`
+        }];
+    }
+
+    // A process checking in with one address at a steady interval, as C2 implants do
+    analyzeBeacon(beacon) {
+        const destination = `${beacon.destinationIp}${beacon.destinationPort ? `:${beacon.destinationPort}` : ''}`;
+        return [{
+            indicator: {
+                threatName: `Beaconing to ${beacon.domain || destination}`,
+                description: `${beacon.processName} connected to ${destination}${beacon.domain ? ` (${beacon.domain})` : ''} ${beacon.count} times, every ${Math.round(beacon.intervalSeconds)}s (jitter ${Math.round(beacon.jitter * 100)}%) from ${beacon.first} to ${beacon.last}`,
+                processName: beacon.processName,
+                severity: 'medium',
+                heuristic: 'Beaconing',
+                matchedFields: [
+                    { field: 'DestinationIp', value: beacon.destinationIp },
+                    { field: 'DestinationPort', value: beacon.destinationPort },
+                    { field: 'Interval', value: `${Math.round(beacon.intervalSeconds)}s` }
+                ]
+            },
+            technique: 'T1071',
+            step: `Command and Control: beaconing to ${beacon.domain || destination} (${beacon.processName})`
+        }];
+    }
+
+    // Failed logons in a burst (LogonBurstDetector); one that ended in a successful logon is worse
+    analyzeLogonBurst(burst) {
+        const spraying = burst.kind === 'Password spraying';
+        const accounts = burst.users.length === 1 ? burst.users[0].user : `${burst.users.length} accounts`;
+        return [{
+            indicator: {
+                threatName: `${burst.kind} from ${burst.source}`,
+                description: `${burst.failures} failed logons to ${accounts} from ${burst.source} between ${burst.first} and ${burst.last}`
+                    + (burst.succeeded ? `, then a successful logon as ${burst.succeeded.user} at ${burst.succeeded.timestamp}` : ''),
+                processName: 'N/A',
+                user: burst.succeeded ? burst.succeeded.user : burst.users[0].user,
+                severity: burst.succeeded ? 'high' : 'medium',
+                heuristic: burst.kind,
+                matchedFields: [
+                    { field: 'Source', value: burst.source },
+                    { field: 'FailedLogons', value: burst.failures },
+                    { field: 'Accounts', value: burst.users.length }
+                ]
+            },
+            technique: spraying ? 'T1110.003' : 'T1110.001',
+            step: `Credential Access: ${burst.kind.toLowerCase()} from ${burst.source}${burst.succeeded ? `, succeeded as ${burst.succeeded.user}` : ''}`
+        }];
+    }
+
+    // A command line that unwrapped to something suspicious or ran a LOLBin suspiciously (CommandLineAnalyzer); the decoded
+    // script travels with the indicator so it can be read next to the event
+    analyzeCommandLine(analysis, process) {
+        const processName = process.processName || 'N/A';
+        // A LOLBin names its own technique; otherwise the outermost obfuscation does, else the weightiest finding
+        const top = analysis.lolbins[0] || analysis.findings.find(finding => analysis.layers.length > 0 ? finding.key === analysis.layers[0].key : finding.technique) || {};
+        const title = analysis.lolbins.length > 0 ? analysis.lolbins[0].name
+            : analysis.decoded !== null ? 'Obfuscated command line' : 'Suspicious command line';
+        const names = analysis.lolbins.map(lolbin => lolbin.name)
+            .concat(analysis.findings.filter(finding => finding.key !== 'lolbin').map(finding => finding.name));
+        return [{
+            indicator: {
+                threatName: title,
+                description: `${processName} ran a command line scoring ${analysis.score}/100: ${names.join(', ')}`,
+                processName,
+                user: process.user,
+                severity: analysis.severity,
+                heuristic: 'Command line',
+                commandLineScore: analysis.score,
+                ...(analysis.decoded !== null ? { decodedCommand: analysis.decoded } : {}),
+                matchedFields: [{ field: 'Score', value: analysis.score }, ...analysis.lolbins.map(lolbin => ({ field: 'LOLBin', value: lolbin.binary }))]
+            },
+            technique: top.technique,
+            step: `${(mitreTechnique(top.technique) || {}).tactic || 'Execution'}: ${title} (${processName})`
+        }];
+    }
+
+    analyzeThreat(threat) {
+        return [{
+            indicator: {
+                threatName: threat.threatName,
+                description: threat.description,
+                processName: threat.processName,
+                severity: threat.severity
+            },
+            technique: threat.techniqueId,
+            tactic: threat.tactic,
+            techniqueName: threat.techniqueName
+        }];
+    }
+
+    // Consolidate data for visualization
+    generateVisualizationData() {
+        const visualization = {
+            aptPatterns: { threatIndicators: this.nativeIndicators().concat(this.detectIndicators(this.parsedData)) },
+            ...BaseLogParser.buildEventMaps(this.parsedData)
+        };
+        visualization.aptPatterns.attackMatrix = new AttackMatrixBuilder(visualization.aptPatterns.threatIndicators).build();
+        visualization.aptPatterns.attackChain = new AttackChainBuilder(this.parsedData, visualization.aptPatterns.threatIndicators).build();
+        visualization.timeline = new TimelineBuilder(this.parsedData, visualization.aptPatterns.threatIndicators).build();
+        visualization.hostMap.hosts = new HostSummaryBuilder(this.parsedData, visualization.aptPatterns.threatIndicators).build();
+
+        return visualization;
+    }
+
+    // Returns a function that turns a hook's findings on a record into indicators pushed onto the list given.
+    // Connections and DNS queries to allowlisted infrastructure raise nothing, whichever hook or rule fired.
+    findingCollector(indicators) {
+        return (findings, bucket, record) => {
+            if (this.iocMatcher && this.iocMatcher.isAllowlisted(bucket, record)) return;
+            findings.forEach(finding => {
+                if (finding.indicator) indicators.push(this.buildIndicator(finding, bucket, record));
+            });
+        };
+    }
+
+    // Vendor alerts and source-specific logic: the detection hooks over what this parser read
+    nativeIndicators() {
+        const indicators = [];
+        const addFindings = this.findingCollector(indicators);
+        // Bucket and the hook that analyzes it
+        const hooks = [
+            ['networkConnections', 'analyzeConnection'],
+            ['fileActivities', 'analyzeFileActivity'],
+            ['registryChanges', 'analyzeRegistryChange'],
+            ['dllActivities', 'analyzeImageLoad'],
+            ['processAccess', 'analyzeProcessAccess'],
+            ['pipeActivities', 'analyzePipeActivity'],
+            ['wmiActivities', 'analyzeWmiActivity'],
+            ['threats', 'analyzeThreat']
+        ];
+        hooks.forEach(([bucket, hook]) => {
+            (this.parsedData[bucket] || []).forEach(record => addFindings(this[hook](record, record.processName || 'N/A'), bucket, record));
+        });
+        return indicators;
+    }
+
+    // Detections that are the same for every source: command lines, Sigma rules, IOC feeds, beaconing and logon bursts.
+    // Investigation runs them once over the events of every source merged, so an event several files hold raises one
+    // indicator, and beacons, bursts and rule context can span files.
+    detectIndicators(parsedData) {
+        const indicators = [];
+        const addFindings = this.findingCollector(indicators);
+        if (this.commandLineAnalyzer) {
+            (parsedData.processes || []).forEach(process => {
+                const analysis = this.commandLineAnalyzer.analyze(process.commandLine, process.image);
+                if (analysis && analysis.suspicious) addFindings(this.analyzeCommandLine(analysis, process), 'processes', process);
+            });
+        }
+        if (this.ruleEngine) {
+            this.ruleEngine.evaluate(parsedData).forEach(match => addFindings(this.analyzeSigmaMatch(match), match.bucket, match.record));
+        }
+        if (this.iocMatcher) {
+            this.iocMatcher.evaluate(parsedData).forEach(match => addFindings(this.analyzeIocMatch(match), match.bucket, match.record));
+        }
+        if (this.beaconDetector) {
+            const resolver = new DnsResolutionIndex(parsedData.dnsQueries);
+            this.beaconDetector.detect(parsedData.networkConnections, resolver)
+                .forEach(beacon => addFindings(this.analyzeBeacon(beacon), 'networkConnections', beacon.records[0]));
+        }
+        if (this.logonBurstDetector) {
+            this.logonBurstDetector.detect(parsedData.userActivities)
+                .forEach(burst => addFindings(this.analyzeLogonBurst(burst), 'userActivities', burst.records[0]));
+        }
+        return indicators;
+    }
+
+    // Structured indicator: the hook's fields plus its ATT&CK technique, step summary and the event that triggered it
+    buildIndicator(finding, bucket, record) {
+        const indicator = typeof finding.indicator === 'object'
+            ? { ...finding.indicator }
+            : { threatName: 'Threat Indicator', description: String(finding.indicator) };
+        // Vendors spell severities their own way ("High", "Severe"); facets, sorting and --fail-on need one scale
+        if (indicator.severity) indicator.severity = normalizeSeverity(indicator.severity);
+        return {
+            ...indicator,
+            ...mitreTechnique(finding.technique, finding.tactic, finding.techniqueName),
+            ...(finding.step ? { step: finding.step } : {}),
+            timestamp: record.timestamp,
+            bucket,
+            event: record
+        };
+    }
+
+    // Executable name from a Windows or Unix image path
+    processNameFromImage(image) {
+        return image ? String(image).split('\\').pop().split('/').pop() : 'N/A';
+    }
+
+    // Private, carrier-grade NAT, loopback and link-local addresses, IPv4 and IPv6 alike (network-zones.js)
+    isInternalIP(ip) {
+        return !!ip && classifyIpAddress(ip).internal;
+    }
+}
@@ -0,0 +1,209 @@
+// Command Line - unwraps obfuscated command lines (PowerShell -EncodedCommand and FromBase64String, caret escaping, backticks,
+// [char] codes, string concatenation), scores how suspicious what is left looks, and recognizes LOLBins run with the arguments
+// that turn them into download, decode or proxy-execution tools
+
+// Living-off-the-land binaries and the arguments that make them suspicious; running one is not suspicious by itself
+const LOLBINS = {
+    'certutil.exe': [
+        { pattern: /[-/](urlcache|verifyctl)\b|https?:\/\//i, name: 'Certutil download', technique: 'T1105' },
+        { pattern: /[-/]decode(hex)?\b/i, name: 'Certutil decode', technique: 'T1140' }
+    ],
+    'mshta.exe': [
+        { pattern: /https?:\/\/|javascript:|vbscript:|\.hta\b/i, name: 'Mshta script execution', technique: 'T1218.005' }
+    ],
+    'rundll32.exe': [
+        { pattern: /comsvcs(\.dll)?\W+#?(minidump|24)\b/i, name: 'LSASS dump through comsvcs.dll', technique: 'T1003.001' },
+        { pattern: /javascript:|vbscript:|https?:\/\/|\b(url|ieframe|advpack|zipfldr|pcwutl)\.dll\b|shell32\.dll\W+shellexec_rundll/i, name: 'Rundll32 proxy execution', technique: 'T1218.011' }
+    ],
+    'regsvr32.exe': [
+        { pattern: /[-/]i:\s*["']?https?:|scrobj\.dll|[-/]i:\S*\.sct\b/i, name: 'Regsvr32 scriptlet execution', technique: 'T1218.010' }
+    ],
+    'bitsadmin.exe': [
+        { pattern: /[-/](transfer|addfile|setnotifycmdline)\b/i, name: 'BITS job transfer', technique: 'T1197' }
+    ],
+    'wmic.exe': [
+        { pattern: /[-/]format:\s*["']?(https?:|\S*\.xsl\b)/i, name: 'WMIC XSL script', technique: 'T1220' },
+        { pattern: /\bprocess\s+call\s+create\b|[-/]node:/i, name: 'WMIC process creation', technique: 'T1047' }
+    ]
+};
+
+// What the analysis can find, with the ATT&CK technique it points to and how much it adds to the 0-100 score
+const COMMAND_LINE_FINDINGS = {
+    lolbin: { name: 'LOLBin with suspicious arguments', weight: 40 },
+    encodedCommand: { name: 'Encoded PowerShell command', technique: 'T1027.010', weight: 30 },
+    fromBase64: { name: 'Base64 decoded at run time', technique: 'T1140', weight: 20 },
+    caret: { name: 'Caret escaping', technique: 'T1027.010', weight: 20 },
+    backtick: { name: 'Backtick escaping', technique: 'T1027.010', weight: 15 },
+    charCodes: { name: '[char] codes', technique: 'T1027.010', weight: 15 },
+    concatenation: { name: 'String concatenation', technique: 'T1027.010', weight: 15 },
+    invokeExpression: { name: 'Invoke-Expression (IEX)', technique: 'T1059.001', weight: 20 },
+    download: { name: 'Download cradle', technique: 'T1105', weight: 25 },
+    hiddenWindow: { name: 'Hidden window', technique: 'T1564.003', weight: 10 },
+    policyBypass: { name: 'Execution policy bypass', technique: 'T1059.001', weight: 5 },
+    highEntropy: { name: 'High entropy', technique: 'T1027', weight: 10 },
+    longCommand: { name: 'Very long command line', technique: 'T1027', weight: 10 }
+};
+
+// Command lines scoring this much (or using a LOLBin suspiciously) raise a threat indicator; from the second, a high-severity one
+const COMMAND_LINE_SUSPICIOUS_SCORE = 40;
+const COMMAND_LINE_HIGH_SCORE = 70;
+
+// PowerShell accepts any unambiguous prefix of a parameter name, e.g. -enc for -EncodedCommand. Matches the name as written
+// after a leading - or / (or the en and em dashes PowerShell also accepts), with at least minimum characters of it.
+function powerShellParameter(name, minimum = 1) {
+    let pattern = '';
+    for (let i = name.length - 1; i >= minimum; i--) pattern = `(?:${name[i]}${pattern})?`;
+    return `(?:^|\\s)[-/\u2013\u2014]${name.slice(0, minimum)}${pattern}(?=[\\s:]|$)`;
+}
+
+// Text of a Base64 string: UTF-16LE (as -EncodedCommand and [Text.Encoding]::Unicode use) when every other byte is zero,
+// else UTF-8. Null when it is not Base64 or does not decode to readable text.
+function decodeBase64Text(value) {
+    const base64 = String(value).replace(/\s+/g, '');
+    if (base64.length < 8 || base64.length % 4 === 1 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return null;
+    let binary;
+    try {
+        binary = atob(base64);
+    } catch (error) {
+        return null;
+    }
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    let oddZeros = 0;
+    for (let i = 1; i < bytes.length; i += 2) if (bytes[i] === 0) oddZeros++;
+    const utf16 = oddZeros >= Math.floor(bytes.length / 2) * 0.9;
+    const text = new TextDecoder(utf16 ? 'utf-16le' : 'utf-8').decode(bytes);
+    const readable = text.replace(/[^\x20-\x7e\t\r\n\u00a0-\uffff]|\ufffd/g, '');
+    return readable.length >= text.length * 0.9 ? text : null;
+}
+
+// Shannon entropy in bits per character; English prose and scripts sit around 4-4.5, Base64 near 6
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    counts.forEach(count => {
+        const share = count / text.length;
+        entropy -= share * Math.log2(share);
+    });
+    return entropy;
+}
+
+class CommandLineAnalyzer {
+    constructor(options = {}) {
+        // The same command lines run over and over; analyses are kept until this many are cached
+        this.cacheLimit = options.cacheLimit || 10000;
+        this.cache = new Map();
+        // Unwrapping stops after this many layers, so a crafted command line cannot loop
+        this.maxLayers = options.maxLayers || 8;
+    }
+
+    // Returns null without a command line, else { commandLine, layers: [{ key, method, text }], decoded, findings: [{ key, name,
+    // technique }], lolbins: [{ binary, name, technique }], entropy, score, severity, suspicious }. Each layer is the command
+    // after one unwrapping step; decoded is the last one, or null when nothing was unwrapped.
+    analyze(commandLine, image) {
+        if (commandLine === undefined || commandLine === null || String(commandLine).trim() === '') return null;
+        const cacheKey = `${image || ''}|${commandLine}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const original = String(commandLine);
+        const binary = String(image || original.trim().split(/\s+/)[0] || '').replace(/^["']|["']$/g, '').split(/[\\/]/).pop().toLowerCase();
+        const powerShell = /^(powershell|pwsh)(\.exe)?$/.test(binary) || /\b(powershell|pwsh)(\.exe)?\b/i.test(original);
+        const found = new Set();
+        const layers = [];
+        let text = original;
+        for (let i = 0; i < this.maxLayers; i++) {
+            const layer = this.unwrap(text, powerShell || i > 0);
+            if (!layer) break;
+            layers.push(layer);
+            found.add(layer.key);
+            text = layer.text;
+        }
+
+        // Everything the command ran, from the original to the innermost script, is searched for what it does
+        const texts = [original, ...layers.map(layer => layer.text)];
+        const lolbins = [];
+        (LOLBINS[binary] || []).forEach(rule => {
+            if (texts.some(candidate => rule.pattern.test(candidate))) lolbins.push({ binary, name: rule.name, technique: rule.technique });
+        });
+        if (lolbins.length > 0) found.add('lolbin');
+        if (texts.some(candidate => /(^|[^\w-])(iex|invoke-expression)([^\w-]|$)/i.test(candidate))) found.add('invokeExpression');
+        if (texts.some(candidate => /\b(DownloadString|DownloadFile|DownloadData|Invoke-WebRequest|Invoke-RestMethod|Start-BitsTransfer)\b|\b(iwr|irm)\s+["']?https?:|Net\.WebClient|Msxml2\.XMLHTTP|WinHttp\.WinHttpRequest/i.test(candidate))) {
+            found.add('download');
+        }
+        if (powerShell) {
+            const hidden = new RegExp(`${powerShellParameter('windowstyle')}\\s*:?\\s*["']?(hidden|h|1)\\b`, 'i');
+            const bypass = new RegExp(`(${powerShellParameter('executionpolicy', 2)}|${powerShellParameter('ep', 2)})\\s*:?\\s*["']?(bypass|unrestricted)\\b`, 'i');
+            if (hidden.test(original)) found.add('hiddenWindow');
+            if (bypass.test(original)) found.add('policyBypass');
+        }
+        const entropy = shannonEntropy(text);
+        if (text.length >= 60 && entropy >= 5.2) found.add('highEntropy');
+        if (original.length >= 1000) found.add('longCommand');
+
+        const findings = [...found].map(key => ({ key, ...COMMAND_LINE_FINDINGS[key] }))
+            .sort((a, b) => b.weight - a.weight);
+        const score = Math.min(100, findings.reduce((sum, finding) => sum + finding.weight, 0));
+        const analysis = {
+            commandLine: original,
+            layers,
+            decoded: layers.length > 0 ? text : null,
+            findings: findings.map(({ weight, ...finding }) => finding),
+            lolbins,
+            entropy,
+            score,
+            severity: score >= COMMAND_LINE_HIGH_SCORE || lolbins.some(lolbin => lolbin.technique === 'T1003.001') ? 'high' : 'medium',
+            suspicious: score >= COMMAND_LINE_SUSPICIOUS_SCORE || lolbins.length > 0
+        };
+
+        if (this.cache.size >= this.cacheLimit) this.cache.clear();
+        this.cache.set(cacheKey, analysis);
+        return analysis;
+    }
+
+    // One unwrapping step: the first technique that changes the text, as { key, method, text }, or null when none applies.
+    // key names the technique's entry in COMMAND_LINE_FINDINGS.
+    unwrap(text, powerShell) {
+        // cmd.exe drops a caret and keeps the character after it: p^o^w^e^r^s^h^e^l^l
+        if (/[A-Za-z0-9]\^[A-Za-z0-9]/.test(text)) {
+            return { key: 'caret', method: 'Caret escaping removed', text: text.replace(/\^(.)/g, '$1') };
+        }
+        if (powerShell) {
+            const encoded = text.match(new RegExp(`(?:${powerShellParameter('encodedcommand')}|${powerShellParameter('ec', 2)})\\s*:?\\s*["']?([A-Za-z0-9+/]+={0,2})`, 'i'));
+            const script = encoded ? decodeBase64Text(encoded[1]) : null;
+            if (script !== null) {
+                return { key: 'encodedCommand', method: '-EncodedCommand decoded', text: script };
+            }
+        }
+        const fromBase64 = text.match(/FromBase64String\s*\(\s*(['"])([A-Za-z0-9+/=\s]+)\1\s*\)/i);
+        const payload = fromBase64 ? decodeBase64Text(fromBase64[2]) : null;
+        if (payload !== null) {
+            return { key: 'fromBase64', method: 'FromBase64String decoded', text: payload };
+        }
+        // PowerShell ignores a backtick before a character with no escape meaning: G`C`I. `n, `e and the like are kept in either case.
+        if (/[A-Za-z]`[A-Za-z]/.test(text)) {
+            const unescaped = text.replace(/`([^0abefnrtuv`\s])/gi, '$1');
+            if (unescaped !== text) {
+                return { key: 'backtick', method: 'Backtick escaping removed', text: unescaped };
+            }
+        }
+        if (/\[char\]\s*\(?\s*\d{1,5}/i.test(text)) {
+            const decoded = text.replace(/\[char\]\s*(?:\(\s*(\d{1,5})\s*\)|(\d{1,5}))/gi, (match, wrapped, bare) => {
+                const char = String.fromCharCode(Number(wrapped || bare));
+                return char === "'" ? `"${char}"` : `'${char}'`;
+            });
+            return { key: 'charCodes', method: '[char] codes replaced', text: decoded };
+        }
+        // 'Down'+'load'+"String" -> 'DownloadString'
+        const concatenation = /(['"])((?:(?!\1).)*)\1\s*\+\s*(['"])((?:(?!\3).)*)\3/;
+        if (concatenation.test(text)) {
+            let joined = text;
+            for (let i = 0; i < 500 && concatenation.test(joined); i++) {
+                joined = joined.replace(concatenation, (match, quote, left, otherQuote, right) => `'${left}${right}'`);
+            }
+            return { key: 'concatenation', method: 'Strings joined', text: joined };
+        }
+        return null;
+    }
+}
+
+const commandLineAnalyzer = new CommandLineAnalyzer();
@@ -1,158 +1,131 @@
 // Log Parser Engine for Security Log Analysis - Defender
-class DefenderLogParser {
-    constructor() {
-        this.parsedData = {
-            processes: [],
-            networkConnections: [],
-            fileActivities: [],
-            dllActivities: [],
-            registryChanges: [],
-            userActivities: [],
-            threats: [],
-            dnsQueries: []
-        };
-    }
-
-    // Main parsing function
-    async parseLogs(files, format) {
-        console.log(`Parsing ${files.length} files in ${format} format using DefenderLogParser`);
-
-        // Clear parsedData for new analysis
-        this.parsedData = {
-            processes: [], networkConnections: [], fileActivities: [],
-            dllActivities: [], registryChanges: [], userActivities: [],
-            threats: [], dnsQueries: []
-        };
-
-        for (let file of files) {
-            const content = await this.readFile(file);
-            await this.parseByFormat(content, format);
-        }
 
-        return this.generateVisualizationData();
-    }
+// DeviceFileEvents actions and the file action each becomes
+const DEFENDER_FILE_ACTIONS = {
+    FileCreated: 'File Created',
+    FileModified: 'File Modified',
+    FileRenamed: 'File Renamed',
+    FileDeleted: 'File Deleted'
+};
 
-    // Read file content
-    async readFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.readAsText(file);
-        });
+class DefenderLogParser extends BaseLogParser {
+    constructor() {
+        super('defender');
     }
 
-    // Parse based on format
-    async parseByFormat(content, format) {
-        if (format === 'defender') {
-            this.parseDefenderLogs(content);
-        } else {
-            console.warn(`DefenderLogParser received an unsupported format: ${format}`);
-        }
+    parseContent(content) {
+        this.parseDefenderLogs(content);
     }
 
     // --- Defender Log Parsing ---
     parseDefenderLogs(content) {
         console.log("Parsing Defender logs");
-        try {
-            const events = JSON.parse(content);
-            if (Array.isArray(events)) {
-                events.forEach(event => {
-                    const timestamp = event.TimeGenerated || new Date().toISOString();
-                    const processName = event.InitiatingProcessFileName || 'N/A';
-                    const user = event.UserName || 'N/A';
+        this.parseJsonRecords(content);
+    }
 
-                    if (event.EventType === "ProcessCreated") {
-                        this.parsedData.processes.push({
-                            timestamp, processId: event.InitiatingProcessId, parentProcessId: event.InitiatingProcessParentId,
-                            image: event.InitiatingProcessFileName, commandLine: event.InitiatingProcessCommandLine, user, processName
-                        });
-                    } else if (event.EventType === "NetworkConnection") {
-                        this.parsedData.networkConnections.push({
-                            timestamp, sourceIp: event.SourceIp, sourcePort: event.SourcePort, destinationIp: event.DestinationIp,
-                            destinationPort: event.DestinationPort, protocol: event.Protocol, processId: event.InitiatingProcessId,
-                            image: event.InitiatingProcessFileName, user, processName
-                        });
-                    } else if (event.EventType === "FileCreated" || event.EventType === "FileDeleted") {
-                        this.parsedData.fileActivities.push({
-                            timestamp, filePath: event.FileName || event.FolderPath,
-                            action: event.EventType === "FileCreated" ? "File Created" : "File Deleted", activityType: event.EventType,
-                            processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName
-                        });
-                    } else if (event.EventType === "DnsQuery") {
-                        this.parsedData.dnsQueries.push({
-                            timestamp, queryName: event.QueryName, queryResults: event.QueryResults,
-                            processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName
-                        });
-                    } else if (event.EventType === "Detection") {
-                        this.parsedData.threats.push({
-                            timestamp, threatName: event.ThreatName, severity: event.Severity, filePath: event.FileName || event.FolderPath,
-                            processName: event.InitiatingProcessFileName || processName, description: event.ThreatName, type: 'defender_detection'
-                        });
-                    } else if (event.EventType === "RegistryValueSet") {
-                        this.parsedData.registryChanges.push({
-                            timestamp, key: event.RegistryKey, valueName: event.RegistryValueName, valueData: event.RegistryValueData,
-                            processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName
-                        });
-                    }
-                });
-            } else {
-                console.error("Defender log content is not a JSON array:", content);
-            }
-        } catch (error) {
-            console.error("Error parsing Defender content as JSON:", error);
-        }
+    // Advanced hunting tables such as DeviceLogonEvents name the event in ActionType
+    recordType(event) {
+        return event.EventType || event.ActionType || 'No EventType';
     }
 
-    // Consolidate data for visualization
-    generateVisualizationData() {
-        const visualization = {
-            aptPatterns: { threatIndicators: [], attackChain: [] },
-            fileMap: { fileActivities: [] },
-            networkMap: { connections: [], dnsQueries: [] }
-        };
-        let step = 1;
+    // Advanced hunting names the machine in DeviceName and DeviceId
+    parseRecord(event) {
+        this.withHost(event.DeviceName, () => this.processDefenderEvent(event), event.DeviceId);
+    }
 
-        this.parsedData.networkConnections.forEach(conn => {
-            const processName = conn.processName || 'N/A';
-            if (!this.isInternalIP(conn.destinationIp)) {
-                visualization.aptPatterns.threatIndicators.push(`Command and Control Connection: Outbound connection to C2 IP: ${conn.destinationIp}:${conn.destinationPort} (Process: ${processName})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Command and Control (C2): Suspicious network connection to ${conn.destinationIp}:${conn.destinationPort} from ${processName}`);
-            }
-            visualization.networkMap.connections.push({ ...conn, process: processName });
-        });
+    processDefenderEvent(event) {
+        const timestamp = event.TimeGenerated || event.Timestamp || new Date().toISOString();
+        const processName = event.InitiatingProcessFileName || 'N/A';
+        const user = event.UserName || 'N/A';
 
-        this.parsedData.fileActivities.forEach(file => {
-            const processName = file.processName || 'N/A';
-            if (file.action === 'File Created' && file.filePath.includes('Temp')) {
-                visualization.aptPatterns.threatIndicators.push(`Exfiltration Staging: File created in temp: ${file.filePath} (Process: ${processName})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Exfiltration: Data staged in ${file.filePath}`);
-            }
-            visualization.fileMap.fileActivities.push({ ...file, process: processName });
-        });
-        
-        visualization.aptPatterns.threatIndicators.push(...this.parsedData.threats.map(t => ({
-            threatName: t.threatName,
-            description: t.description,
-            processName: t.processName,
-            severity: t.severity
-        })));
-        
-        visualization.networkMap.dnsQueries = this.parsedData.dnsQueries.map(dns => ({ ...dns, process: dns.processName }));
+        if (event.EventType === "ProcessCreated") {
+            this.parsedData.processes.push({
+                timestamp, processId: event.InitiatingProcessId, parentProcessId: event.InitiatingProcessParentId,
+                image: event.InitiatingProcessFileName, commandLine: event.InitiatingProcessCommandLine, user, processName,
+                hashes: this.fileHashes(event.InitiatingProcessMD5, event.InitiatingProcessSHA1, event.InitiatingProcessSHA256),
+                logonId: logonIdKey(event.InitiatingProcessLogonId ?? event.LogonId)
+            });
+        } else if (event.EventType === "NetworkConnection") {
+            this.parsedData.networkConnections.push({
+                timestamp, sourceIp: event.SourceIp, sourcePort: event.SourcePort, destinationIp: event.DestinationIp,
+                destinationPort: event.DestinationPort, protocol: event.Protocol, processId: event.InitiatingProcessId,
+                image: event.InitiatingProcessFileName, user, processName
+            });
+        } else if (DEFENDER_FILE_ACTIONS[event.EventType || event.ActionType]) {
+            const filePath = this.buildFilePath(event);
+            this.parsedData.fileActivities.push({
+                timestamp, filePath,
+                action: DEFENDER_FILE_ACTIONS[event.EventType || event.ActionType], activityType: event.EventType || event.ActionType,
+                processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName,
+                hashes: this.fileHashes(event.MD5, event.SHA1, event.SHA256), size: event.FileSize,
+                // FileRenamed names the old file; without PreviousFolderPath it stayed in the same folder
+                previousPath: event.PreviousFileName
+                    ? this.buildFilePath({ FolderPath: event.PreviousFolderPath || (filePath ? String(filePath).replace(/[\\/][^\\/]*$/, '') : undefined), FileName: event.PreviousFileName })
+                    : undefined
+            });
+        } else if (event.EventType === "DnsQuery") {
+            this.parsedData.dnsQueries.push({
+                timestamp, queryName: event.QueryName, queryResults: event.QueryResults,
+                processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName
+            });
+        } else if (event.EventType === "Detection") {
+            this.parsedData.threats.push({
+                timestamp, threatName: event.ThreatName, severity: event.Severity, filePath: this.buildFilePath(event),
+                hashes: this.fileHashes(event.MD5, event.SHA1, event.SHA256),
+                processName: event.InitiatingProcessFileName || processName, description: event.ThreatName, type: 'defender_detection',
+                // Defender for Endpoint alerts list techniques as e.g. "Process Injection (T1055)"
+                techniqueId: extractTechniqueIds(event.AttackTechniques)[0]
+            });
+        } else if (event.EventType === "RegistryValueSet") {
+            this.parsedData.registryChanges.push({
+                timestamp, key: event.RegistryKey, valueName: event.RegistryValueName, valueData: event.RegistryValueData,
+                processId: event.InitiatingProcessId, image: event.InitiatingProcessFileName, user, processName
+            });
+        } else if (['LogonSuccess', 'LogonFailed'].includes(event.EventType || event.ActionType)) {
+            this.processLogonEvent(event, timestamp);
+        }
+    }
 
-        return visualization;
+    // DeviceLogonEvents: logon types by name, the remote end in RemoteIP/RemoteDeviceName, IsLocalAdmin instead of a 4672
+    processLogonEvent(event, timestamp) {
+        const failed = (event.EventType || event.ActionType) === 'LogonFailed';
+        this.parsedData.userActivities.push({
+            timestamp,
+            action: failed ? 'Logon Failed' : 'Logon',
+            user: event.AccountDomain && event.AccountName ? `${event.AccountDomain}\\${event.AccountName}` : event.AccountName,
+            logonType: logonTypeNumber(event.LogonType),
+            logonTypeName: LOGON_TYPES[logonTypeNumber(event.LogonType)] || event.LogonType,
+            logonId: failed ? undefined : logonIdKey(event.LogonId),
+            sourceIp: event.RemoteIP || undefined,
+            sourcePort: event.RemotePort || undefined,
+            workstation: event.RemoteDeviceName || undefined,
+            authenticationPackage: event.Protocol,
+            failureReason: failed ? event.FailureReason : undefined,
+            localAdmin: event.IsLocalAdmin === true || String(event.IsLocalAdmin).toLowerCase() === 'true' ? true : undefined,
+            processId: event.InitiatingProcessId,
+            image: event.InitiatingProcessFileName,
+            processName: event.InitiatingProcessFileName || 'N/A'
+        });
     }
 
-    isInternalIP(ip) {
-        if (!ip) return false;
-        if (ip === '127.0.0.1' || ip === '::1') return true;
-        const parts = ip.split('.');
-        if (parts.length === 4) {
-            const p1 = parseInt(parts[0], 10);
-            const p2 = parseInt(parts[1], 10);
-            if (p1 === 10) return true;
-            if (p1 === 172 && p2 >= 16 && p2 <= 31) return true;
-            if (p1 === 192 && p2 === 168) return true;
-        }
-        return false;
+    // Defender reports the folder and the file name separately
+    buildFilePath(event) {
+        if (!event.FolderPath || !event.FileName) return event.FileName || event.FolderPath;
+        if (event.FolderPath.toLowerCase().endsWith(event.FileName.toLowerCase())) return event.FolderPath;
+        return `${event.FolderPath.replace(/[\\/]+$/, '')}\\${event.FileName}`;
     }
 }
+
+parserRegistry.register({
+    format: 'defender',
+    label: 'Defender',
+    parserClass: DefenderLogParser,
+    fileNameHints: ['defender', 'mde'],
+    signatures: [
+        { weight: 3, reason: 'InitiatingProcess* fields', test: r => Object.keys(r).some(key => key.startsWith('InitiatingProcess')) },
+        { weight: 2, reason: 'EventType/ActionType', test: r => typeof r.EventType === 'string' || typeof r.ActionType === 'string' },
+        { weight: 2, reason: 'TimeGenerated/Timestamp', test: r => 'TimeGenerated' in r || 'Timestamp' in r },
+        { weight: 1, reason: 'DeviceName/ReportId', test: r => 'DeviceName' in r || 'DeviceId' in r || 'ReportId' in r },
+        { weight: 1, reason: 'FileName/FolderPath/SHA256', test: r => 'FolderPath' in r || 'FileName' in r || 'SHA256' in r }
+    ]
+});
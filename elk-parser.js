@@ -1,92 +1,89 @@
 // Log Parser Engine for Security Log Analysis - ELK
-class ElkLogParser {
+class ElkLogParser extends BaseLogParser {
     constructor() {
-        this.parsedData = {
-            processes: [],
-            networkConnections: [],
-            fileActivities: [],
-            dllActivities: [],
-            registryChanges: [],
-            userActivities: [],
-            threats: [],
-            dnsQueries: []
-        };
+        super('elk');
     }
 
-    // Main parsing function
-    async parseLogs(files, format) {
-        console.log(`Parsing ${files.length} files in ${format} format using ElkLogParser`);
-
-        // Clear parsedData for new analysis
-        this.parsedData = {
-            processes: [], networkConnections: [], fileActivities: [],
-            dllActivities: [], registryChanges: [], userActivities: [],
-            threats: [], dnsQueries: []
-        };
+    parseContent(content) {
+        this.parseELKLogs(content);
+    }
 
-        for (let file of files) {
-            const content = await this.readFile(file);
-            await this.parseByFormat(content, format);
-        }
+    // --- ELK Log Parsing ---
+    // Accepts a JSON array (e.g. from a file export) or line-delimited JSON (common for streaming)
+    parseELKLogs(content) {
+        console.log("Parsing ELK logs");
+        this.parseJsonRecords(content);
+    }
 
-        return this.generateVisualizationData();
+    parseRecord(log) {
+        // ELK often wraps the original log in a '_source' field. Use it if it exists.
+        const event = log._source || log;
+        this.withHost(this.hostName(event), () => this.processGenericEvent(event), isPlainObject(event.host) ? event.host.id : event.agent?.id);
     }
 
-    // Read file content
-    async readFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.readAsText(file);
-        });
+    // ECS host.name (older Beats wrote host as a plain string), then the shipping agent's host, then Winlogbeat's computer name
+    hostName(event) {
+        if (typeof event.host === 'string') return event.host;
+        return event.host?.name || event.host?.hostname || event.agent?.hostname || event.winlog?.computer_name || event.Computer;
     }
 
-    // Parse based on format
-    async parseByFormat(content, format) {
-        if (format === 'elk') {
-            this.parseELKLogs(content);
-        } else {
-            console.warn(`ElkLogParser received an unsupported format: ${format}`);
-        }
+    // ECS events name their type in event.category or event.dataset; Winlogbeat-style documents keep the EventID
+    recordType(log) {
+        const event = log._source || log;
+        if (event.event?.dataset) return String(event.event.dataset);
+        if (event.event?.category) return [].concat(event.event.category).join(', ');
+        if (event.EventID !== undefined) return `EventID ${event.EventID}`;
+        return 'Untyped event';
     }
 
-    // --- ELK Log Parsing ---
-    parseELKLogs(content) {
-        console.log("Parsing ELK logs");
-        let events = [];
-        try {
-            // Try parsing as a single JSON array (e.g., from a file export)
-            events = JSON.parse(content);
-            if (!Array.isArray(events)) {
-                // If it's a single object, wrap it in an array
-                events = [events];
-            }
-        } catch (e) {
-            // If that fails, try parsing as line-delimited JSON (common for streaming)
-            try {
-                events = content.trim().split('\n').map(line => JSON.parse(line));
-            } catch (error) {
-                console.error("Error parsing ELK content as JSON or line-delimited JSON:", error);
-                return;
-            }
+    // Windows logon events keep their EventData in winlog.event_data (or at the top level in older Winlogbeat documents) and
+    // are mapped like .evtx; any other ECS event.category authentication becomes a logon from user, source and event.outcome.
+    // Returns true when the event was a logon.
+    processAuthenticationEvent(event, timestamp) {
+        const eventId = Number(event.winlog?.event_id ?? event.EventID);
+        if (WINDOWS_LOGON_EVENTS[eventId] && (isPlainObject(event.winlog?.event_data) || 'TargetUserName' in event || 'SubjectUserName' in event)) {
+            this.processWindowsLogon({ ...(event.winlog?.event_data || event), EventID: eventId }, timestamp);
+            return true;
         }
-
-        events.forEach(log => {
-            // ELK often wraps the original log in a '_source' field. Use it if it exists.
-            const event = log._source || log;
-            this.processGenericEvent(event);
+        if (![].concat(event.event?.category || []).includes('authentication')) return false;
+        const failed = event.event?.outcome === 'failure';
+        const program = event.process?.name || this.processNameFromImage(event.process?.executable);
+        const logonType = event.winlog?.logon?.type;
+        this.parsedData.userActivities.push({
+            timestamp,
+            action: failed ? 'Logon Failed' : 'Logon',
+            user: event.user?.domain && event.user?.name ? `${event.user.domain}\\${event.user.name}` : event.user?.name,
+            logonType: logonTypeNumber(logonType),
+            logonTypeName: LOGON_TYPES[logonTypeNumber(logonType)] || logonType || (program === 'sshd' ? 'SSH' : undefined),
+            logonId: failed ? undefined : logonIdKey(event.winlog?.logon?.id),
+            sourceIp: event.source?.ip,
+            sourcePort: event.source?.port,
+            workstation: event.source?.domain,
+            failureReason: failed ? event.winlog?.logon?.failure?.reason || event.event?.reason : undefined,
+            processId: event.process?.pid,
+            image: event.process?.executable,
+            processName: program
         });
+        return true;
+    }
+
+    // ECS process.hash and file.hash: { md5, sha1, sha256 }
+    ecsHashes(hash) {
+        return isPlainObject(hash) ? this.fileHashes(hash.md5, hash.sha1, hash.sha256) : undefined;
     }
 
     // This method heuristically parses a generic event object by checking for common field names
     processGenericEvent(event) {
         const timestamp = event['@timestamp'] || event.UtcTime || new Date().toISOString();
 
+        // A logon names the process that handled it (lsass.exe, sshd), which did not start there; nothing else is read from it
+        if (this.processAuthenticationEvent(event, timestamp)) return;
+
         // Check for Process Creation (Sysmon/Defender/ECS like fields)
         const processImage = event.Image || event.process?.executable || event.InitiatingProcessFileName;
         const processId = event.ProcessId || event.process?.pid || event.InitiatingProcessId;
         if (processImage && processId) {
-            const processName = processImage.split('\\').pop().split('/').pop();
+            const processName = this.processNameFromImage(processImage);
             this.parsedData.processes.push({
                 timestamp: timestamp,
                 processId: processId,
@@ -94,6 +91,9 @@ class ElkLogParser {
                 image: processImage,
                 commandLine: event.CommandLine || event.process?.command_line || event.InitiatingProcessCommandLine,
                 user: event.User || event.user?.name || event.UserName,
+                logonId: logonIdKey(event.LogonId || event.winlog?.event_data?.LogonId || event.winlog?.logon?.id),
+                // Sysmon's Hashes belong to the process only on a process creation; other events hash their own object
+                hashes: (Number(event.EventID) === 1 ? event.Hashes : undefined) || this.ecsHashes(event.process?.hash),
                 processName: processName
             });
         }
@@ -103,7 +103,7 @@ class ElkLogParser {
         const sourceIp = event.SourceIp || event.source?.ip;
         if (destIp) {
             const processImageForConn = event.Image || event.process?.executable;
-            const processNameForConn = processImageForConn ? processImageForConn.split('\\').pop().split('/').pop() : 'N/A';
+            const processNameForConn = this.processNameFromImage(processImageForConn);
             this.parsedData.networkConnections.push({
                 timestamp: timestamp,
                 sourceIp: sourceIp,
@@ -111,6 +111,10 @@ class ElkLogParser {
                 destinationIp: destIp,
                 destinationPort: event.DestinationPort || event.destination?.port,
                 protocol: event.Protocol || event.network?.protocol,
+                // false when the logging host accepted the connection rather than opened it
+                initiated: event.Initiated !== undefined ? String(event.Initiated).toLowerCase() === 'true'
+                    : /^(inbound|ingress)$/i.test(event.network?.direction || '') ? false
+                    : /^(outbound|egress)$/i.test(event.network?.direction || '') ? true : undefined,
                 processId: event.ProcessId || event.process?.pid,
                 image: processImageForConn,
                 user: event.User || event.user?.name,
@@ -122,7 +126,7 @@ class ElkLogParser {
         const filePath = event.TargetFilename || event.file?.path;
         if (filePath) {
             const processImageForFile = event.Image || event.process?.executable;
-            const processNameForFile = processImageForFile ? processImageForFile.split('\\').pop().split('/').pop() : 'N/A';
+            const processNameForFile = this.processNameFromImage(processImageForFile);
             let action = 'File Activity';
             if (event.EventID === 11) action = 'File Created';
             else if (event.EventID === 23) action = 'File Deleted';
@@ -136,7 +140,10 @@ class ElkLogParser {
                 processId: event.ProcessId || event.process?.pid,
                 image: processImageForFile,
                 user: event.User || event.user?.name,
-                processName: processNameForFile
+                processName: processNameForFile,
+                hashes: (Number(event.EventID) !== 1 ? event.Hashes || event.Hash : undefined) || this.ecsHashes(event.file?.hash),
+                // Elastic Defend keeps the name a renamed file had before
+                previousPath: event.file?.Ext?.original?.path
             });
         }
 
@@ -144,7 +151,7 @@ class ElkLogParser {
         const dnsQuery = event.QueryName || event.dns?.question?.name;
         if (dnsQuery) {
             const processImageForDns = event.Image || event.process?.executable;
-            const processNameForDns = processImageForDns ? processImageForDns.split('\\').pop().split('/').pop() : 'N/A';
+            const processNameForDns = this.processNameFromImage(processImageForDns);
             this.parsedData.dnsQueries.push({
                 timestamp: timestamp,
                 queryName: dnsQuery,
@@ -156,47 +163,17 @@ class ElkLogParser {
             });
         }
     }
-
-
-    // Consolidate data for visualization
-    generateVisualizationData() {
-        const visualization = {
-            aptPatterns: { threatIndicators: [], attackChain: [] },
-            fileMap: { fileActivities: [] },
-            networkMap: { connections: [], dnsQueries: [] }
-        };
-        let step = 1;
-
-        this.parsedData.networkConnections.forEach(conn => {
-            const processName = conn.processName || 'N/A';
-            if (!this.isInternalIP(conn.destinationIp)) {
-                visualization.aptPatterns.threatIndicators.push(`Command and Control Connection: Outbound connection to C2 IP: ${conn.destinationIp}:${conn.destinationPort} (Process: ${processName})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Command and Control (C2): Suspicious network connection to ${conn.destinationIp}:${conn.destinationPort} from ${processName}`);
-            }
-            visualization.networkMap.connections.push({ ...conn, process: processName });
-        });
-
-        this.parsedData.fileActivities.forEach(file => {
-            const processName = file.processName || 'N/A';
-            visualization.fileMap.fileActivities.push({ ...file, process: processName });
-        });
-        
-        visualization.networkMap.dnsQueries = this.parsedData.dnsQueries.map(dns => ({ ...dns, process: dns.processName }));
-
-        return visualization;
-    }
-
-    isInternalIP(ip) {
-        if (!ip) return false;
-        if (ip === '127.0.0.1' || ip === '::1') return true;
-        const parts = ip.split('.');
-        if (parts.length === 4) {
-            const p1 = parseInt(parts[0], 10);
-            const p2 = parseInt(parts[1], 10);
-            if (p1 === 10) return true;
-            if (p1 === 172 && p2 >= 16 && p2 <= 31) return true;
-            if (p1 === 192 && p2 === 168) return true;
-        }
-        return false;
-    }
 }
+
+parserRegistry.register({
+    format: 'elk',
+    label: 'ELK Stack',
+    parserClass: ElkLogParser,
+    fileNameHints: ['elk', 'elastic', 'ecs'],
+    signatures: [
+        { weight: 3, reason: '@timestamp', test: r => '@timestamp' in r || (isPlainObject(r._source) && '@timestamp' in r._source) },
+        { weight: 3, reason: '_source/_index', test: r => isPlainObject(r._source) || '_index' in r },
+        { weight: 2, reason: 'ECS event object', test: r => isPlainObject((r._source || r).event) },
+        { weight: 2, reason: 'ECS nested fields', test: r => ['process', 'host', 'user', 'source', 'destination', 'file', 'ecs'].some(key => isPlainObject((r._source || r)[key])) }
+    ]
+});
@@ -0,0 +1,260 @@
+// Event Query - the search language of the event tables, applied to every view at once.
+// Terms are field:value or a bare word, e.g. process:powershell.exe AND path:*\Temp\* or dst_port:445.
+// Values may be "quoted" and use * and ? wildcards; numeric fields also take >, >=, < and <=, e.g. dst_port:>1024.
+// Terms combine with AND, OR, NOT (or a leading -) and parentheses; terms side by side mean AND.
+// Inside a value \\ and \" stand for \ and "; any other backslash is literal, so *\Temp\* and *\\Temp\\* are alike.
+
+// Query fields and where they live in normalized records. Strings are record properties, functions derive the value
+// (and may return several). Unlisted fields fall back to the record property of the same name.
+const EVENT_QUERY_FIELDS = {
+    type: (record, bucket) => EVENT_QUERY_TYPES[bucket],
+    time: 'timestamp',
+    // The name as logged and the short name every source agrees on (host-activity.js), so host:ws01 finds ws01.corp.local
+    host: record => [record.host, hostKey(record.host)],
+    // A 4648 also names the account whose credentials were used
+    user: record => [record.user, record.targetUser],
+    process: record => [record.processName, record.image],
+    image: 'image',
+    pid: 'processId',
+    parent: record => [record.parentProcessName, record.parentImage],
+    ppid: 'parentProcessId',
+    cmd: 'commandLine',
+    // What an obfuscated command line unwraps to, and how suspicious it scores 0-100 (command-line.js)
+    decoded: record => (commandLineAnalyzer.analyze(record.commandLine, record.image) || {}).decoded,
+    cmd_score: record => (commandLineAnalyzer.analyze(record.commandLine, record.image) || {}).score,
+    action: record => record.action || record.activityType,
+    path: record => [record.filePath, record.imageLoaded, record.pipeName, registryPath(record)],
+    file: 'filePath',
+    // Each hash on its own, whether the source wrote a Sysmon "SHA256=...,MD5=..." string or one field per algorithm
+    hash: record => [record.hashes, record.previousHashes].flatMap(hashes => Object.values(fileHashValues(hashes))),
+    key: registryPath,
+    value: 'valueData',
+    src_ip: 'sourceIp',
+    src_port: 'sourcePort',
+    dst_ip: 'destinationIp',
+    dst_port: 'destinationPort',
+    protocol: 'protocol',
+    zone: record => [record.sourceZone, record.destinationZone],
+    domain: record => [record.queryName, record.resolvedDomain, record.destinationHostname],
+    query: 'queryName',
+    answer: 'queryResults',
+    threat: 'threatName',
+    severity: 'severity',
+    technique: 'techniqueId',
+    tactic: 'tactic',
+    logon_type: record => [record.logonType, record.logonTypeName],
+    logon_id: 'logonId',
+    tag: 'tags',
+    verdict: 'verdict',
+    note: 'analystNote'
+};
+
+// Names the type: field gives each bucket
+const EVENT_QUERY_TYPES = {
+    processes: 'process',
+    processTerminations: 'termination',
+    networkConnections: 'network',
+    dnsQueries: 'dns',
+    fileActivities: 'file',
+    registryChanges: 'registry',
+    dllActivities: 'image_load',
+    processAccess: 'process_access',
+    pipeActivities: 'pipe',
+    wmiActivities: 'wmi',
+    userActivities: 'logon',
+    threats: 'alert'
+};
+
+function registryPath(record) {
+    if (record.key === undefined || record.key === null) return undefined;
+    return record.valueName ? `${record.key}\\${record.valueName}` : record.key;
+}
+
+class EventQuery {
+    // Throws an Error naming the position of the first problem
+    constructor(text) {
+        this.text = String(text || '').trim();
+        this.tokens = this.tokenize(this.text);
+        this.position = 0;
+        this.root = this.tokens.length > 0 ? this.parseOr() : null;
+        if (this.position < this.tokens.length) this.fail(`Unexpected "${this.tokens[this.position].text}"`, this.tokens[this.position]);
+    }
+
+    // Null for a blank query, so callers can skip filtering altogether
+    static compile(text) {
+        const query = new EventQuery(text);
+        return query.root ? query : null;
+    }
+
+    // True when the record (from the named bucket) satisfies the query
+    matches(record, bucket) {
+        return !this.root || this.evaluate(this.root, record, bucket);
+    }
+
+    // An indicator matches on its own fields or on those of the event that raised it
+    matchesIndicator(indicator) {
+        if (typeof indicator !== 'object') return this.matches({ threatName: String(indicator) }, 'threats');
+        const { event, ...fields } = indicator;
+        return this.matches({ ...(event || {}), ...fields }, indicator.bucket);
+    }
+
+    // Copy of the parsed buckets holding only the matching events
+    filter(parsedData) {
+        const filtered = {};
+        Object.keys(parsedData).forEach(bucket => {
+            filtered[bucket] = parsedData[bucket].filter(record => this.matches(record, bucket));
+        });
+        return filtered;
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, text: char, offset: i });
+                i++;
+            } else {
+                const start = i;
+                const negated = char === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1]);
+                if (negated) i++;
+                let raw = '';
+                let quoted = false;
+                while (i < text.length && !/[\s()]/.test(text[i])) {
+                    if (text[i] === '"') {
+                        const end = this.readQuoted(text, i);
+                        raw += text.slice(i, end);
+                        quoted = true;
+                        i = end;
+                    } else {
+                        raw += text[i++];
+                    }
+                }
+                if (!negated && !quoted && /^(AND|OR|NOT)$/.test(raw)) {
+                    tokens.push({ type: raw, text: raw, offset: start });
+                } else {
+                    tokens.push({ type: 'term', text: text.slice(start, i), offset: start, negated, ...this.parseTerm(raw, start) });
+                }
+            }
+        }
+        return tokens;
+    }
+
+    // Index just past the closing quote that starts at i
+    readQuoted(text, i) {
+        let end = i + 1;
+        while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+        if (end >= text.length) this.fail('Unterminated quote', { offset: i });
+        return end + 1;
+    }
+
+    // "field:value" or a bare value; returns { field, comparison, value, pattern }
+    parseTerm(raw, offset) {
+        const match = raw.match(/^([A-Za-z_][\w.]*):(.*)$/);
+        const field = match ? match[1] : null;
+        let value = match ? match[2] : raw;
+        let comparison = null;
+        const operator = value.match(/^(>=|<=|>|<)/);
+        if (field && operator) {
+            comparison = operator[1];
+            value = value.slice(operator[1].length);
+        }
+        // Quotes only group; wildcards inside them still apply
+        value = value.replace(/"((?:\\.|[^"\\])*)"/g, '$1').replace(/\\([\\"])/g, '$1');
+        if (value === '') this.fail(`Missing value${field ? ` for ${field}` : ''}`, { offset });
+        if (comparison && isNaN(Number(value))) this.fail(`"${value}" is not a number`, { offset });
+        const source = value.split('').map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+        // A field value must match whole; a bare word may appear anywhere in any field
+        const pattern = new RegExp(field ? `^${source}$` : source, 'i');
+        return { field, comparison, value, pattern };
+    }
+
+    parseOr() {
+        const terms = [this.parseAnd()];
+        while (this.peek('OR')) {
+            this.position++;
+            terms.push(this.parseAnd());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    }
+
+    parseAnd() {
+        const terms = [this.parseNot()];
+        while (this.position < this.tokens.length && !this.peek('OR') && !this.peek(')')) {
+            if (this.peek('AND')) this.position++;
+            terms.push(this.parseNot());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    }
+
+    parseNot() {
+        if (this.peek('NOT')) {
+            this.position++;
+            return { type: 'not', term: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position];
+        if (!token) this.fail('Query ends too early', { offset: this.text.length });
+        if (token.type === '(') {
+            this.position++;
+            const node = this.parseOr();
+            if (!this.peek(')')) this.fail('Missing )', this.tokens[this.position] || { offset: this.text.length });
+            this.position++;
+            return node;
+        }
+        if (token.type !== 'term') this.fail(`Unexpected "${token.text}"`, token);
+        this.position++;
+        return token.negated ? { type: 'not', term: { ...token, negated: false } } : token;
+    }
+
+    peek(type) {
+        return this.position < this.tokens.length && this.tokens[this.position].type === type;
+    }
+
+    fail(message, token) {
+        throw new Error(`${message} at position ${token.offset + 1}`);
+    }
+
+    evaluate(node, record, bucket) {
+        switch (node.type) {
+            case 'and': return node.terms.every(term => this.evaluate(term, record, bucket));
+            case 'or': return node.terms.some(term => this.evaluate(term, record, bucket));
+            case 'not': return !this.evaluate(node.term, record, bucket);
+            default: return this.values(node.field, record, bucket).some(value => this.test(node, value));
+        }
+    }
+
+    test(term, value) {
+        if (term.comparison) {
+            const number = Number(value);
+            if (value === '' || isNaN(number)) return false;
+            const expected = Number(term.value);
+            switch (term.comparison) {
+                case '>': return number > expected;
+                case '>=': return number >= expected;
+                case '<': return number < expected;
+                default: return number <= expected;
+            }
+        }
+        return term.pattern.test(value);
+    }
+
+    // The field's values as strings; a bare word looks at every plain value of the record
+    values(field, record, bucket) {
+        let values;
+        if (!field) {
+            values = Object.values(record).filter(value => typeof value !== 'object' || value === null);
+        } else {
+            const source = EVENT_QUERY_FIELDS[field.toLowerCase()];
+            if (typeof source === 'function') values = source(record, bucket);
+            else values = record[source || field];
+        }
+        return [].concat(values).filter(value => value !== undefined && value !== null && value !== '').map(String);
+    }
+}
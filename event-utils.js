@@ -0,0 +1,47 @@
+// Shared helpers for working with normalized security events
+
+// Converts the timestamp formats seen across sources into epoch milliseconds.
+// Sysmon's UtcTime ("2024-01-15 14:22:15.123") carries no zone marker but is always UTC.
+function parseTimestamp(timestamp) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') return NaN;
+    if (typeof timestamp === 'number') return timestamp;
+    let value = String(timestamp).trim();
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(value)) {
+        value = value.replace(' ', 'T');
+        if (!/(Z|[+-]\d{2}:?\d{2})$/.test(value)) value += 'Z';
+    }
+    return Date.parse(value);
+}
+
+// Normalizes a timestamp to ISO 8601 (UTC); values that cannot be parsed are returned unchanged
+function normalizeTimestamp(timestamp) {
+    const time = parseTimestamp(timestamp);
+    return isNaN(time) ? timestamp : new Date(time).toISOString();
+}
+
+// Vendor severities folded onto the scale every indicator uses (HOST_SEVERITY_ORDER), e.g. Defender's "Severe" and "Moderate"
+const SEVERITY_ALIASES = { severe: 'critical', moderate: 'medium', info: 'informational' };
+
+// Lower-case severity on that scale; a name outside it is only lower-cased, and a missing severity stays missing
+function normalizeSeverity(severity) {
+    if (severity === undefined || severity === null || severity === '') return severity;
+    const name = String(severity).trim().toLowerCase();
+    return SEVERITY_ALIASES[name] || name;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Text encoding named by a byte order mark (wevtutil and PowerShell write UTF-16 XML); UTF-8 otherwise
+function textEncodingOf(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return 'utf-8';
+}
+
+// Decodes raw file bytes, honouring UTF-16 byte order marks
+function decodeText(buffer) {
+    return new TextDecoder(textEncodingOf(buffer)).decode(new Uint8Array(buffer));
+}
@@ -0,0 +1,117 @@
+// File Activity Graph - links hosts, users, processes, files and directories through the file actions that joined them
+
+// Folders whose contents are summarized as one node by default. "*" stands for a single path segment.
+const FILE_GRAPH_DEFAULT_COLLAPSE = [
+    'C:\\Users\\*\\AppData\\Local\\Temp',
+    'C:\\Users\\*\\AppData\\Local\\Microsoft\\Windows\\INetCache',
+    'C:\\Windows\\Temp',
+    'C:\\Windows\\Prefetch',
+    '/tmp'
+];
+
+// Node types in the left-to-right order the graph is laid out
+const FILE_GRAPH_NODE_TYPES = ['host', 'user', 'process', 'file', 'directory'];
+
+// Reduces the action names of every source to create, modify, delete, rename, stream or other
+function fileActionType(action) {
+    const text = String(action || '').toLowerCase();
+    if (/stream/.test(text)) return 'stream';
+    if (/delet|remov/.test(text)) return 'delete';
+    if (/renam|move/.test(text)) return 'rename';
+    if (/time changed|modif|overwrite|write|change|attribute/.test(text)) return 'modify';
+    if (/creat|add/.test(text)) return 'create';
+    return 'other';
+}
+
+class FileActivityGraphBuilder {
+    constructor(fileActivities, options = {}) {
+        this.fileActivities = fileActivities || [];
+        this.collapsePrefixes = options.collapsePrefixes || FILE_GRAPH_DEFAULT_COLLAPSE;
+        this.collapseMatchers = this.collapsePrefixes.map(prefix => ({ prefix, pattern: this.prefixPattern(prefix) }));
+    }
+
+    // Returns { nodes: [{ id, type, label, title, count }], edges: [{ from, to, type, count, first, last }], collapsed: [{ prefix, files }] }
+    build() {
+        this.nodes = new Map();
+        this.edges = new Map();
+        const collapsedFiles = new Map();
+
+        this.fileActivities.forEach(activity => {
+            if (!activity.filePath) return;
+            const host = activity.host || 'Unknown host';
+            const processName = activity.processName || activity.process || 'N/A';
+            const process = this.addNode('process', `${host}|${String(activity.image || processName).toLowerCase()}`, processName, activity.image || processName);
+            if (activity.processId !== undefined && activity.processId !== null) process.processIds.add(String(activity.processId));
+            this.addEdge(this.addNode('host', host, host), process, 'hosts', activity.timestamp);
+            if (activity.user && activity.user !== 'N/A') this.addEdge(this.addNode('user', activity.user, activity.user), process, 'runs', activity.timestamp);
+
+            // Files under a collapsed folder attach to the folder's node instead of their own
+            const path = String(activity.filePath);
+            const collapse = this.collapseMatchers.find(matcher => matcher.pattern.test(path));
+            const type = fileActionType(activity.action || activity.activityType);
+            if (collapse) {
+                const folder = this.addNode('directory', `${host}|collapsed|${collapse.prefix}`, collapse.prefix, collapse.prefix);
+                folder.collapsed = true;
+                if (!collapsedFiles.has(collapse.prefix)) collapsedFiles.set(collapse.prefix, new Set());
+                collapsedFiles.get(collapse.prefix).add(path.toLowerCase());
+                this.addEdge(process, folder, type, activity.timestamp);
+                return;
+            }
+
+            const file = this.addNode('file', `${host}|${path.toLowerCase()}`, this.baseName(path), path);
+            this.addEdge(process, file, type, activity.timestamp);
+            const directory = this.directoryOf(path);
+            if (directory) this.addEdge(file, this.addNode('directory', `${host}|${directory.toLowerCase()}`, directory, directory), 'in', activity.timestamp);
+        });
+
+        return {
+            nodes: [...this.nodes.values()].map(({ processIds, ...node }) => ({ ...node, processIds: [...processIds] })),
+            edges: [...this.edges.values()],
+            collapsed: [...collapsedFiles].map(([prefix, files]) => ({ prefix, files: files.size }))
+        };
+    }
+
+    addNode(type, key, label, title = label) {
+        const id = `${type}:${key.toLowerCase()}`;
+        let node = this.nodes.get(id);
+        if (!node) {
+            node = { id, type, label, title, count: 0, collapsed: false, processIds: new Set() };
+            this.nodes.set(id, node);
+        }
+        node.count++;
+        return node;
+    }
+
+    // Edges are aggregated per node pair and action, keeping when the action was first and last seen
+    addEdge(from, to, type, timestamp) {
+        const key = `${from.id}|${to.id}|${type}`;
+        let edge = this.edges.get(key);
+        if (!edge) {
+            edge = { from: from.id, to: to.id, type, count: 0, first: undefined, last: undefined };
+            this.edges.set(key, edge);
+        }
+        edge.count++;
+        const time = parseTimestamp(timestamp);
+        if (!isNaN(time)) {
+            if (edge.first === undefined || time < parseTimestamp(edge.first)) edge.first = timestamp;
+            if (edge.last === undefined || time > parseTimestamp(edge.last)) edge.last = timestamp;
+        }
+    }
+
+    // "C:\Users\*\AppData\Local\Temp" matches that folder and everything below it, for any user and either slash
+    prefixPattern(prefix) {
+        const source = String(prefix).replace(/[\\/]+$/, '').split(/[\\/]+/)
+            .map(segment => segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^\\\\/]*'))
+            .join('[\\\\/]+');
+        return new RegExp(`^${source}(?:[\\\\/]|$)`, 'i');
+    }
+
+    directoryOf(path) {
+        const index = Math.max(path.lastIndexOf('\\'), path.lastIndexOf('/'));
+        return index > 0 ? path.slice(0, index) : null;
+    }
+
+    baseName(path) {
+        return path.split('\\').pop().split('/').pop() || path;
+    }
+}
@@ -0,0 +1,191 @@
+// File Lifecycle - what happened to each file across every source (created, modified, renamed, executed, deleted, streams
+// added), and the files that share a hash under different paths: one payload dropped or copied to several places
+
+// Every empty file has these hashes, so they say nothing about which files are copies of each other
+const EMPTY_FILE_HASHES = new Set([
+    'd41d8cd98f00b204e9800998ecf8427e',
+    'da39a3ee5e6b4b0d3255bfef95601890afd80709',
+    'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+]);
+
+// What the file actions of every source (file-graph.js fileActionType) are listed as in a file's history
+const FILE_LIFECYCLE_STAGES = {
+    create: 'Created', modify: 'Modified', rename: 'Renamed', delete: 'Deleted', stream: 'Stream Added', other: 'Accessed'
+};
+
+// { md5, sha1, sha256 } in lower case from Sysmon's "SHA1=...,MD5=...,SHA256=...,IMPHASH=..." string, a { md5, sha1, sha256 }
+// object or a bare hash (known by its length); IMPHASH hashes the import table, not the file, and is left out
+function fileHashValues(value) {
+    const hashes = {};
+    if (value === undefined || value === null || value === '') return hashes;
+    const entries = typeof value === 'object'
+        ? Object.entries(value)
+        : String(value).split(',').map(part => part.includes('=') ? part.split('=') : [null, part]);
+    entries.forEach(([algorithm, hash]) => {
+        if (!hash) return;
+        const text = String(hash).trim().toLowerCase();
+        const name = algorithm ? String(algorithm).trim().toLowerCase().replace('-', '') : { 32: 'md5', 40: 'sha1', 64: 'sha256' }[text.length];
+        if (['md5', 'sha1', 'sha256'].includes(name) && /^[0-9a-f]+$/.test(text)) hashes[name] = text;
+    });
+    return hashes;
+}
+
+// The file and the alternate data stream in "C:\dir\file.exe:Zone.Identifier" (the colon of a drive letter is not a stream)
+function splitFileStream(path) {
+    const text = String(path);
+    const colon = text.lastIndexOf(':');
+    if (colon <= 1 || /[\\/]/.test(text.slice(colon))) return { path: text, stream: null };
+    return { path: text.slice(0, colon), stream: text.slice(colon + 1).replace(/:\$DATA$/i, '') };
+}
+
+class FileLifecycleBuilder {
+    constructor(parsedData) {
+        this.parsedData = parsedData;
+    }
+
+    // Returns { files: [{ key, host, path, name, hashes, events: [{ timestamp, stage, action, processName, processId, user,
+    // detail, bucket, record }], stages: { stage: count }, createdBy, modifiedBy, executedBy, streams, renamedFrom, renamedTo,
+    // deleted, first, last, copies }], copies: [{ hash, hashes, names, locations: [{ host, path }], hosts, executed, first,
+    // last }] }. Files are the paths file events and detections name; executions and image loads of those paths are added to
+    // their history. Files most recently touched come first; copies are groups of two or more paths with the same content.
+    build() {
+        const files = new Map();
+        const keyOf = (host, path) => `${hostKey(host) || ''}|${String(path).toLowerCase()}`;
+        const fileOf = (host, path) => {
+            const key = keyOf(host, path);
+            if (!files.has(key)) {
+                files.set(key, {
+                    key, host, path: String(path), name: String(path).split('\\').pop().split('/').pop() || String(path),
+                    hashes: {}, hashValues: new Set(), events: [], stages: {}, createdBy: new Set(), modifiedBy: new Set(),
+                    executedBy: new Set(), streams: new Set(), renamedFrom: new Set(), renamedTo: new Set(),
+                    deleted: false, first: undefined, last: undefined
+                });
+            }
+            return files.get(key);
+        };
+        const addEvent = (file, stage, bucket, record, detail) => {
+            file.events.push({
+                timestamp: record.timestamp, stage, action: record.action || record.activityType || stage,
+                processName: record.processName, processId: record.processId, user: record.user, detail, bucket, record
+            });
+            file.stages[stage] = (file.stages[stage] || 0) + 1;
+            extendHostTimeRange(file, record.timestamp);
+        };
+        // A later hash replaces an earlier one, so a modified file shows its current content; every hash it had still groups it
+        const addHashes = (file, ...values) => values.forEach(value => {
+            const hashes = fileHashValues(value);
+            Object.assign(file.hashes, hashes);
+            Object.values(hashes).forEach(hash => { if (!EMPTY_FILE_HASHES.has(hash)) file.hashValues.add(hash); });
+        });
+
+        (this.parsedData.fileActivities || []).forEach(record => {
+            if (!record.filePath) return;
+            const { path, stream } = splitFileStream(record.filePath);
+            const type = fileActionType(record.action || record.activityType);
+            const stage = stream ? FILE_LIFECYCLE_STAGES.stream : FILE_LIFECYCLE_STAGES[type];
+            const file = fileOf(record.host, path);
+            const processName = record.processName && record.processName !== 'N/A' ? record.processName : null;
+            if (stream) {
+                file.streams.add(stream);
+                addEvent(file, stage, 'fileActivities', record, record.streamContents ? `${stream}: ${record.streamContents}` : stream);
+                return;
+            }
+            if (type === 'create' && processName) file.createdBy.add(processName);
+            if (type === 'modify' && processName) file.modifiedBy.add(processName);
+            if (type === 'delete') file.deleted = true;
+            let detail;
+            if (record.previousPath) {
+                // A rename ends the old path's history and starts the new one's
+                const previous = fileOf(record.host, record.previousPath);
+                previous.renamedTo.add(path);
+                addEvent(previous, stage, 'fileActivities', record, `to ${path}`);
+                addHashes(previous, record.hashes);
+                file.renamedFrom.add(String(record.previousPath));
+                detail = `from ${record.previousPath}`;
+            } else if (record.previousHashes || record.previousCreationTime) {
+                detail = record.previousCreationTime ? `creation time ${record.previousCreationTime} -> ${record.creationTime}` : 'content changed';
+            }
+            addEvent(file, stage, 'fileActivities', record, detail);
+            addHashes(file, record.previousHashes, record.hashes);
+        });
+        (this.parsedData.threats || []).forEach(record => {
+            if (!record.filePath) return;
+            const file = fileOf(record.host, splitFileStream(record.filePath).path);
+            addEvent(file, 'Detected', 'threats', record, record.threatName);
+            addHashes(file, record.hashes);
+        });
+
+        // Only paths already known from file events; every program run would otherwise be listed
+        const attach = (bucket, field, stage, detailOf) => (this.parsedData[bucket] || []).forEach(record => {
+            const file = record[field] && files.get(keyOf(record.host, record[field]));
+            if (!file) return;
+            if (stage === 'Executed' && record.user) file.executedBy.add(record.user);
+            addEvent(file, stage, bucket, record, detailOf(record));
+            addHashes(file, record.hashes);
+        });
+        attach('processes', 'image', 'Executed', record => record.commandLine);
+        attach('dllActivities', 'imageLoaded', 'Loaded', record => record.signature);
+
+        const list = [...files.values()];
+        list.forEach(file => file.events.sort((a, b) => parseTimestamp(a.timestamp) - parseTimestamp(b.timestamp)));
+        const copies = this.groupCopies(list);
+        return {
+            files: list
+                .map(({ hashValues, ...file }, index) => ({
+                    ...file,
+                    createdBy: [...file.createdBy],
+                    modifiedBy: [...file.modifiedBy],
+                    executedBy: [...file.executedBy],
+                    streams: [...file.streams],
+                    renamedFrom: [...file.renamedFrom],
+                    renamedTo: [...file.renamedTo],
+                    copies: copies.sizes.get(list[index]) || 0
+                }))
+                .sort((a, b) => (parseTimestamp(b.last) || 0) - (parseTimestamp(a.last) || 0)),
+            copies: copies.groups
+        };
+    }
+
+    // Files joined by any hash they share, whichever algorithm each source reported. Returns { groups, sizes }, where sizes
+    // maps each grouped file to how many other paths hold the same content.
+    groupCopies(files) {
+        const byHash = new Map();
+        const groups = [];
+        files.forEach(file => {
+            // A path renamed away is the same file as its new name, not a copy of it
+            if (file.hashValues.size === 0 || file.renamedTo.size > 0) return;
+            let group = [...file.hashValues].map(hash => byHash.get(hash)).find(Boolean);
+            if (!group) {
+                group = { files: [], hashes: {} };
+                groups.push(group);
+            }
+            group.files.push(file);
+            Object.entries(file.hashes).forEach(([algorithm, hash]) => { if (!group.hashes[algorithm]) group.hashes[algorithm] = hash; });
+            file.hashValues.forEach(hash => byHash.set(hash, group));
+        });
+
+        const sizes = new Map();
+        const copies = groups
+            .filter(group => group.files.length > 1)
+            .map(group => {
+                group.files.forEach(file => sizes.set(file, group.files.length - 1));
+                const copy = {
+                    hash: group.hashes.sha256 || group.hashes.sha1 || group.hashes.md5,
+                    hashes: group.hashes,
+                    names: [...new Set(group.files.map(file => file.name))],
+                    locations: group.files.map(file => ({ host: file.host, path: file.path })),
+                    hosts: [...new Set(group.files.map(file => file.host).filter(Boolean))],
+                    executed: group.files.some(file => file.stages.Executed > 0),
+                    first: undefined,
+                    last: undefined
+                };
+                group.files.forEach(file => {
+                    extendHostTimeRange(copy, file.first);
+                    extendHostTimeRange(copy, file.last);
+                });
+                return copy;
+            })
+            .sort((a, b) => b.executed - a.executed || b.locations.length - a.locations.length);
+        return { groups: copies, sizes };
+    }
+}
@@ -0,0 +1,190 @@
+// Log Format Detection - identifies the source of a log export by sniffing its content
+
+// Only the head of each file is sniffed
+const DETECTION_SAMPLE_BYTES = 256 * 1024;
+class LogFormatDetector {
+    constructor(registry) {
+        this.registry = registry;
+        this.sampleSize = 25;
+        this.minimumScore = 0.35;
+    }
+
+    // Field signatures per registered format. Each test looks at one sampled record; weights reflect how distinctive the field is.
+    get signatures() {
+        const signatures = {};
+        this.registry.list().forEach(definition => {
+            if (definition.signatures.length > 0) signatures[definition.format] = definition.signatures;
+        });
+        return signatures;
+    }
+
+    label(format) {
+        const definition = this.registry.get(format);
+        return definition ? definition.label : format;
+    }
+
+    // Returns { format, label, confidence, score, scores, reasons, warning } for the given file content (text, or the decoded head of a binary file)
+    detect(content, fileName) {
+        const records = this.sampleRecords(content);
+        const hint = this.hintFromFileName(fileName);
+        const scores = {};
+        const reasons = {};
+
+        const signatures = this.signatures;
+        Object.keys(signatures).forEach(format => {
+            const signature = signatures[format];
+            const totalWeight = signature.reduce((sum, check) => sum + check.weight, 0);
+            const matched = new Set();
+            let sum = 0;
+            records.forEach(record => {
+                let recordScore = 0;
+                signature.forEach(check => {
+                    if (this.safeTest(check.test, record)) {
+                        recordScore += check.weight;
+                        matched.add(check.reason);
+                    }
+                });
+                sum += recordScore / totalWeight;
+            });
+            scores[format] = records.length > 0 ? sum / records.length : 0;
+            reasons[format] = [...matched];
+        });
+
+        // Non-JSON formats (binary EVTX, event XML) are recognised by the parser's own content check
+        const text = (content || '').replace(/^\uFEFF/, '').trimStart();
+        this.registry.list().forEach(definition => {
+            if (typeof definition.detectContent !== 'function') return;
+            const match = this.safeDetect(definition.detectContent, text);
+            if (match && match.score > (scores[definition.format] || 0)) {
+                scores[definition.format] = Math.min(1, match.score);
+                reasons[definition.format] = [match.reason];
+            }
+        });
+
+        Object.keys(scores).forEach(format => {
+            // The file name only breaks ties between formats whose content already matches
+            if (hint === format && scores[format] > 0) scores[format] = Math.min(1, scores[format] + 0.1);
+        });
+
+        const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+        const best = ranked[0];
+        const score = scores[best];
+        const margin = score - (scores[ranked[1]] || 0);
+
+        if (!best || score < this.minimumScore) {
+            return {
+                format: null,
+                label: 'Unknown',
+                confidence: 'none',
+                score,
+                scores,
+                reasons: [],
+                warning: records.length === 0
+                    ? 'No JSON records or Windows event data could be read from the file.'
+                    : 'Content does not match any supported log format.'
+            };
+        }
+
+        let confidence = 'low';
+        if (score >= 0.6 && margin >= 0.2) confidence = 'high';
+        else if (score >= 0.45 && margin >= 0.1) confidence = 'medium';
+
+        return {
+            format: best,
+            label: this.label(best),
+            confidence,
+            score,
+            scores,
+            reasons: reasons[best],
+            warning: confidence === 'low' ? `Low confidence: content also resembles ${this.label(ranked[1])}.` : null
+        };
+    }
+
+    // Pulls up to sampleSize records out of a JSON array, single JSON object or NDJSON text.
+    // Works on truncated content so only the head of a large file needs to be read.
+    sampleRecords(content) {
+        const text = (content || '').replace(/^\uFEFF/, '').trim();
+        if (!text) return [];
+
+        try {
+            const parsed = JSON.parse(text);
+            const list = Array.isArray(parsed) ? parsed : [parsed];
+            return list.filter(item => isPlainObject(item)).slice(0, this.sampleSize);
+        } catch (e) {
+            // Fall through to tolerant sampling
+        }
+
+        if (text.startsWith('[')) return this.sampleArrayObjects(text);
+
+        const records = [];
+        for (const line of text.split('\n')) {
+            if (records.length >= this.sampleSize) break;
+            try {
+                const parsed = JSON.parse(line);
+                if (isPlainObject(parsed)) records.push(parsed);
+            } catch (e) {
+                // Skip partial or malformed lines
+            }
+        }
+        return records;
+    }
+
+    // Walks a (possibly truncated) JSON array and parses each complete top-level object
+    sampleArrayObjects(text) {
+        const records = [];
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 1; i < text.length && records.length < this.sampleSize; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (ch === '"') inString = true;
+            else if (ch === '{') {
+                if (depth === 0) start = i;
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+                if (depth === 0 && start >= 0) {
+                    try {
+                        records.push(JSON.parse(text.slice(start, i + 1)));
+                    } catch (e) {
+                        // Ignore objects that fail to parse
+                    }
+                    start = -1;
+                }
+            }
+        }
+        return records;
+    }
+
+    // Weak hint from the file name; returns null rather than guessing
+    hintFromFileName(fileName) {
+        const lower = (fileName || '').toLowerCase();
+        const match = this.registry.list().find(definition => definition.fileNameHints.some(hint => lower.includes(hint)));
+        return match ? match.format : null;
+    }
+
+    safeDetect(detectContent, text) {
+        try {
+            const match = detectContent(text);
+            return match && typeof match.score === 'number' ? match : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    safeTest(test, record) {
+        try {
+            return Boolean(test(record));
+        } catch (e) {
+            return false;
+        }
+    }
+}
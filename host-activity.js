@@ -0,0 +1,216 @@
+// Host Activity - a summary of every machine across all sources, and the map of movement between machines:
+// internal connections to remote-administration ports (SMB, RDP, WinRM) and remote logons
+
+// Destination ports that mean one host is administering or executing on another
+const LATERAL_MOVEMENT_PORTS = { 445: 'SMB', 3389: 'RDP', 5985: 'WinRM', 5986: 'WinRM' };
+
+// Logon types (user-activity.js) that come from another machine, and how the movement map names them
+const REMOTE_LOGON_PROTOCOLS = {
+    Network: 'Network logon', NetworkCleartext: 'Network logon', RemoteInteractive: 'RDP', CachedRemoteInteractive: 'RDP', SSH: 'SSH'
+};
+
+const HOST_SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'informational'];
+
+// One key per machine however a source spells it: Sysmon's "WS01.corp.local", Wazuh's "ws01" and Defender's "ws01.corp.local"
+// all become "ws01". Addresses used as host names are kept whole. Null for a missing name.
+function hostKey(host) {
+    if (host === undefined || host === null || String(host).trim() === '') return null;
+    const name = String(host).trim().toLowerCase().replace(/\.$/, '');
+    return ipAddressKey(name) ? name : name.split('.')[0];
+}
+
+// Address key -> { host (key), address }, learned from the local side of the connections each host logged.
+// initiated is false on connections a host accepted (Sysmon's Initiated, ECS network.direction), so its address is the destination.
+function hostAddresses(connections) {
+    const addresses = new Map();
+    (connections || []).forEach(connection => {
+        const host = hostKey(connection.host);
+        if (!host) return;
+        const local = connection.initiated === false ? connection.destinationIp : connection.sourceIp;
+        const classification = classifyIpAddress(local);
+        if (classification.type === 'invalid' || classification.type === 'loopback' || classification.type === 'unspecified') return;
+        const key = ipAddressKey(local);
+        if (!addresses.has(key)) addresses.set(key, { host, address: String(local) });
+    });
+    return addresses;
+}
+
+function extendHostTimeRange(target, timestamp) {
+    const time = parseTimestamp(timestamp);
+    if (isNaN(time)) return;
+    if (target.first === undefined || time < parseTimestamp(target.first)) target.first = timestamp;
+    if (target.last === undefined || time > parseTimestamp(target.last)) target.last = timestamp;
+}
+
+class HostSummaryBuilder {
+    constructor(parsedData, indicators) {
+        this.parsedData = parsedData;
+        this.indicators = indicators || [];
+    }
+
+    // Returns [{ key, host, names, ids, addresses, users, processes, events, counts, first, last, alerts, severities, sources }],
+    // hosts with alerts first; events that name no host are gathered under key null, last
+    build() {
+        const hosts = new Map();
+        const summaryOf = name => {
+            const key = hostKey(name);
+            if (!hosts.has(key)) {
+                hosts.set(key, {
+                    key, names: new Set(), ids: new Set(), addresses: new Set(), users: new Map(), processes: new Set(),
+                    events: 0, counts: {}, first: undefined, last: undefined, alerts: 0, severities: {}, sources: new Set()
+                });
+            }
+            const summary = hosts.get(key);
+            if (key) summary.names.add(String(name).trim());
+            return summary;
+        };
+
+        Object.keys(this.parsedData).forEach(bucket => {
+            this.parsedData[bucket].forEach(record => {
+                const summary = summaryOf(record.host);
+                summary.events++;
+                summary.counts[bucket] = (summary.counts[bucket] || 0) + 1;
+                if (record.hostId) summary.ids.add(String(record.hostId));
+                if (record.user && record.user !== 'N/A') summary.users.set(record.user, (summary.users.get(record.user) || 0) + 1);
+                if (record.image || (record.processName && record.processName !== 'N/A')) summary.processes.add(String(record.image || record.processName).toLowerCase());
+                (record.sources || [record.source]).forEach(source => { if (source) summary.sources.add(source); });
+                extendHostTimeRange(summary, record.timestamp);
+            });
+        });
+        hostAddresses(this.parsedData.networkConnections).forEach(({ host, address }) => {
+            if (hosts.has(host)) hosts.get(host).addresses.add(address);
+        });
+        this.indicators.forEach(indicator => {
+            if (typeof indicator !== 'object') return;
+            const summary = summaryOf(indicator.event ? indicator.event.host : indicator.host);
+            summary.alerts++;
+            const severity = String(indicator.severity || 'unknown').toLowerCase();
+            summary.severities[severity] = (summary.severities[severity] || 0) + 1;
+        });
+
+        return [...hosts.values()]
+            .map(summary => ({
+                ...summary,
+                // The longest spelling is usually the fully qualified one
+                host: summary.key ? [...summary.names].sort((a, b) => b.length - a.length)[0] : 'Unknown host',
+                names: [...summary.names],
+                ids: [...summary.ids],
+                addresses: [...summary.addresses],
+                users: [...summary.users].sort((a, b) => b[1] - a[1]).map(([user]) => user),
+                processes: summary.processes.size,
+                sources: [...summary.sources]
+            }))
+            .sort((a, b) => (a.key === null) - (b.key === null) || this.severityRank(a) - this.severityRank(b) || b.alerts - a.alerts || b.events - a.events);
+    }
+
+    severityRank(summary) {
+        const index = HOST_SEVERITY_ORDER.findIndex(severity => summary.severities[severity] > 0);
+        return index === -1 ? HOST_SEVERITY_ORDER.length : index;
+    }
+}
+
+// Who reached whom over SMB, RDP and WinRM, or logged on remotely, between private addresses or the user's network zones.
+// Either end of a connection is named after the host that owns the address (learned from what each host logged), else after
+// the logging host, else left as the bare address. A remote logon runs from its source address to the host that logged it.
+class HostMovementBuilder {
+    constructor(connections, logons) {
+        this.connections = connections || [];
+        this.logons = logons || [];
+    }
+
+    // Returns { hosts: [{ key, label, known, outbound, inbound }], edges: [{ from, to, fromLabel, toLabel, protocols, ports,
+    // count, logons, users, processes, first, last }] } busiest edge first; count is connections and logons the remote logons
+    build() {
+        const addresses = hostAddresses(this.connections);
+        const hosts = new Map();
+        const edges = new Map();
+        const sessions = new Set();
+        const labels = new Map();
+        this.connections.concat(this.logons).forEach(record => {
+            const key = hostKey(record.host);
+            if (key && String(record.host).length > (labels.get(key) || '').length) labels.set(key, String(record.host));
+        });
+
+        const endpoint = address => {
+            const key = ipAddressKey(address);
+            return key && addresses.has(key) ? addresses.get(key).host : null;
+        };
+        const addHost = (key, address) => {
+            if (!hosts.has(key)) hosts.set(key, { key, label: labels.get(key) || address || key, known: labels.has(key), outbound: 0, inbound: 0 });
+            return hosts.get(key);
+        };
+        // Internal means a private range or one of the user's network zones
+        const internal = address => {
+            const zone = networkZones.zoneOf(address);
+            return zone.type !== 'loopback' && !!(zone.custom || INTERNAL_IP_TYPES.includes(zone.type));
+        };
+        const edgeOf = (from, to, fromAddress, toAddress) => {
+            const source = addHost(from, fromAddress);
+            const target = addHost(to, toAddress);
+            source.outbound++;
+            target.inbound++;
+            const key = `${from}|${to}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, protocols: new Set(), ports: new Set(), count: 0, logons: 0, users: new Set(), processes: new Set(), first: undefined, last: undefined });
+            }
+            return edges.get(key);
+        };
+
+        this.connections.forEach(connection => {
+            const protocol = LATERAL_MOVEMENT_PORTS[Number(connection.destinationPort)];
+            if (!protocol || !connection.destinationIp || !internal(connection.destinationIp)) return;
+
+            const logger = hostKey(connection.host);
+            const inbound = connection.initiated === false;
+            let from = endpoint(connection.sourceIp) || (inbound ? null : logger);
+            let to = endpoint(connection.destinationIp) || (inbound ? logger : null);
+            from = from || (connection.sourceIp ? String(connection.sourceIp) : null);
+            to = to || String(connection.destinationIp);
+            if (!from || from === to) return;
+            // Both ends may have logged the same session
+            if (connection.sourcePort) {
+                const session = `${ipAddressKey(connection.sourceIp)}|${connection.sourcePort}|${ipAddressKey(connection.destinationIp)}|${connection.destinationPort}`;
+                if (sessions.has(session)) return;
+                sessions.add(session);
+            }
+
+            const edge = edgeOf(from, to, connection.sourceIp, connection.destinationIp);
+            edge.count++;
+            edge.protocols.add(protocol);
+            edge.ports.add(String(connection.destinationPort));
+            if (connection.user && connection.user !== 'N/A') edge.users.add(connection.user);
+            if (connection.processName && connection.processName !== 'N/A') edge.processes.add(connection.processName);
+            extendHostTimeRange(edge, connection.timestamp);
+        });
+
+        // Machine accounts (NAME$) and anonymous sessions log on over the network all the time; only people moving are kept
+        this.logons.forEach(logon => {
+            const protocol = REMOTE_LOGON_PROTOCOLS[logon.logonTypeName];
+            if (logon.action !== 'Logon' || !protocol || !logon.sourceIp || !ipAddressKey(logon.sourceIp) || !internal(logon.sourceIp)) return;
+            if (!logon.user || /\$$/.test(logon.user) || /anonymous logon/i.test(logon.user)) return;
+            const to = hostKey(logon.host);
+            const from = endpoint(logon.sourceIp) || String(logon.sourceIp);
+            if (!to || from === to) return;
+            const edge = edgeOf(from, to, logon.sourceIp, null);
+            edge.logons++;
+            edge.protocols.add(protocol);
+            edge.users.add(logon.user);
+            extendHostTimeRange(edge, logon.timestamp);
+        });
+
+        return {
+            hosts: [...hosts.values()],
+            edges: [...edges.values()]
+                .map(edge => ({
+                    ...edge,
+                    fromLabel: hosts.get(edge.from).label,
+                    toLabel: hosts.get(edge.to).label,
+                    protocols: [...edge.protocols],
+                    ports: [...edge.ports],
+                    users: [...edge.users],
+                    processes: [...edge.processes]
+                }))
+                .sort((a, b) => b.count + b.logons - a.count - a.logons)
+        };
+    }
+}
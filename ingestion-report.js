@@ -0,0 +1,106 @@
+// Ingestion Report - what a parser made of one file: records read, normalized by type, skipped with where and why,
+// event types it does not handle, and the time span of the events it kept
+class IngestionReport {
+    constructor(format, fileName = null) {
+        this.format = format;
+        this.fileName = fileName;
+        // Hex SHA-256 of the file as read, so exported findings can be tied to the exact evidence (sha256.js)
+        this.sha256 = null;
+        // Every record met in the file, including malformed ones
+        this.recordsRead = 0;
+        // Source event type (e.g. "EventID 1", "ProcessCreated") -> records normalized into at least one event
+        this.parsedTypes = {};
+        // Source event type -> records read but not normalized because the parser has no mapping for them
+        this.unknownTypes = {};
+        this.skippedCount = 0;
+        // The first maxSkippedSamples skipped records as { location, reason }, e.g. { location: 'line 12', reason: 'Unterminated string' }
+        this.skipped = [];
+        this.maxSkippedSamples = 100;
+        // Filled by complete(): normalized events per bucket and their time range
+        this.eventCounts = {};
+        this.timeRange = { start: null, end: null, untimed: 0 };
+    }
+
+    // Restores a report that crossed from the log worker, or was saved in a case file, as a plain object
+    static from(data, format) {
+        const { recordsParsed, recordsUnknown, coverage, ...fields } = data;
+        return Object.assign(new IngestionReport(format), fields);
+    }
+
+    parsed(type) {
+        this.parsedTypes[type] = (this.parsedTypes[type] || 0) + 1;
+    }
+
+    unknown(type) {
+        this.unknownTypes[type] = (this.unknownTypes[type] || 0) + 1;
+    }
+
+    // A record that could not even be read, e.g. a malformed JSON line or a corrupt .evtx record
+    malformed(reason, location) {
+        this.recordsRead++;
+        this.skip(reason, location);
+    }
+
+    // A record that was read but deliberately left out, e.g. an event from another channel
+    skip(reason, location) {
+        this.skippedCount++;
+        if (this.skipped.length < this.maxSkippedSamples) this.skipped.push({ location: location || 'unknown location', reason });
+    }
+
+    // Counts the events the file produced and the span they cover once every record is in
+    complete(parsedData) {
+        let start = Infinity;
+        let end = -Infinity;
+        let untimed = 0;
+        this.eventCounts = {};
+        Object.keys(parsedData).forEach(bucket => {
+            if (parsedData[bucket].length > 0) this.eventCounts[bucket] = parsedData[bucket].length;
+            parsedData[bucket].forEach(record => {
+                const time = parseTimestamp(record.timestamp);
+                if (isNaN(time)) {
+                    untimed++;
+                    return;
+                }
+                if (time < start) start = time;
+                if (time > end) end = time;
+            });
+        });
+        this.timeRange = {
+            start: isFinite(start) ? new Date(start).toISOString() : null,
+            end: isFinite(end) ? new Date(end).toISOString() : null,
+            untimed
+        };
+        return this;
+    }
+
+    get recordsParsed() {
+        return Object.values(this.parsedTypes).reduce((sum, count) => sum + count, 0);
+    }
+
+    get recordsUnknown() {
+        return Object.values(this.unknownTypes).reduce((sum, count) => sum + count, 0);
+    }
+
+    // Share of the records read that made it into the analysis, or null when nothing was read
+    get coverage() {
+        return this.recordsRead > 0 ? this.recordsParsed / this.recordsRead : null;
+    }
+
+    toJSON() {
+        return {
+            fileName: this.fileName,
+            format: this.format,
+            sha256: this.sha256,
+            recordsRead: this.recordsRead,
+            recordsParsed: this.recordsParsed,
+            recordsUnknown: this.recordsUnknown,
+            skippedCount: this.skippedCount,
+            coverage: this.coverage,
+            parsedTypes: this.parsedTypes,
+            unknownTypes: this.unknownTypes,
+            skipped: this.skipped,
+            eventCounts: this.eventCounts,
+            timeRange: this.timeRange
+        };
+    }
+}
@@ -0,0 +1,160 @@
+// Investigation Case - analyst annotations, and saving an investigation as a case: kept in the browser (IndexedDB)
+// or exported as a single case file, then reopened exactly as it was left
+
+const CASE_FILE_FORMAT = 'jolt-investigation-case';
+const CASE_FILE_VERSION = 2;
+
+const ANNOTATION_VERDICTS = {
+    true_positive: 'True positive',
+    false_positive: 'False positive'
+};
+
+// Verdicts, tags and notes, keyed by Investigation.eventKey / indicatorKey so they survive a reload.
+// An annotation holds the record fields it adds: { verdict, tags, analystNote, annotatedAt }.
+class InvestigationAnnotations {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    // Tags may be an array or a comma-separated string. An annotation left with nothing in it is removed.
+    set(key, { verdict = null, tags = [], analystNote = '' }) {
+        if (verdict && !ANNOTATION_VERDICTS[verdict]) throw new Error(`Unknown verdict "${verdict}"`);
+        const tagList = [...new Set((Array.isArray(tags) ? tags : String(tags).split(','))
+            .map(tag => String(tag).trim()).filter(Boolean))];
+        const note = String(analystNote || '').trim();
+        if (!verdict && tagList.length === 0 && !note) {
+            this.entries.delete(key);
+            return null;
+        }
+        const annotation = { annotatedAt: new Date().toISOString() };
+        if (verdict) annotation.verdict = verdict;
+        if (tagList.length > 0) annotation.tags = tagList;
+        if (note) annotation.analystNote = note;
+        this.entries.set(key, annotation);
+        return annotation;
+    }
+
+    // Every tag in use with how often, most used first
+    tags() {
+        const counts = new Map();
+        this.entries.forEach(annotation => (annotation.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts].sort((a, b) => b[1] - a[1]).map(([tag, count]) => ({ tag, count }));
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.entries);
+    }
+
+    load(json) {
+        this.entries = new Map(Object.entries(json || {}));
+    }
+}
+
+// Reads a case file; throws an Error saying what is wrong with it
+function parseCaseFile(text) {
+    let caseData;
+    try {
+        caseData = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a case file: ${error.message}`);
+    }
+    if (!caseData || caseData.format !== CASE_FILE_FORMAT || !Array.isArray(caseData.sources)) {
+        throw new Error('Not a case file: it was not saved by this tool');
+    }
+    if (caseData.version > CASE_FILE_VERSION) {
+        throw new Error(`Case file version ${caseData.version} is newer than this page understands (${CASE_FILE_VERSION})`);
+    }
+    return caseData;
+}
+
+function createCaseId() {
+    return `case-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Saved cases in IndexedDB. Full cases and their summaries sit in separate stores, so listing the saved cases
+// does not read every event of every case.
+class CaseStore {
+    constructor(databaseName = 'jolt-investigations') {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return this.database;
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            return Promise.reject(new Error('This browser does not offer IndexedDB; export the case to a file instead'));
+        }
+        this.database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('cases', { keyPath: 'id' });
+                request.result.createObjectStore('summaries', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The case database is open in an older version of this page; close other tabs and retry'));
+        });
+        // A failed open is retried next time rather than cached
+        this.database.catch(() => { this.database = null; });
+        return this.database;
+    }
+
+    // Resolves with what the callback's last request produced once the transaction is committed
+    async transaction(mode, callback) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['cases', 'summaries'], mode);
+            let result;
+            const request = callback(transaction.objectStore('cases'), transaction.objectStore('summaries'));
+            if (request) request.onsuccess = () => { result = request.result; };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving the case was aborted'));
+        });
+    }
+
+    save(caseData) {
+        const summary = {
+            id: caseData.id,
+            name: caseData.name,
+            createdAt: caseData.createdAt,
+            savedAt: caseData.savedAt,
+            sources: caseData.sources.map(source => source.fileName),
+            events: caseData.sources.reduce((sum, source) => sum + Object.values(source.parsedData).reduce((count, records) => count + records.length, 0), 0),
+            annotations: Object.keys(caseData.annotations || {}).length
+        };
+        return this.transaction('readwrite', (cases, summaries) => {
+            cases.put(caseData);
+            return summaries.put(summary);
+        });
+    }
+
+    // Summaries of every saved case, most recently saved first
+    async list() {
+        const summaries = await this.transaction('readonly', (cases, summaries) => summaries.getAll());
+        return (summaries || []).sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    async load(id) {
+        const caseData = await this.transaction('readonly', cases => cases.get(id));
+        if (!caseData) throw new Error('That case is no longer saved in this browser');
+        return caseData;
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', (cases, summaries) => {
+            cases.delete(id);
+            return summaries.delete(id);
+        });
+    }
+}
+
+const caseStore = new CaseStore();
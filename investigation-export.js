@@ -0,0 +1,375 @@
+// Investigation Export - gets results out of the page: JSON and CSV per section, the threat indicators as a STIX 2.1
+// bundle for CTI sharing, and a self-contained HTML incident report (print it to PDF from the browser)
+
+// Exportable sections and where their records live in the visualization data
+const EXPORT_SECTIONS = {
+    alerts: { label: 'Threat Indicators', records: data => data.aptPatterns.threatIndicators },
+    hosts: { label: 'Hosts', records: data => data.hostMap.hosts },
+    movement: { label: 'Host Movement', records: data => data.hostMap.movement.edges },
+    logons: { label: 'Logons & Credential Use', records: data => data.userMap.activities },
+    // The processes of a session are in the Processes section under its logonId; here they are counted
+    sessions: {
+        label: 'Logon Sessions',
+        records: data => data.userMap.sessions.map(({ processes, explicitCredentials, ...session }) =>
+            ({ ...session, processes: processes.length, explicitCredentials: explicitCredentials.length }))
+    },
+    processes: { label: 'Processes', records: data => data.processMap.processes },
+    terminations: { label: 'Process Terminations', records: data => data.processMap.terminations },
+    processAccess: { label: 'Process Injection & Access', records: data => data.processMap.accessEvents },
+    files: { label: 'File Activity', records: data => data.fileMap.fileActivities },
+    // A file's history without the events it came from; those are in File Activity, Processes and Image & Driver Loads
+    fileLifecycle: {
+        label: 'File Lifecycle',
+        records: data => data.fileMap.files.map(file => ({ ...file, events: file.events.map(({ record, ...event }) => event) }))
+    },
+    fileCopies: { label: 'Same File Under Several Paths', records: data => data.fileMap.copies },
+    network: { label: 'Network Connections', records: data => data.networkMap.connections },
+    dns: { label: 'DNS Queries', records: data => data.networkMap.dnsQueries },
+    registry: { label: 'Registry Activity', records: data => data.registryMap.changes },
+    imageLoads: { label: 'Image & Driver Loads', records: data => data.moduleMap.loads },
+    pipes: { label: 'Named Pipes', records: data => data.pipeMap.pipes },
+    wmi: { label: 'WMI Activity', records: data => data.wmiMap.activities }
+};
+
+// Listings in the HTML report stop here; the JSON and CSV exports always hold everything
+const REPORT_MAX_ROWS = 500;
+
+class InvestigationExporter {
+    // data: the visualization from Investigation.generateVisualizationData.
+    // options: { notes (analyst notes), title, producer (STIX identity name), now (ISO time, defaults to the current time) }
+    constructor(data, options = {}) {
+        this.data = data;
+        this.notes = options.notes || '';
+        this.title = options.title || 'Incident Report';
+        this.producer = options.producer || 'Jolt File Activity Mapper';
+        this.generatedAt = options.now || new Date().toISOString();
+    }
+
+    records(section) {
+        const definition = EXPORT_SECTIONS[section];
+        if (!definition) throw new Error(`Unknown export section "${section}"`);
+        return (definition.records(this.data) || []).map(record => typeof record === 'object' ? record : { threatName: String(record) });
+    }
+
+    // Every section, or just the one named, with what the analysis was narrowed to
+    toJSON(section = null) {
+        const sections = section ? [section] : Object.keys(EXPORT_SECTIONS);
+        const output = {
+            generatedAt: this.generatedAt,
+            query: this.data.query || null,
+            timeWindow: this.timeWindowText(),
+            sources: this.sources(),
+            notes: this.notes || undefined
+        };
+        sections.forEach(key => { output[key] = this.records(key); });
+        return JSON.stringify(output, null, 2);
+    }
+
+    // One row per record; the columns are every property the records use, nested values are written as JSON
+    toCsv(section) {
+        const records = this.records(section);
+        const columns = [];
+        records.forEach(record => Object.keys(record).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        }));
+        const lines = [columns.map(column => this.csvCell(column)).join(',')];
+        records.forEach(record => lines.push(columns.map(column => this.csvCell(record[column])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    csvCell(value) {
+        if (value === undefined || value === null) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Log data is attacker-controlled: a leading =, +, -, @ would run as a formula when the CSV is opened in a spreadsheet
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // STIX 2.1 bundle: an indicator per detection and observable, linked to the ATT&CK technique it indicates.
+    // Detections with nothing shareable (no public address, domain or file hash) or marked false positive are counted in
+    // skipped, not exported.
+    // Returns { bundle, indicators, skipped }.
+    toStixBundle() {
+        const created = this.generatedAt;
+        const identity = { type: 'identity', spec_version: '2.1', id: this.stixId('identity'), created, modified: created, name: this.producer, identity_class: 'system' };
+        const objects = [identity];
+        const indicators = new Map();
+        const attackPatterns = new Map();
+        let skipped = 0;
+
+        this.records('alerts').forEach(alert => {
+            // Detections an analyst marked as false positives are not worth sharing either
+            const observables = alert.verdict === 'false_positive' ? [] : this.observables(alert);
+            if (observables.length === 0) {
+                skipped++;
+                return;
+            }
+            const pattern = observables.length === 1 ? observables[0] : observables.join(' OR ');
+            const key = `${alert.threatName}|${pattern}`;
+            const time = normalizeTimestamp(alert.timestamp);
+            const validFrom = isNaN(parseTimestamp(time)) ? created : time;
+            const existing = indicators.get(key);
+            if (existing) {
+                if (validFrom < existing.valid_from) existing.valid_from = validFrom;
+                return;
+            }
+            const indicator = {
+                type: 'indicator',
+                spec_version: '2.1',
+                id: this.stixId('indicator'),
+                created_by_ref: identity.id,
+                created,
+                modified: created,
+                name: alert.threatName || 'Threat Indicator',
+                description: alert.description || undefined,
+                indicator_types: ['malicious-activity'],
+                pattern,
+                pattern_type: 'stix',
+                valid_from: validFrom
+            };
+            if (alert.tactic && alert.tactic !== 'Unknown Tactic') {
+                indicator.kill_chain_phases = [{ kill_chain_name: 'mitre-attack', phase_name: alert.tactic.toLowerCase().replace(/\s+/g, '-') }];
+            }
+            if (alert.severity) indicator.labels = [`severity:${String(alert.severity).toLowerCase()}`];
+            indicators.set(key, indicator);
+
+            if (alert.techniqueId) {
+                if (!attackPatterns.has(alert.techniqueId)) {
+                    const [technique, subtechnique] = alert.techniqueId.split('.');
+                    attackPatterns.set(alert.techniqueId, {
+                        type: 'attack-pattern',
+                        spec_version: '2.1',
+                        id: this.stixId('attack-pattern'),
+                        created_by_ref: identity.id,
+                        created,
+                        modified: created,
+                        name: alert.techniqueName || alert.techniqueId,
+                        external_references: [{
+                            source_name: 'mitre-attack',
+                            external_id: alert.techniqueId,
+                            url: `https://attack.mitre.org/techniques/${technique}/${subtechnique ? `${subtechnique}/` : ''}`
+                        }]
+                    });
+                }
+                indicator.techniqueId = alert.techniqueId;
+            }
+        });
+
+        attackPatterns.forEach(attackPattern => objects.push(attackPattern));
+        indicators.forEach(indicator => {
+            const { techniqueId, ...object } = indicator;
+            objects.push(object);
+            if (techniqueId) {
+                objects.push({
+                    type: 'relationship',
+                    spec_version: '2.1',
+                    id: this.stixId('relationship'),
+                    created_by_ref: identity.id,
+                    created,
+                    modified: created,
+                    relationship_type: 'indicates',
+                    source_ref: object.id,
+                    target_ref: attackPatterns.get(techniqueId).id
+                });
+            }
+        });
+
+        return { bundle: { type: 'bundle', id: this.stixId('bundle'), objects }, indicators: indicators.size, skipped };
+    }
+
+    // STIX patterns for what a detection saw that is worth sharing: the listed IOC for feed matches, otherwise
+    // public destination addresses, looked-up domains and file hashes. Process names and internal addresses are left out.
+    observables(alert) {
+        const event = alert.event || {};
+        const patterns = new Set();
+        const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        const addAddress = address => {
+            const classification = classifyIpAddress(address);
+            if (classification.type !== 'public') return;
+            patterns.add(`[${classification.version === 6 ? 'ipv6-addr' : 'ipv4-addr'}:value = ${quote(address)}]`);
+        };
+
+        if (alert.iocType) {
+            const value = alert.iocValue;
+            if (alert.iocType === 'ip') patterns.add(`[${String(value).includes(':') ? 'ipv6-addr' : 'ipv4-addr'}:value = ${quote(value)}]`);
+            else if (alert.iocType === 'domain') patterns.add(`[domain-name:value = ${quote(value)}]`);
+            else if (alert.iocType === 'hash') patterns.add(`[file:hashes.'${this.hashAlgorithm(value)}' = ${quote(value)}]`);
+            else if (alert.iocType === 'path') patterns.add(`[file:name = ${quote(String(value).split(/[\\/]/).pop())}]`);
+            return [...patterns];
+        }
+
+        if (event.destinationIp) addAddress(event.destinationIp);
+        [event.queryName, event.resolvedDomain, event.destinationHostname].forEach(domain => {
+            if (domain && /^([a-z0-9_-]+\.)+[a-z][a-z0-9-]*\.?$/i.test(domain)) patterns.add(`[domain-name:value = ${quote(String(domain).replace(/\.$/, '').toLowerCase())}]`);
+        });
+        this.hashes(event.hashes).forEach(hash => patterns.add(`[file:hashes.'${this.hashAlgorithm(hash)}' = ${quote(hash)}]`));
+        return [...patterns];
+    }
+
+    // Sysmon's "SHA256=...,MD5=..." string, a { md5, sha256 } object or a bare hash; IMPHASH is not a file hash
+    hashes(value) {
+        if (!value) return [];
+        const source = typeof value === 'object'
+            ? Object.values(value).join(',')
+            : String(value).split(',').filter(part => !/^\s*imphash=/i.test(part)).join(',');
+        return [...new Set((source.match(/\b[0-9a-f]{32,64}\b/gi) || []).filter(hash => [32, 40, 64].includes(hash.length)).map(hash => hash.toLowerCase()))];
+    }
+
+    hashAlgorithm(hash) {
+        return { 32: 'MD5', 40: 'SHA-1', 64: 'SHA-256', 128: 'SHA-512' }[String(hash).length] || 'SHA-256';
+    }
+
+    stixId(type) {
+        const cryptoApi = typeof crypto !== 'undefined' ? crypto : null;
+        if (cryptoApi && cryptoApi.randomUUID) return `${type}--${cryptoApi.randomUUID()}`;
+        // Version 4 UUID by hand where randomUUID is missing (older browsers, pages not served over HTTPS)
+        const bytes = new Uint8Array(16);
+        if (cryptoApi && cryptoApi.getRandomValues) cryptoApi.getRandomValues(bytes);
+        else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${type}--${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    sources() {
+        return (this.data.sources || []).map(source => ({
+            fileName: source.fileName,
+            format: source.format,
+            records: source.records,
+            sha256: source.report ? source.report.sha256 : null,
+            timeRange: source.report ? source.report.timeRange : null
+        }));
+    }
+
+    timeWindowText() {
+        const window = this.data.timeWindow;
+        return window ? { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() } : null;
+    }
+
+    // --- HTML report ---
+
+    toHtmlReport() {
+        const esc = value => this.escapeHtml(value);
+        const alerts = this.records('alerts');
+        const timeWindow = this.timeWindowText();
+
+        let html = `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${esc(this.title)}</title><style>${this.reportStyles()}</style></head><body>`;
+        html += `<h1>${esc(this.title)}</h1><p class="meta">Generated ${esc(this.generatedAt)}`;
+        if (this.data.query) html += ` - filtered by <code>${esc(this.data.query)}</code>`;
+        if (timeWindow) html += ` - events from ${esc(timeWindow.start)} to ${esc(timeWindow.end)}`;
+        html += '</p>';
+
+        html += '<h2>Analyst Notes</h2>';
+        html += this.notes.trim() ? `<div class="notes">${esc(this.notes.trim())}</div>` : '<p class="meta">No notes.</p>';
+
+        html += '<h2>Evidence</h2>';
+        html += this.table(['File', 'Format', 'Records', 'SHA-256'], this.sources(), source =>
+            [source.fileName, source.format, source.records, source.sha256 || 'not computed']);
+
+        const counts = {};
+        alerts.forEach(alert => { counts[alert.severity || 'unknown'] = (counts[alert.severity || 'unknown'] || 0) + 1; });
+        html += `<h2>Threat Indicators (${alerts.length})</h2>`;
+        if (alerts.length > 0) html += `<p class="meta">${Object.entries(counts).map(([severity, count]) => `${count} ${esc(severity)}`).join(', ')}</p>`;
+        html += this.table(['Time', 'Severity', 'Threat', 'Technique', 'Process', 'Description', 'Verdict'], alerts, alert =>
+            [alert.timestamp, alert.severity, alert.threatName, alert.techniqueId ? `${alert.techniqueId} ${alert.techniqueName || ''}` : '', alert.processName,
+                alert.analystNote ? `${alert.description || ''} - Analyst: ${alert.analystNote}` : alert.description,
+                alert.verdict ? ANNOTATION_VERDICTS[alert.verdict] : '']);
+        const decoded = alerts.filter(alert => alert.decodedCommand);
+        if (decoded.length > 0) {
+            html += `<h2>Decoded Command Lines (${decoded.length})</h2>`;
+            html += this.table(['Time', 'Process', 'Score', 'Command Line', 'Decoded'], decoded, alert =>
+                [alert.timestamp, alert.processName, alert.commandLineScore, alert.event ? alert.event.commandLine : '', alert.decodedCommand]);
+        }
+
+        html += this.attackChainSection();
+
+        html += `<h2>Hosts (${this.records('hosts').length})</h2>`;
+        html += this.table(['Host', 'Alerts', 'Events', 'Users', 'Addresses', 'First Seen', 'Last Seen'], this.records('hosts'), host =>
+            [host.host, host.alerts, host.events, host.users.join(', '), host.addresses.join(', '), host.first, host.last]);
+        html += `<h2>Host Movement (${this.records('movement').length})</h2>`;
+        html += this.table(['From', 'To', 'Protocols', 'Connections', 'Logons', 'Users', 'First', 'Last'], this.records('movement'), edge =>
+            [edge.fromLabel, edge.toLabel, edge.protocols.join('/'), edge.count, edge.logons, edge.users.join(', '), edge.first, edge.last]);
+        const bursts = this.data.userMap.bursts;
+        html += `<h2>Failed Logon Bursts (${bursts.length})</h2>`;
+        html += this.table(['Kind', 'Source', 'Failures', 'Accounts', 'Hosts', 'First', 'Last', 'Then Logged On'], bursts, burst =>
+            [burst.kind, burst.source, burst.failures, burst.users.map(({ user, failures }) => `${user} (${failures})`).join(', '), burst.hosts.join(', '),
+                burst.first, burst.last, burst.succeeded ? `${burst.succeeded.user} at ${burst.succeeded.timestamp}` : '']);
+        html += this.timelineSection(alerts);
+
+        html += `<h2>Same File Under Several Paths (${this.records('fileCopies').length})</h2>`;
+        html += this.table(['Hash', 'Names', 'Paths', 'Hosts', 'Executed', 'First', 'Last'], this.records('fileCopies'), copy =>
+            [copy.hash, copy.names.join(', '), copy.locations.map(location => `${location.host || 'Unknown host'}: ${location.path}`).join('; '),
+                copy.hosts.join(', '), copy.executed ? 'Yes' : 'No', copy.first, copy.last]);
+        html += `<h2>File Activity (${this.records('files').length})</h2>`;
+        html += this.table(['Time', 'Action', 'Path', 'Process', 'User'], this.records('files'), file =>
+            [file.timestamp, file.action || file.activityType, file.filePath, file.processName, file.user]);
+        html += `<h2>Network Connections (${this.records('network').length})</h2>`;
+        html += this.table(['Time', 'Process', 'Source', 'Destination', 'Domain', 'Zone'], this.records('network'), connection =>
+            [connection.timestamp, connection.processName, connection.sourceIp,
+                `${connection.destinationIp || ''}${connection.destinationPort ? `:${connection.destinationPort}` : ''}`,
+                connection.resolvedDomain || connection.destinationHostname, connection.destinationZone]);
+        html += `<h2>DNS Queries (${this.records('dns').length})</h2>`;
+        html += this.table(['Time', 'Query', 'Answers', 'Process'], this.records('dns'), query =>
+            [query.timestamp, query.queryName, query.queryResults, query.processName]);
+
+        return html + '</body></html>';
+    }
+
+    attackChainSection() {
+        const chain = this.data.aptPatterns.attackChain;
+        let html = '<h2>Attack Chain</h2>';
+        if (!chain || chain.nodes.length === 0) return html + '<p class="meta">No detections to chain.</p>';
+        chain.stages.filter(stage => stage.nodeCount > 0).forEach(stage => {
+            html += `<h3>${this.escapeHtml(stage.label)}</h3>`;
+            html += this.table(['First Seen', 'Detection', 'Technique', 'Process', 'Lineage', 'Count'], chain.nodes.filter(node => node.stage === stage.key), node =>
+                [node.start, node.label, node.techniqueId, `${node.processName}${node.host && node.host !== 'Unknown host' ? ` on ${node.host}` : ''}`, node.lineage.join(' < '), node.count]);
+        });
+        return html;
+    }
+
+    // Event counts per timeline lane, bursts of activity, then the detections in time order
+    timelineSection(alerts) {
+        const timeline = this.data.timeline;
+        let html = '<h2>Timeline</h2>';
+        if (!timeline || timeline.start === null) return html + '<p class="meta">No timestamped events.</p>';
+        const iso = time => new Date(time).toISOString();
+        html += `<p class="meta">${this.escapeHtml(iso(timeline.start))} to ${this.escapeHtml(iso(timeline.end))}</p>`;
+        html += this.table(['Activity', 'Events', 'First', 'Last'], timeline.lanes.filter(lane => lane.events.length > 0), lane =>
+            [lane.label, lane.events.length, iso(lane.events[0].time), iso(lane.events[lane.events.length - 1].time)]);
+        if (timeline.bursts.length > 0) {
+            html += '<h3>Bursts</h3>';
+            html += this.table(['Start', 'Activity'], timeline.bursts, burst => [iso(burst.start), burst.label]);
+        }
+        const timed = alerts.filter(alert => !isNaN(parseTimestamp(alert.timestamp)))
+            .sort((a, b) => parseTimestamp(a.timestamp) - parseTimestamp(b.timestamp));
+        if (timed.length > 0) {
+            html += '<h3>Detections in Order</h3>';
+            html += this.table(['Time', 'Detection', 'Process'], timed, alert => [alert.timestamp, alert.threatName, alert.processName]);
+        }
+        return html;
+    }
+
+    table(headings, rows, cells) {
+        if (rows.length === 0) return '<p class="meta">None.</p>';
+        let html = `<table><thead><tr>${headings.map(heading => `<th>${this.escapeHtml(heading)}</th>`).join('')}</tr></thead><tbody>`;
+        rows.slice(0, REPORT_MAX_ROWS).forEach(row => {
+            html += `<tr>${cells(row).map(cell => `<td>${this.escapeHtml(cell === undefined || cell === null ? '' : cell)}</td>`).join('')}</tr>`;
+        });
+        html += '</tbody></table>';
+        if (rows.length > REPORT_MAX_ROWS) html += `<p class="meta">First ${REPORT_MAX_ROWS} of ${rows.length}; the JSON and CSV exports hold every row.</p>`;
+        return html;
+    }
+
+    reportStyles() {
+        return `body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; margin: 30px; font-size: 13px; }
+h1 { color: #3f4fb8; } h2 { color: #3f4fb8; border-bottom: 2px solid #dde1f5; padding-bottom: 4px; margin-top: 28px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; } th, td { border: 1px solid #dee2e6; padding: 4px 6px; text-align: left; vertical-align: top; word-break: break-word; }
+th { background: #eef0fb; } .meta { color: #666; } .notes { white-space: pre-wrap; background: #f8f9fa; border-left: 4px solid #667eea; padding: 8px 12px; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }`;
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,318 @@
+// Investigation - merges parsed events from every dropped file into one correlated, time-ordered dataset
+class Investigation {
+    constructor() {
+        // Fields that identify the same real-world event regardless of which source reported it
+        this.identityFields = {
+            processes: ['host', 'processId', 'processName'],
+            networkConnections: ['host', 'processId', 'sourceIp', 'sourcePort', 'destinationIp', 'destinationPort'],
+            fileActivities: ['host', 'filePath', 'action'],
+            dnsQueries: ['host', 'processId', 'queryName'],
+            registryChanges: ['host', 'key', 'valueName'],
+            threats: ['host', 'threatName', 'filePath'],
+            processTerminations: ['host', 'processId'],
+            dllActivities: ['host', 'processId', 'imageLoaded'],
+            processAccess: ['host', 'action', 'sourceProcessId', 'targetProcessId', 'grantedAccess'],
+            pipeActivities: ['host', 'action', 'processId', 'pipeName'],
+            wmiActivities: ['host', 'action', 'operation', 'name'],
+            userActivities: ['host', 'action', 'user', 'logonId', 'sourceIp']
+        };
+        // Two sources reporting the same event rarely agree to the millisecond
+        this.duplicateWindowMs = 1000;
+        // Runs the detections that are the same for every source over the merged events (BaseLogParser.detectIndicators)
+        this.detector = new BaseLogParser('investigation');
+        this.reset();
+    }
+
+    reset() {
+        this.sources = [];
+        this.parsedData = BaseLogParser.createEmptyParsedData();
+        this.identityIndex = {};
+        // Epoch milliseconds of every merged record (NaN without a time), parsed once rather than on every comparison
+        this.recordTimes = new Map();
+        // Indicators detectIndicators raised over the merged events; null until the next visualization runs it again
+        this.indicators = null;
+        // Analyst verdicts, tags and notes (investigation-case.js)
+        this.annotations = new InvestigationAnnotations();
+    }
+
+    // Adds everything a parser collected from one file. The parser's vendor alerts (nativeIndicators) are kept per source;
+    // every other detection runs again over the merged events. A reopened case passes the alerts it was saved with, so they
+    // come back even if the parser would not raise them now.
+    addSource(fileName, format, parser, indicators = parser.nativeIndicators()) {
+        const source = {
+            fileName,
+            format,
+            records: 0,
+            duplicates: 0,
+            // What the parser read, kept and skipped from the file (IngestionReport)
+            report: parser.report,
+            parser,
+            indicators
+        };
+
+        Object.keys(parser.parsedData).forEach(bucket => {
+            if (!this.parsedData[bucket]) this.parsedData[bucket] = [];
+            const added = [];
+            parser.parsedData[bucket].forEach(record => {
+                source.records++;
+                const normalized = {
+                    ...record,
+                    timestamp: normalizeTimestamp(record.timestamp),
+                    source: fileName,
+                    sourceFormat: format,
+                    sources: [fileName]
+                };
+                this.recordTimes.set(normalized, parseTimestamp(normalized.timestamp));
+                if (this.mergeDuplicate(bucket, normalized)) {
+                    source.duplicates++;
+                } else {
+                    added.push(normalized);
+                }
+            });
+            this.insertInOrder(this.parsedData[bucket], added);
+        });
+        this.sources.push(source);
+        this.indicators = null;
+        return source;
+    }
+
+    // The investigation as a case (investigation-case.js): each source's parsed events, report and detections, and the
+    // annotations. view holds what the page needs to show it as it was, e.g. { id, name, query, timeWindow, notes }.
+    toCase(view = {}) {
+        return {
+            format: CASE_FILE_FORMAT,
+            version: CASE_FILE_VERSION,
+            ...view,
+            sources: this.sources.map(source => ({
+                fileName: source.fileName,
+                format: source.format,
+                report: source.report ? source.report.toJSON() : null,
+                parsedData: source.parser.parsedData,
+                indicators: source.indicators
+            })),
+            indicators: this.mergedIndicators(),
+            annotations: this.annotations.toJSON()
+        };
+    }
+
+    // Replaces the investigation with a saved case. Sources are merged again, so duplicates fold as they did when dropped.
+    restoreCase(caseData) {
+        const parsers = caseData.sources.map(saved => {
+            const parser = parserRegistry.create(saved.format);
+            if (!parser) throw new Error(`${saved.fileName} was parsed as "${saved.format}", which no loaded parser handles`);
+            parser.parsedData = { ...BaseLogParser.createEmptyParsedData(), ...saved.parsedData };
+            parser.report = IngestionReport.from(saved.report || { fileName: saved.fileName }, saved.format);
+            return parser;
+        });
+        this.reset();
+        caseData.sources.forEach((saved, index) => {
+            this.addSource(saved.fileName, saved.format, parsers[index], saved.indicators || []);
+        });
+        // Detections come back as they were saved, even if the rules or feeds that raised them are not loaded now.
+        // Version 1 files kept every detection with its source.
+        this.indicators = caseData.indicators || [];
+        this.annotations.load(caseData.annotations);
+    }
+
+    // Re-runs every detection, e.g. after Sigma rules were loaded or changed
+    reevaluate() {
+        this.sources.forEach(source => {
+            source.indicators = source.parser.nativeIndicators();
+        });
+        this.indicators = null;
+    }
+
+    mergedIndicators() {
+        if (!this.indicators) this.indicators = this.detector.detectIndicators(this.parsedData);
+        return this.indicators;
+    }
+
+    // Folds a record into an existing one when another source reported the same event; returns true if merged.
+    // Two records from one file are two events, even in the same millisecond, and without a time there is no telling.
+    mergeDuplicate(bucket, record) {
+        const key = bucket + '|' + this.identityKey(bucket, record);
+        const candidates = this.identityIndex[key] || (this.identityIndex[key] = []);
+        const time = this.recordTimes.get(record);
+
+        const existing = isNaN(time) ? null : candidates.find(candidate => {
+            const candidateTime = this.recordTimes.get(candidate);
+            return !isNaN(candidateTime) && !candidate.sources.includes(record.source) && Math.abs(candidateTime - time) <= this.duplicateWindowMs;
+        });
+
+        if (!existing) {
+            candidates.push(record);
+            return false;
+        }
+
+        // Keep the richest value for each field, e.g. Sysmon's full image path over Defender's file name
+        Object.keys(record).forEach(field => {
+            const current = existing[field];
+            if (current === undefined || current === null || current === '' || current === 'N/A') existing[field] = record[field];
+        });
+        if (!existing.sources.includes(record.source)) existing.sources.push(record.source);
+        return true;
+    }
+
+    // Names an event the same way in every session: its bucket, time and identifying fields
+    eventKey(bucket, record) {
+        return `${bucket}|${normalizeTimestamp(record.timestamp)}|${this.identityKey(bucket, record)}`;
+    }
+
+    indicatorKey(indicator) {
+        if (typeof indicator !== 'object') return `indicator|${indicator}`;
+        const origin = indicator.event && indicator.bucket
+            ? this.eventKey(indicator.bucket, indicator.event)
+            : normalizeTimestamp(indicator.timestamp);
+        return `indicator|${indicator.threatName}|${origin}`;
+    }
+
+    // Copy of the record carrying its annotation's fields, or the record itself when it has none
+    annotate(key, record) {
+        const annotation = this.annotations.get(key);
+        return annotation ? { ...record, ...annotation } : record;
+    }
+
+    identityKey(bucket, record) {
+        const fields = this.identityFields[bucket];
+        if (!fields) {
+            const { timestamp, source, sourceFormat, sources, ...rest } = record;
+            return JSON.stringify(rest, Object.keys(rest).sort());
+        }
+        return fields.map(field => String(record[field] ?? '').toLowerCase()).join('|');
+    }
+
+    // Groups events from different sources that share a host, user, process or file path
+    correlate(parsedData = this.parsedData) {
+        const entities = {};
+        const add = (type, value, bucket, record) => {
+            if (!value || value === 'N/A') return;
+            const key = `${type}|${String(value).toLowerCase()}`;
+            const entity = entities[key] || (entities[key] = { type, value, sources: new Set(), formats: new Set(), events: [] });
+            record.sources.forEach(source => entity.sources.add(source));
+            entity.formats.add(record.sourceFormat);
+            entity.events.push({ bucket, record });
+        };
+
+        // Some sources only report a file name; tie those to the full paths that end with it
+        const pathsByName = {};
+        parsedData.fileActivities.concat(parsedData.threats).forEach(record => {
+            if (!record.filePath || !/[\\/]/.test(record.filePath)) return;
+            const name = this.fileName(record.filePath);
+            (pathsByName[name] || (pathsByName[name] = new Set())).add(record.filePath.toLowerCase());
+        });
+
+        Object.keys(parsedData).forEach(bucket => {
+            parsedData[bucket].forEach(record => {
+                add('host', record.host, bucket, record);
+                add('user', record.user, bucket, record);
+                add('process', record.processName, bucket, record);
+                if (!record.filePath) return;
+                if (/[\\/]/.test(record.filePath)) {
+                    add('file', record.filePath, bucket, record);
+                } else {
+                    const fullPaths = pathsByName[record.filePath.toLowerCase()];
+                    if (fullPaths) fullPaths.forEach(path => add('file', path, bucket, record));
+                    else add('file', record.filePath, bucket, record);
+                }
+            });
+        });
+
+        return Object.values(entities)
+            .filter(entity => entity.sources.size > 1)
+            .map(entity => ({
+                type: entity.type,
+                value: entity.value,
+                sources: [...entity.sources],
+                formats: [...entity.formats],
+                eventCount: entity.events.length,
+                events: entity.events.sort((a, b) => this.compareTime(a.record.timestamp, b.record.timestamp))
+            }))
+            .sort((a, b) => b.sources.length - a.sources.length || b.eventCount - a.eventCount);
+    }
+
+    // Builds the same visualization shape the parsers produce, over the merged dataset.
+    // A time window ({ start, end } in epoch ms) and an EventQuery (event-query.js) narrow every section
+    // except the timeline, which always spans everything.
+    generateVisualizationData(timeWindow = null, query = null) {
+        let parsedData = filterParsedData(this.parsedData, timeWindow);
+        // Annotations are record fields by then, so the query can find them, e.g. tags:exfil or -verdict:false_positive
+        if (this.annotations.size > 0) {
+            const annotated = {};
+            Object.keys(parsedData).forEach(bucket => {
+                annotated[bucket] = parsedData[bucket].map(record => this.annotate(this.eventKey(bucket, record), record));
+            });
+            parsedData = annotated;
+        }
+        if (query) parsedData = query.filter(parsedData);
+        const visualization = {
+            aptPatterns: { threatIndicators: [] },
+            ...BaseLogParser.buildEventMaps(parsedData),
+            correlations: [],
+            sources: this.sources.map(({ indicators, parser, ...source }) => source),
+            timeWindow,
+            query: query ? query.text : null
+        };
+
+        // The same alert on the same event from two files, e.g. a threat both Defender and Wazuh reported, is kept once
+        const indicators = [];
+        const seenIndicators = new Set();
+        const addIndicator = (indicator, source) => {
+            const key = this.indicatorKey(indicator);
+            if (seenIndicators.has(key)) return;
+            seenIndicators.add(key);
+            indicators.push(typeof indicator === 'object'
+                ? this.annotate(key, { ...indicator, severity: normalizeSeverity(indicator.severity), timestamp: normalizeTimestamp(indicator.timestamp), source })
+                : indicator);
+        };
+        this.sources.forEach(source => source.indicators.forEach(indicator => addIndicator(indicator, source.fileName)));
+        this.mergedIndicators().forEach(indicator =>
+            addIndicator(indicator, typeof indicator === 'object' && indicator.event && indicator.event.sources ? indicator.event.sources.join(', ') : undefined));
+
+        visualization.aptPatterns.threatIndicators = indicators.filter(indicator =>
+            (typeof indicator !== 'object' || withinTimeWindow(indicator.timestamp, timeWindow)) && (!query || query.matchesIndicator(indicator)));
+        visualization.aptPatterns.attackMatrix = new AttackMatrixBuilder(visualization.aptPatterns.threatIndicators).build();
+        // Indicators from every source are linked through the merged process tree
+        visualization.aptPatterns.attackChain = new AttackChainBuilder(parsedData, visualization.aptPatterns.threatIndicators).build();
+        visualization.correlations = this.correlate(parsedData);
+        visualization.timeline = new TimelineBuilder(this.parsedData, indicators).build();
+        visualization.hostMap.hosts = new HostSummaryBuilder(parsedData, visualization.aptPatterns.threatIndicators).build();
+
+        return visualization;
+    }
+
+    fileName(path) {
+        return String(path).split('\\').pop().split('/').pop().toLowerCase();
+    }
+
+    // Sorts the records one file added and merges them into a bucket that is already in time order, events without a
+    // time last. Records of the same time keep the order they arrived in.
+    insertInOrder(records, added) {
+        const sortTime = record => {
+            const time = this.recordTimes.get(record);
+            return isNaN(time) ? Infinity : time;
+        };
+        const entries = added.map(record => ({ record, time: sortTime(record) }));
+        entries.sort((a, b) => (a.time === b.time ? 0 : a.time - b.time));
+
+        let index = records.length - 1;
+        let time = index >= 0 ? sortTime(records[index]) : 0;
+        entries.forEach(entry => records.push(entry.record));
+        for (let entry = entries.length - 1, target = records.length - 1; entry >= 0; target--) {
+            if (index >= 0 && time > entries[entry].time) {
+                records[target] = records[index--];
+                if (index >= 0) time = sortTime(records[index]);
+            } else {
+                records[target] = entries[entry--].record;
+            }
+        }
+    }
+
+    compareTime(a, b) {
+        const timeA = parseTimestamp(a);
+        const timeB = parseTimestamp(b);
+        if (isNaN(timeA) && isNaN(timeB)) return 0;
+        if (isNaN(timeA)) return 1;
+        if (isNaN(timeB)) return -1;
+        return timeA - timeB;
+    }
+}
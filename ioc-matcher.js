@@ -0,0 +1,403 @@
+// IOC Matcher - matches normalized events against locally loaded threat-intelligence feeds and an allowlist of known-good infrastructure.
+// Feeds can be STIX 2.1 bundles (indicator patterns), MISP JSON exports (events or attribute searches) or CSV/plain lists.
+// IOC types: IPv4/IPv6 addresses and CIDR ranges, domains (matching their subdomains too), MD5/SHA1/SHA256 hashes,
+// file paths or file names with * wildcards, and URLs, matched against the URLs in process command lines.
+// Defanged values such as 1.2.3[.]4 are accepted.
+
+const IOC_TYPE_LABELS = { ip: 'IP address', domain: 'domain', hash: 'file hash', path: 'file path', url: 'URL' };
+
+// The lists a feed can be loaded into: indicators of compromise, and the allowlist of known-good values
+const IOC_LISTS = ['ioc', 'allow'];
+
+// Fields of each bucket checked against the lists, with the IOC type they hold
+const IOC_RECORD_FIELDS = {
+    networkConnections: [['destinationIp', 'ip'], ['sourceIp', 'ip'], ['destinationHostname', 'domain']],
+    dnsQueries: [['queryName', 'domain'], ['queryResults', 'answers']],
+    fileActivities: [['filePath', 'path'], ['hashes', 'hashes']],
+    processes: [['image', 'path'], ['hashes', 'hashes'], ['commandLine', 'urls']],
+    dllActivities: [['imageLoaded', 'path'], ['hashes', 'hashes']],
+    threats: [['filePath', 'path']]
+};
+
+// File extensions that make a bare "name.ext" a file name rather than a domain
+const IOC_FILE_EXTENSIONS = ['exe', 'dll', 'sys', 'scr', 'ps1', 'psm1', 'bat', 'cmd', 'vbs', 'vbe', 'jse', 'wsf', 'hta', 'lnk', 'msi', 'jar', 'tmp', 'dat', 'bin', 'iso', 'img', 'docm', 'xlsm', 'elf', 'so'];
+
+class IocMatcher {
+    constructor() {
+        // { origin, list: 'ioc' | 'allow', type, value, description, severity, techniqueId, pattern?, range? } per loaded IOC
+        this.entries = [];
+        // { origin, list, message } for every feed or value that could not be loaded
+        this.errors = [];
+        this.index = null;
+    }
+
+    // Loads every IOC in a feed file. list 'allow' loads known-good values that never match and silence network detections.
+    // Returns the number of values loaded; throws for any other list name.
+    loadFeed(text, origin, list = 'ioc') {
+        if (!IOC_LISTS.includes(list)) throw new Error(`Unknown IOC list "${list}"; one of ${IOC_LISTS.join(', ')}`);
+        let values;
+        try {
+            values = this.parseFeed(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            this.errors.push({ origin, list, message: error.message });
+            return 0;
+        }
+        let loaded = 0;
+        values.forEach(value => {
+            if (value.error) {
+                this.errors.push({ origin, list, message: value.error });
+                return;
+            }
+            const entry = this.compileEntry(value, origin, list);
+            if (entry) {
+                this.entries.push(entry);
+                loaded++;
+            }
+        });
+        if (loaded === 0) this.errors.push({ origin, list, message: 'No IP addresses, domains, hashes, file paths or URLs found' });
+        this.index = null;
+        return loaded;
+    }
+
+    // Drops the IOCs (and load errors) of one feed, or everything when no origin is given. A feed is its origin in one
+    // list, so a file loaded as both IOCs and allowlist keeps the other; without a list the origin goes from both.
+    removeFeeds(origin, list) {
+        const inFeed = item => item.origin === origin && (list === undefined || item.list === list);
+        this.entries = origin === undefined ? [] : this.entries.filter(entry => !inFeed(entry));
+        this.errors = origin === undefined ? [] : this.errors.filter(error => !inFeed(error));
+        this.index = null;
+    }
+
+    // [{ origin, list, count, types: { ip, domain, hash, path, url } }] for the status line
+    feeds() {
+        const feeds = new Map();
+        this.entries.forEach(entry => {
+            const key = `${entry.list}|${entry.origin}`;
+            if (!feeds.has(key)) feeds.set(key, { origin: entry.origin, list: entry.list, count: 0, types: {} });
+            const feed = feeds.get(key);
+            feed.count++;
+            feed.types[entry.type] = (feed.types[entry.type] || 0) + 1;
+        });
+        return [...feeds.values()];
+    }
+
+    // Returns [{ ioc, bucket, record, field, value }] in time order; value is what the event held, ioc.value what the feed listed
+    evaluate(parsedData) {
+        const matches = [];
+        if (!this.entries.some(entry => entry.list === 'ioc')) return matches;
+        Object.keys(IOC_RECORD_FIELDS).forEach(bucket => {
+            (parsedData[bucket] || []).forEach(record => {
+                const seen = new Set();
+                this.recordValues(bucket, record).forEach(({ field, type, value }) => {
+                    if (this.lookup('allow', type, value).length > 0) return;
+                    this.lookup('ioc', type, value).forEach(ioc => {
+                        const key = `${ioc.origin}|${ioc.type}|${ioc.value}`;
+                        if (seen.has(key)) return;
+                        seen.add(key);
+                        matches.push({ ioc, bucket, record, field, value });
+                    });
+                });
+            });
+        });
+        return matches.sort((a, b) => (parseTimestamp(a.record.timestamp) || 0) - (parseTimestamp(b.record.timestamp) || 0));
+    }
+
+    // True for connections and DNS queries to allowlisted infrastructure; detections on them are dropped
+    isAllowlisted(bucket, record) {
+        if (bucket !== 'networkConnections' && bucket !== 'dnsQueries') return false;
+        if (!this.entries.some(entry => entry.list === 'allow')) return false;
+        const fields = bucket === 'networkConnections' ? ['destinationIp', 'destinationHostname'] : ['queryName'];
+        return this.recordValues(bucket, record)
+            .some(({ field, type, value }) => fields.includes(field) && this.lookup('allow', type, value).length > 0);
+    }
+
+    // --- Matching ---
+
+    // The { field, type, value } pairs of a record worth looking up, with answers, hash lists and command-line URLs split up
+    recordValues(bucket, record) {
+        const values = [];
+        (IOC_RECORD_FIELDS[bucket] || []).forEach(([field, kind]) => {
+            const raw = record[field];
+            if (raw === undefined || raw === null || raw === '' || raw === 'N/A') return;
+            if (kind === 'hashes') {
+                this.hashValues(raw).forEach(value => values.push({ field, type: 'hash', value }));
+            } else if (kind === 'urls') {
+                // Quotes and closing brackets around a URL in a command line are not part of it
+                (String(raw).match(/\b[a-z][a-z0-9+.-]*:\/\/[^\s"'`<>]+/gi) || [])
+                    .forEach(url => values.push({ field, type: 'url', value: url.replace(/[)\],;.]+$/, '') }));
+            } else if (kind === 'answers') {
+                // Sysmon joins answers with ";" and prefixes non-A records, e.g. "type: 5 cdn.example.net;93.184.216.34"
+                String(raw).split(/[;,\s]+/).forEach(answer => {
+                    const token = answer.replace(/^::ffff:/i, '');
+                    const type = this.classify(token);
+                    if (type === 'ip' || type === 'domain') values.push({ field, type, value: token });
+                });
+            } else {
+                values.push({ field, type: kind, value: String(raw) });
+            }
+        });
+        return values;
+    }
+
+    // Sysmon's "SHA256=...,MD5=..." string (its IMPHASH is not a file hash), Wazuh's { md5, sha1, sha256 } object or a bare hash
+    hashValues(hashes) {
+        const source = typeof hashes === 'object'
+            ? Object.values(hashes).join(',')
+            : String(hashes).split(',').filter(part => !/^\s*imphash=/i.test(part)).join(',');
+        return (source.match(/\b[0-9a-f]{32,128}\b/gi) || []).filter(hash => [32, 40, 64, 128].includes(hash.length));
+    }
+
+    lookup(list, type, value) {
+        if (!this.index) this.buildIndex();
+        const index = this.index[list];
+        const normalized = this.normalize(type, value);
+        if (!normalized) return [];
+
+        if (type === 'ip') {
+            const address = parseHostAddress(value);
+            return (index.exact.get(`ip|${normalized}`) || []).concat(index.ranges.filter(entry => ipInRange(address, entry.range)));
+        }
+        if (type === 'domain') {
+            // evil.example matches evil.example and every name below it
+            const labels = normalized.split('.');
+            const found = [];
+            for (let i = 0; i < labels.length - 1; i++) found.push(...(index.exact.get(`domain|${labels.slice(i).join('.')}`) || []));
+            return found;
+        }
+        if (type === 'path') {
+            const name = normalized.split(/[\\/]/).pop();
+            return (index.exact.get(`path|${normalized}`) || [])
+                .concat(index.exact.get(`name|${name}`) || [])
+                .concat(index.patterns.filter(entry => entry.pattern.test(normalized)));
+        }
+        return index.exact.get(`${type}|${normalized}`) || [];
+    }
+
+    buildIndex() {
+        const createIndex = () => ({ exact: new Map(), ranges: [], patterns: [] });
+        this.index = { ioc: createIndex(), allow: createIndex() };
+        this.entries.forEach(entry => {
+            const index = this.index[entry.list];
+            if (entry.range) {
+                index.ranges.push(entry);
+            } else if (entry.pattern) {
+                index.patterns.push(entry);
+            } else {
+                // A path IOC without a folder is a file name and matches that name anywhere
+                const key = entry.type === 'path' && !/[\\/]/.test(entry.value) ? `name|${entry.value}` : `${entry.type}|${entry.value}`;
+                if (!index.exact.has(key)) index.exact.set(key, []);
+                index.exact.get(key).push(entry);
+            }
+        });
+    }
+
+    // --- Feed parsing ---
+
+    // Returns [{ type?, value, description, severity, techniqueId }]; values without a type are classified by shape.
+    // { error } stands for an indicator the feed holds but that cannot be loaded.
+    parseFeed(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let json;
+            try {
+                json = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Feed is not valid JSON: ${error.message}`);
+            }
+            if (isPlainObject(json) && (json.type === 'bundle' || Array.isArray(json.objects))) return this.parseStixBundle(json);
+            return this.parseMispExport(json);
+        }
+        return this.parseList(text);
+    }
+
+    // STIX 2.1: the comparisons in each indicator's pattern; an OR of several values yields one IOC per value.
+    // A pattern that needs several comparisons to hold together (AND, FOLLOWEDBY) cannot be matched one value at a time,
+    // so the indicator is reported as { error } instead.
+    parseStixBundle(bundle) {
+        const values = [];
+        (bundle.objects || []).forEach(object => {
+            if (!isPlainObject(object) || object.type !== 'indicator' || object.revoked) return;
+            if (object.pattern_type && object.pattern_type !== 'stix') return;
+            const description = object.name || object.description || null;
+            const techniqueId = extractTechniqueIds((object.external_references || []).map(reference => reference && reference.external_id))[0];
+            const pattern = String(object.pattern || '');
+            if (/\b(AND|FOLLOWEDBY)\b/i.test(pattern.replace(/'(?:\\.|[^'\\])*'/g, "''"))) {
+                values.push({ error: `Indicator "${description || object.id}" is skipped: patterns joined with AND or FOLLOWEDBY are not supported` });
+                return;
+            }
+            const comparison = /([a-z0-9-]+):([a-z0-9_.'-]+)\s*(=|LIKE)\s*'((?:\\.|[^'\\])*)'/gi;
+            let match;
+            while ((match = comparison.exec(pattern)) !== null) {
+                const [, objectType, property, operator, quoted] = match;
+                const literal = quoted.replace(/\\(.)/g, '$1');
+                const type = this.stixType(objectType.toLowerCase(), property.toLowerCase());
+                if (!type) continue;
+                // LIKE uses SQL wildcards; only paths keep them, as *
+                if (operator.toUpperCase() === 'LIKE' && type !== 'path') continue;
+                values.push({ type, value: operator.toUpperCase() === 'LIKE' ? literal.replace(/%/g, '*') : literal, description, techniqueId });
+            }
+        });
+        return values;
+    }
+
+    stixType(objectType, property) {
+        if ((objectType === 'ipv4-addr' || objectType === 'ipv6-addr') && property === 'value') return 'ip';
+        if (objectType === 'network-traffic' && /^(dst|src)_ref\.value$/.test(property)) return 'ip';
+        if (objectType === 'domain-name' && property === 'value') return 'domain';
+        if (objectType === 'url' && property === 'value') return 'url';
+        if (objectType === 'file' && property.startsWith('hashes.')) return 'hash';
+        if (objectType === 'file' && property === 'name') return 'path';
+        return null;
+    }
+
+    // MISP: { Event }, { response: [{ Event }] }, [{ Event }] or an attribute search { response: { Attribute: [...] } }.
+    // Attributes marked to_ids: false are context, not detections, and are left out.
+    parseMispExport(json) {
+        const values = [];
+        const severities = { 1: 'high', 2: 'medium', 3: 'low' };
+        const addAttributes = (attributes, event) => (attributes || []).forEach(attribute => {
+            if (!isPlainObject(attribute) || attribute.to_ids === false) return;
+            const tags = (attribute.Tag || []).concat((event && event.Tag) || []).map(tag => tag && tag.name);
+            const context = {
+                description: attribute.comment || (event && event.info) || null,
+                severity: event ? severities[Number(event.threat_level_id)] : undefined,
+                techniqueId: extractTechniqueIds(tags.join(' '))[0]
+            };
+            const types = String(attribute.type || '').split('|');
+            const parts = String(attribute.value || '').split('|');
+            types.forEach((type, i) => {
+                const iocType = this.mispType(type);
+                if (iocType && parts[i]) values.push({ ...context, type: iocType, value: parts[i] });
+            });
+        });
+        const addEvent = event => {
+            if (!isPlainObject(event)) return;
+            addAttributes(event.Attribute, event);
+            (event.Object || []).forEach(object => addAttributes(object && object.Attribute, event));
+        };
+
+        const items = Array.isArray(json) ? json : [json];
+        items.forEach(item => {
+            if (!isPlainObject(item)) return;
+            if (Array.isArray(item.response)) item.response.forEach(entry => addEvent(isPlainObject(entry) && entry.Event ? entry.Event : entry));
+            else if (isPlainObject(item.response) && Array.isArray(item.response.Attribute)) addAttributes(item.response.Attribute, null);
+            else if (item.Event) addEvent(item.Event);
+            else if (Array.isArray(item.Attribute)) addEvent(item);
+        });
+        if (values.length === 0 && !items.some(item => isPlainObject(item) && (item.Event || item.response || item.Attribute))) {
+            throw new Error('JSON feed is neither a STIX 2.1 bundle nor a MISP export');
+        }
+        return values;
+    }
+
+    mispType(type) {
+        if (/^ip(-src|-dst)?$/.test(type)) return 'ip';
+        if (type === 'domain' || type === 'hostname') return 'domain';
+        if (type === 'url' || type === 'link') return 'url';
+        if (/^(md5|sha1|sha256|sha512)$/.test(type)) return 'hash';
+        if (type === 'filename') return 'path';
+        return null;
+    }
+
+    // CSV or plain lists: every cell that looks like an IOC is one; headers, comments and other columns are ignored
+    parseList(text) {
+        const values = [];
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+            this.splitCsvLine(trimmed).forEach(cell => {
+                if (cell) values.push({ value: cell });
+            });
+        });
+        return values;
+    }
+
+    splitCsvLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',' || ch === ';' || ch === '\t') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    compileEntry(value, origin, list) {
+        const text = this.refang(String(value.value === undefined || value.value === null ? '' : value.value).trim());
+        const type = value.type || this.classify(text);
+        if (!type || !IOC_TYPE_LABELS[type]) return null;
+
+        const entry = {
+            origin,
+            list,
+            type,
+            value: null,
+            listed: text,
+            description: value.description || null,
+            severity: value.severity || null,
+            techniqueId: value.techniqueId || null
+        };
+        if (type === 'ip' && text.includes('/')) {
+            entry.range = parseCidrRange(text);
+            if (!entry.range) return null;
+            entry.value = text;
+            return entry;
+        }
+        entry.value = this.normalize(type, text);
+        if (!entry.value) return null;
+        if (type === 'path' && entry.value.includes('*')) {
+            const source = entry.value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\\/]/g, '\\$&')).join('.*');
+            entry.pattern = new RegExp(`^${/[\\/]/.test(entry.value) ? '' : '(?:.*[\\\\/])?'}${source}$`, 'i');
+        }
+        return entry;
+    }
+
+    // The IOC type a bare value looks like, or null
+    classify(text) {
+        if (!text) return null;
+        if (/^[0-9a-f:.\[\]]+(\/\d{1,3})?$/i.test(text) && parseCidrRange(text)) return 'ip';
+        if (/^[0-9a-f]+$/i.test(text) && [32, 40, 64, 128].includes(text.length)) return 'hash';
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) return 'url';
+        if (/^[a-z]:[\\/]|^\\\\|^\/|^%\w+%|\\/i.test(text)) return 'path';
+        const extension = (text.match(/\.([a-z0-9]+)$/i) || [])[1];
+        if (extension && IOC_FILE_EXTENSIONS.includes(extension.toLowerCase()) && !text.includes('/')) return 'path';
+        if (/^(\*\.)?([a-z0-9_-]+\.)+[a-z][a-z0-9-]{1,62}\.?$/i.test(text)) return 'domain';
+        return null;
+    }
+
+    normalize(type, value) {
+        const text = String(value).trim().toLowerCase();
+        if (type === 'ip') return ipAddressKey(text);
+        if (type === 'domain') return text.replace(/^\*\./, '').replace(/\.$/, '');
+        if (type === 'hash') return /^[0-9a-f]+$/.test(text) && [32, 40, 64, 128].includes(text.length) ? text : null;
+        if (type === 'path') return text.replace(/\//g, '\\');
+        // The fragment never leaves the client, and a trailing slash names the same resource
+        if (type === 'url') return text.replace(/#.*$/, '').replace(/\/+$/, '');
+        return text;
+    }
+
+    // Undoes the usual defanging: hxxp://, [.], (.), {.}, [:]
+    refang(text) {
+        return text.replace(/^hxxp/i, 'http').replace(/\[\.\]|\(\.\)|\{\.\}|\[dot\]/gi, '.').replace(/\[:\]/g, ':');
+    }
+}
+
+const iocMatcher = new IocMatcher();
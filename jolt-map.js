@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// jolt-map - batch analysis of log files from the command line; see jolt.js, or run "jolt-map --help"
+require('./jolt').main(process.argv.slice(2)).then(
+    status => { process.exitCode = status; },
+    error => {
+        console.error(`jolt-map: ${error.stack || error.message}`);
+        process.exitCode = 2;
+    }
+);
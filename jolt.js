@@ -0,0 +1,431 @@
+// Jolt for Node.js - the page's parsers, detections and exports without a browser, for batch analysis in triage pipelines.
+// The scripts index_final.html loads run unchanged in one VM context per Jolt instance, so a parser or rule change reaches
+// the page, the library and the jolt-map command alike.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+// Page scripts in the order index_final.html loads them. log-ingest.js is left out: it hands files to a Web Worker, and
+// here each file is streamed through its parser directly.
+const JOLT_SCRIPTS = [
+    'event-utils.js',
+    'windows-event-reader.js',
+    'mitre-attack.js',
+    'yaml-parser.js',
+    'network-zones.js',
+    'sigma-engine.js',
+    'sigma-rules.js',
+    'ioc-matcher.js',
+    'process-tree.js',
+    'timeline.js',
+    'attack-chain.js',
+    'file-graph.js',
+    'file-lifecycle.js',
+    'network-graph.js',
+    'host-activity.js',
+    'user-activity.js',
+    'command-line.js',
+    'json-stream.js',
+    'sha256.js',
+    'ingestion-report.js',
+    'base-parser.js',
+    'parser-registry.js',
+    'format-detector.js',
+    'event-query.js',
+    'investigation.js',
+    'investigation-case.js',
+    'investigation-export.js',
+    'sysmon-parser.js',
+    'defender-parser.js',
+    'elk-parser.js',
+    'wazuh-parser.js'
+];
+
+// Page globals a Jolt instance hands out
+const JOLT_GLOBALS = [
+    'parserRegistry', 'LogFormatDetector', 'Investigation', 'InvestigationExporter', 'EventQuery', 'sigmaEngine', 'iocMatcher',
+    'EXPORT_SECTIONS', 'SIGMA_DEFAULT_RULES', 'HOST_SEVERITY_ORDER', 'DETECTION_SAMPLE_BYTES', 'decodeText'
+];
+
+// What --out's extension implies when --report is not given
+const REPORT_EXTENSIONS = { '.json': 'json', '.csv': 'csv', '.html': 'html', '.htm': 'html', '.txt': 'text' };
+
+const CLI_USAGE = `Usage: jolt-map analyze [options] <file...>
+       jolt-map formats
+
+Parses the log files, runs the detections and reports what was found. "-" reads standard input.
+
+Options:
+  -f, --format <format>    Log format of every file, or "auto" to detect each one (default: auto)
+  -r, --report <type>      text, json, csv, stix or html (default: from --out's extension, else text)
+  -o, --out <file>         Write the report to a file instead of standard output
+  -s, --section <name>     Section for json and csv, or "all" for json (default: alerts)
+  -q, --query <query>      Narrow the analysis, e.g. "host:ws01 -verdict:false_positive"
+      --sigma <file|dir>   Load Sigma rules (.yml/.yaml) on top of the bundled ones; repeatable
+      --ioc <file>         Load an IOC feed (list, CSV, STIX 2.1 bundle or MISP export); repeatable
+      --allowlist <file>   Load an allowlist of known-good values; repeatable
+      --fail-on <level>    Exit 1 when an indicator is at least this severe: critical, high, medium, low, or none (default: high)
+  -v, --verbose            Show the parsers' progress messages on standard error
+  -h, --help               Show this help
+
+Exit status: 0 when nothing reached --fail-on, 1 when something did, 2 on a usage error or a file that could not be analyzed.`;
+
+let compiledScripts = null;
+
+// Compiled once per process; every instance runs them in its own context
+function joltScripts() {
+    if (!compiledScripts) {
+        compiledScripts = JOLT_SCRIPTS.map(name => {
+            const filename = path.join(__dirname, name);
+            return new vm.Script(fs.readFileSync(filename, 'utf8'), { filename });
+        });
+    }
+    return compiledScripts;
+}
+
+// The browser APIs the scripts use. The binary types are Node's own, so buffers read here pass the scripts' instanceof
+// checks. The page logs progress with console.log; that goes to log (silent by default), warnings and errors to stderr.
+function createJoltContext(log) {
+    const quiet = () => {};
+    const context = vm.createContext({
+        console: {
+            log: log || quiet,
+            info: log || quiet,
+            debug: log || quiet,
+            warn: (...args) => console.error(...args),
+            error: (...args) => console.error(...args)
+        },
+        TextDecoder, TextEncoder, atob, btoa, crypto, Blob, File, DOMException, URL, AbortController, setTimeout, clearTimeout,
+        ArrayBuffer, DataView, Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+        Float32Array, Float64Array, BigInt64Array, BigUint64Array
+    });
+    joltScripts().forEach(script => script.runInContext(context));
+    return context;
+}
+
+// A Blob from a string, Buffer, typed array, ArrayBuffer, Blob or readable stream. A stream is read to its end first,
+// because format detection needs the head of the file and Sysmon's .evtx reader the whole of it.
+async function toBlob(input) {
+    if (input instanceof Blob) return input;
+    if (typeof input === 'string' || input instanceof ArrayBuffer || ArrayBuffer.isView(input)) return new Blob([input]);
+    if (input && typeof input[Symbol.asyncIterator] === 'function') {
+        const chunks = [];
+        for await (const chunk of input) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        return new Blob(chunks);
+    }
+    throw new TypeError('Expected a string, Buffer, ArrayBuffer, Blob or readable stream');
+}
+
+// Indicators carry severities already folded onto one scale (normalizeSeverity in event-utils.js)
+function severityOf(indicator) {
+    return (typeof indicator === 'object' && indicator.severity) || 'unknown';
+}
+
+class Jolt {
+    // options: { log (receives the scripts' console.log output; silent by default) }
+    constructor(options = {}) {
+        this.context = createJoltContext(options.log);
+        this.globals = vm.runInContext(`({ ${JOLT_GLOBALS.join(', ')} })`, this.context);
+        this.detector = new this.globals.LogFormatDetector(this.globals.parserRegistry);
+        this.investigation = new this.globals.Investigation();
+    }
+
+    get sigmaEngine() {
+        return this.globals.sigmaEngine;
+    }
+
+    get iocMatcher() {
+        return this.globals.iocMatcher;
+    }
+
+    // [{ format, label }] of every registered parser
+    formats() {
+        return this.globals.parserRegistry.list().map(({ format, label }) => ({ format, label }));
+    }
+
+    // Same result as the page's detection (LogFormatDetector.detect) for text content
+    detectFormat(content, fileName) {
+        return this.detector.detect(content, fileName);
+    }
+
+    // Adds a file from disk. options: { format ('auto' or a registered format), onProgress }
+    async addFile(filePath, options = {}) {
+        // openAsBlob only says it could not open the file; stat names what is wrong
+        if (!fs.statSync(filePath).isFile()) throw new Error(`${filePath} is not a file`);
+        const blob = await fs.openAsBlob(filePath);
+        return this.addBlob(new File([blob], path.basename(filePath)), options);
+    }
+
+    // Adds content that is not on disk: a string, Buffer, ArrayBuffer, Blob or readable stream (e.g. process.stdin).
+    // options: { fileName (names the source and hints the format detection), format, onProgress }
+    async addContent(input, options = {}) {
+        const blob = await toBlob(input);
+        return this.addBlob(new File([blob], options.fileName || 'input'), options);
+    }
+
+    // Detects the format unless one is given, parses and adds the file to the investigation.
+    // Returns { fileName, format, detection, report }; throws when no format is recognized or no parser handles it.
+    async addBlob(file, options = {}) {
+        let format = options.format || 'auto';
+        let detection = null;
+        if (format === 'auto') {
+            const head = this.globals.decodeText(await file.slice(0, this.globals.DETECTION_SAMPLE_BYTES).arrayBuffer());
+            detection = this.detector.detect(head, file.name);
+            if (!detection.format) throw new Error(detection.warning || 'The log format was not recognized.');
+            format = detection.format;
+        }
+        const parser = this.globals.parserRegistry.create(format);
+        if (!parser) throw new Error(`No parser available for format "${format}".`);
+
+        await parser.parseStream(file, { onProgress: options.onProgress });
+        this.investigation.addSource(file.name, format, parser);
+        return { fileName: file.name, format, detection, report: parser.report };
+    }
+
+    // Sigma rules on top of the bundled ones; sources already added are evaluated again
+    loadSigmaRules(text, origin) {
+        const result = this.sigmaEngine.loadRules(text, origin);
+        this.investigation.reevaluate();
+        return result;
+    }
+
+    // list: 'ioc' for indicators of compromise, 'allow' for known-good values; IocMatcher.loadFeed throws for any other
+    loadIocFeed(text, origin, list = 'ioc') {
+        const result = this.iocMatcher.loadFeed(text, origin, list);
+        this.investigation.reevaluate();
+        return result;
+    }
+
+    // The page's visualization data over every source added.
+    // options: { query (EventQuery text, or a compiled EventQuery), timeWindow ({ start, end } in epoch ms) }
+    analyze(options = {}) {
+        const query = typeof options.query === 'string' ? this.globals.EventQuery.compile(options.query) : options.query || null;
+        return this.investigation.generateVisualizationData(options.timeWindow || null, query);
+    }
+
+    // options as for InvestigationExporter: { notes, title, producer, now }
+    exporter(visualization, options = {}) {
+        return new this.globals.InvestigationExporter(visualization, options);
+    }
+
+    // { sources: [{ fileName, format, records, duplicates, skipped, sha256 }], events: { bucket: count }, indicators,
+    // severities: { severity: count }, hosts } for the analysis given; severities use the page's scale
+    summarize(visualization) {
+        const severities = {};
+        visualization.aptPatterns.threatIndicators.forEach(indicator => {
+            const severity = severityOf(indicator);
+            severities[severity] = (severities[severity] || 0) + 1;
+        });
+        // Events are counted over every source, before the query and time window
+        const events = {};
+        Object.entries(this.investigation.parsedData).forEach(([bucket, records]) => { if (records.length > 0) events[bucket] = records.length; });
+        return {
+            sources: visualization.sources.map(source => ({
+                fileName: source.fileName,
+                format: source.format,
+                records: source.records,
+                duplicates: source.duplicates,
+                skipped: source.report ? source.report.skippedCount : 0,
+                sha256: source.report ? source.report.sha256 : null
+            })),
+            events,
+            indicators: visualization.aptPatterns.threatIndicators.length,
+            severities,
+            hosts: visualization.hostMap.hosts.filter(host => host.key !== null).length
+        };
+    }
+
+    // True when an indicator is at least as severe as failOn ('critical', 'high', 'medium', 'low'; 'none' never fails)
+    exceeds(visualization, failOn = 'high') {
+        const order = this.globals.HOST_SEVERITY_ORDER;
+        const limit = order.indexOf(String(failOn).toLowerCase());
+        if (limit === -1) return false;
+        return visualization.aptPatterns.threatIndicators.some(indicator => {
+            const rank = order.indexOf(severityOf(indicator));
+            return rank !== -1 && rank <= limit;
+        });
+    }
+}
+
+// Plain-text summary: the sources, the indicators worst first and the hosts that raised them
+function textReport(jolt, visualization) {
+    const summary = jolt.summarize(visualization);
+    const order = jolt.globals.HOST_SEVERITY_ORDER;
+    const rank = indicator => {
+        const index = order.indexOf(severityOf(indicator));
+        return index === -1 ? order.length : index;
+    };
+    const lines = [`Sources (${summary.sources.length})`];
+    summary.sources.forEach(source => {
+        const notes = [`${source.records} events`];
+        if (source.duplicates > 0) notes.push(`${source.duplicates} duplicates`);
+        if (source.skipped > 0) notes.push(`${source.skipped} skipped`);
+        lines.push(`  ${source.fileName} [${source.format}] ${notes.join(', ')}`);
+    });
+    if (visualization.query) lines.push(`Query: ${visualization.query}`);
+
+    const severities = order.concat(Object.keys(summary.severities).filter(severity => !order.includes(severity)))
+        .filter(severity => summary.severities[severity] > 0)
+        .map(severity => `${severity} ${summary.severities[severity]}`);
+    lines.push('', `Indicators (${summary.indicators})${severities.length > 0 ? `: ${severities.join(', ')}` : ''}`);
+    visualization.aptPatterns.threatIndicators
+        .map((indicator, index) => ({ indicator, index }))
+        .sort((a, b) => rank(a.indicator) - rank(b.indicator) || a.index - b.index)
+        .forEach(({ indicator }) => {
+            if (typeof indicator !== 'object') {
+                lines.push(`  ${indicator}`);
+                return;
+            }
+            const event = indicator.event || {};
+            const where = [event.host || indicator.host, indicator.processName || event.processName].filter(value => value && value !== 'N/A');
+            const name = indicator.threatName || 'Threat Indicator';
+            const detail = indicator.step || indicator.description;
+            lines.push(`  ${severityOf(indicator).toUpperCase().padEnd(8)} ${indicator.timestamp || ''} ${name}` +
+                `${indicator.techniqueId ? ` (${indicator.techniqueId})` : ''}${where.length > 0 ? ` - ${where.join(' / ')}` : ''}`);
+            if (detail && detail !== name) lines.push(`           ${detail}`);
+        });
+
+    // Indicators on events that name no host are in the list above but have no host to show here
+    const alerted = visualization.hostMap.hosts.filter(host => host.key !== null && host.alerts > 0);
+    if (alerted.length > 0) {
+        lines.push('', `Hosts with indicators (${alerted.length} of ${summary.hosts})`);
+        alerted.forEach(host => lines.push(`  ${host.host}: ${host.alerts} indicators, ${host.events} events`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// The argument as given, or the files its * and ? match when the shell left it unexpanded (Windows' cmd does);
+// wildcards are matched in the last path segment only
+function expandFileArgument(argument) {
+    if (argument === '-' || !/[*?]/.test(path.basename(argument)) || fs.existsSync(argument)) return [argument];
+    const directory = path.dirname(argument);
+    const pattern = new RegExp(`^${path.basename(argument).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+    const matches = fs.existsSync(directory)
+        ? fs.readdirSync(directory).filter(name => pattern.test(name)).sort().map(name => path.join(directory, name))
+        : [];
+    return matches.length > 0 ? matches : [argument];
+}
+
+// Sigma rules from a .yml file, or every .yml/.yaml file under a directory
+function sigmaRuleFiles(target) {
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs.readdirSync(target, { recursive: true })
+        .map(name => path.join(target, String(name)))
+        .filter(file => /\.ya?ml$/i.test(file) && fs.statSync(file).isFile())
+        .sort();
+}
+
+// Runs the jolt-map command; resolves to the exit status
+async function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+    const fail = message => {
+        io.stderr.write(`jolt-map: ${message}\n`);
+        return 2;
+    };
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'auto' },
+                report: { type: 'string', short: 'r' },
+                out: { type: 'string', short: 'o' },
+                section: { type: 'string', short: 's', default: 'alerts' },
+                query: { type: 'string', short: 'q' },
+                sigma: { type: 'string', multiple: true, default: [] },
+                ioc: { type: 'string', multiple: true, default: [] },
+                allowlist: { type: 'string', multiple: true, default: [] },
+                'fail-on': { type: 'string', default: 'high' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        return fail(`${error.message}\n\n${CLI_USAGE}`);
+    }
+    const { values: options, positionals } = args;
+    const [command, ...files] = positionals;
+    if (options.help) {
+        io.stdout.write(`${CLI_USAGE}\n`);
+        return 0;
+    }
+    if (!command) return fail(`no command given\n\n${CLI_USAGE}`);
+
+    const jolt = new Jolt({ log: options.verbose ? (...parts) => io.stderr.write(`${parts.join(' ')}\n`) : null });
+    if (command === 'formats') {
+        jolt.formats().forEach(({ format, label }) => io.stdout.write(`${format.padEnd(12)} ${label}\n`));
+        return 0;
+    }
+    if (command !== 'analyze') return fail(`unknown command "${command}"\n\n${CLI_USAGE}`);
+    if (files.length === 0) return fail('no log files given');
+
+    const report = (options.report || REPORT_EXTENSIONS[path.extname(options.out || '').toLowerCase()] || 'text').toLowerCase();
+    if (!['text', 'json', 'csv', 'stix', 'html'].includes(report)) return fail(`unknown report type "${report}"`);
+    const failOn = options['fail-on'].toLowerCase();
+    if (failOn !== 'none' && !jolt.globals.HOST_SEVERITY_ORDER.includes(failOn)) return fail(`unknown severity "${options['fail-on']}"`);
+    if (options.format !== 'auto' && !jolt.globals.parserRegistry.get(options.format)) {
+        return fail(`unknown format "${options.format}"; one of auto, ${jolt.formats().map(({ format }) => format).join(', ')}`);
+    }
+    const section = options.section === 'all' ? null : options.section;
+    if (section && !jolt.globals.EXPORT_SECTIONS[section]) {
+        return fail(`unknown section "${section}"; one of all, ${Object.keys(jolt.globals.EXPORT_SECTIONS).join(', ')}`);
+    }
+    if (report === 'csv' && !section) return fail('csv reports hold one section; pick it with --section');
+    // Compiled before any file is read, so only a mistake in the query itself is reported as one
+    let query;
+    try {
+        query = jolt.globals.EventQuery.compile(options.query);
+    } catch (error) {
+        return fail(`--query: ${error.message}`);
+    }
+
+    let status = 0;
+    try {
+        options.sigma.flatMap(sigmaRuleFiles).forEach(file => jolt.sigmaEngine.loadRules(fs.readFileSync(file, 'utf8'), file));
+        options.ioc.forEach(file => jolt.iocMatcher.loadFeed(fs.readFileSync(file, 'utf8'), file, 'ioc'));
+        options.allowlist.forEach(file => jolt.iocMatcher.loadFeed(fs.readFileSync(file, 'utf8'), file, 'allow'));
+    } catch (error) {
+        return fail(error.message);
+    }
+    jolt.iocMatcher.errors.forEach(({ origin, message }) => io.stderr.write(`jolt-map: ${origin}: ${message}\n`));
+
+    for (const file of files.flatMap(expandFileArgument)) {
+        try {
+            const source = file === '-'
+                ? await jolt.addContent(io.stdin, { fileName: 'stdin', format: options.format })
+                : await jolt.addFile(file, { format: options.format });
+            if (options.verbose) io.stderr.write(`${source.fileName}: ${source.format}, ${source.report.recordsRead} records read\n`);
+        } catch (error) {
+            io.stderr.write(`jolt-map: ${file}: ${error.message}\n`);
+            status = 2;
+        }
+    }
+    if (jolt.investigation.sources.length === 0) return fail('nothing could be analyzed');
+
+    const visualization = jolt.analyze({ query });
+    const exporter = jolt.exporter(visualization);
+    const output = {
+        text: () => textReport(jolt, visualization),
+        json: () => JSON.stringify({ summary: jolt.summarize(visualization), ...JSON.parse(exporter.toJSON(section)) }, null, 2) + '\n',
+        csv: () => exporter.toCsv(section),
+        stix: () => JSON.stringify(exporter.toStixBundle().bundle, null, 2) + '\n',
+        html: () => exporter.toHtmlReport()
+    }[report]();
+
+    if (options.out) {
+        try {
+            fs.writeFileSync(options.out, output);
+        } catch (error) {
+            return fail(error.message);
+        }
+        const summary = jolt.summarize(visualization);
+        io.stderr.write(`${summary.indicators} indicators from ${summary.sources.length} sources written to ${options.out}\n`);
+    } else {
+        io.stdout.write(output);
+    }
+    if (status === 0 && failOn !== 'none' && jolt.exceeds(visualization, failOn)) status = 1;
+    return status;
+}
+
+module.exports = { Jolt, main, textReport, JOLT_SCRIPTS };
@@ -0,0 +1,167 @@
+// JSON Record Stream - cuts JSON arrays, NDJSON and concatenated objects into records as chunks of text arrive.
+// Each record is parsed on its own, so a malformed line or array element is reported and skipped instead of failing the file.
+// onRecord(record, line) gets each record with the line it starts on; options.onError(line, message) hears about each one skipped.
+class JsonRecordStream {
+    constructor(onRecord, options = {}) {
+        this.onRecord = onRecord;
+        this.onError = options.onError || null;
+        this.maxErrorSamples = options.maxErrorSamples || 100;
+        this.text = '';
+        this.index = 0;
+        // 'array' for [ {...}, ... ], 'objects' for NDJSON or objects written one after another; decided by the first character
+        this.mode = null;
+        this.recordDepth = 0;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.recordStart = -1;
+        this.recordLine = 0;
+        // First brace in the first column inside the open record: where the next record starts if this one proves cut short
+        this.restartAt = -1;
+        this.restartLine = 0;
+        // Set once a record opened and closed on one line; from then on a line break always ends the record
+        this.lineDelimited = false;
+        this.skipLine = false;
+        this.atLineStart = true;
+        this.line = 1;
+        this.records = 0;
+        this.errorCount = 0;
+        this.errors = [];
+    }
+
+    // Feeds the next chunk of text, calling onRecord for every record it completes
+    push(chunk) {
+        this.text += chunk;
+        const text = this.text;
+        for (let i = this.index; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+
+            if (code === 10) { // \n
+                if (this.inString || (this.lineDelimited && this.depth > this.recordDepth)) {
+                    this.fail(this.recordLine, this.inString ? 'Unterminated string' : 'Record is not closed at the end of the line');
+                    this.resetRecord();
+                }
+                this.skipLine = false;
+                this.atLineStart = true;
+                this.line++;
+                continue;
+            }
+            const lineStart = this.atLineStart;
+            this.atLineStart = false;
+            if (this.skipLine) continue;
+
+            if (this.inString) {
+                if (this.escaped) this.escaped = false;
+                else if (code === 92) this.escaped = true; // backslash
+                else if (code === 34) this.inString = false; // "
+                continue;
+            }
+            if (code === 32 || code === 9 || code === 13 || code === 0xFEFF) continue;
+
+            if (this.mode === null) {
+                this.mode = code === 91 ? 'array' : 'objects'; // [
+                this.recordDepth = this.mode === 'array' ? 1 : 0;
+                if (this.mode === 'array') {
+                    this.depth = 1;
+                    continue;
+                }
+            }
+
+            if (this.depth === this.recordDepth) {
+                if (code === 123 || code === 91) { // { or [ opens a record
+                    this.recordStart = i;
+                    this.recordLine = this.line;
+                    this.depth++;
+                } else if (this.mode === 'array' && code === 93) { // ] closes the outer array
+                    this.depth = 0;
+                } else if (!(this.mode === 'array' && code === 44)) { // anything but a separating comma is junk
+                    this.fail(this.line, `Unexpected character "${text[i]}" between records`);
+                    this.skipLine = true;
+                }
+                continue;
+            }
+            if (this.depth < this.recordDepth) continue; // text after the outer array has closed
+
+            // Usually a nested object, but remembered in case the record fails to parse (NDJSON never gets here,
+            // since a line break already ends its records)
+            if (lineStart && code === 123 && this.restartAt < 0) {
+                this.restartAt = i;
+                this.restartLine = this.line;
+            }
+
+            if (code === 34) {
+                this.inString = true;
+            } else if (code === 123 || code === 91) {
+                this.depth++;
+            } else if (code === 125 || code === 93) { // } or ]
+                this.depth--;
+                if (this.depth === this.recordDepth && !this.emit(text.slice(this.recordStart, i + 1))) i = this.restart() - 1;
+            }
+        }
+
+        // Keep only the text of the record still being read
+        const keepFrom = this.recordStart >= 0 ? this.recordStart : text.length;
+        this.text = text.slice(keepFrom);
+        this.index = text.length - keepFrom;
+        if (this.recordStart >= 0) this.recordStart = 0;
+        if (this.restartAt >= 0) this.restartAt -= keepFrom;
+    }
+
+    // Call once the input has ended; a record left open is reported
+    end() {
+        while (this.recordStart >= 0 && this.restartAt >= 0) {
+            this.index = this.restart();
+            this.push('');
+        }
+        if (this.recordStart >= 0) {
+            this.fail(this.recordLine, 'Unexpected end of input inside a record');
+        }
+        this.resetRecord();
+        this.text = '';
+        this.index = 0;
+    }
+
+    // Returns false when the record does not parse but may have been cut short, so the caller reads on from restartAt
+    emit(recordText) {
+        if (this.mode === 'objects' && this.records === 0 && !recordText.includes('\n')) this.lineDelimited = true;
+        let record;
+        try {
+            record = JSON.parse(recordText);
+        } catch (error) {
+            if (this.restartAt >= 0) return false;
+            this.fail(this.recordLine, error.message);
+            this.recordStart = -1;
+            return true;
+        }
+        this.recordStart = -1;
+        this.restartAt = -1;
+        this.records++;
+        this.onRecord(record, this.recordLine);
+        return true;
+    }
+
+    // Reports the open record as cut short and rewinds to the first-column brace inside it; returns that brace's index
+    restart() {
+        const from = this.restartAt;
+        this.fail(this.recordLine, 'Record is not closed before the next one starts');
+        this.resetRecord();
+        this.skipLine = false;
+        this.atLineStart = true;
+        this.line = this.restartLine;
+        return from;
+    }
+
+    resetRecord() {
+        this.inString = false;
+        this.escaped = false;
+        this.depth = this.mode === null ? 0 : this.recordDepth;
+        this.recordStart = -1;
+        this.restartAt = -1;
+    }
+
+    fail(line, message) {
+        this.errorCount++;
+        if (this.errors.length < this.maxErrorSamples) this.errors.push({ line, message });
+        if (this.onError) this.onError(line, message);
+    }
+}
@@ -0,0 +1,94 @@
+// Log Ingest - streams a dropped file into a parser, in a Web Worker when the page may start one (not from file://)
+// and otherwise on the page itself, yielding between chunks so progress keeps painting.
+class LogIngestor {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'log-worker.js';
+        this.chunkSize = options.chunkSize;
+        // Cleared after the first worker that fails to start, so later files go straight to the fallback
+        this.workerAvailable = typeof Worker !== 'undefined';
+    }
+
+    // Fills parser.parsedData and parser.report from the file.
+    // options: { signal (AbortSignal), onProgress({ bytesRead, totalBytes, records, skipped }) }.
+    // Rejects with an AbortError when the signal fires.
+    async parse(parser, file, options = {}) {
+        if (options.signal && options.signal.aborted) throw new DOMException('Parsing was cancelled', 'AbortError');
+        if (this.workerAvailable && await this.parseInWorker(parser, file, options)) return;
+        await parser.parseStream(file, {
+            chunkSize: this.chunkSize,
+            signal: options.signal,
+            onProgress: options.onProgress,
+            onChunk: () => new Promise(resolve => setTimeout(resolve, 0))
+        });
+    }
+
+    // Resolves true once the worker has parsed the file, or false when no worker could be started
+    parseInWorker(parser, file, options) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('Log worker unavailable, parsing on the page instead:', error);
+                this.workerAvailable = false;
+                resolve(false);
+                return;
+            }
+
+            parser.parsedData = BaseLogParser.createEmptyParsedData();
+            let started = false;
+            const finish = () => {
+                worker.onmessage = null;
+                worker.onerror = null;
+                worker.terminate();
+                if (options.signal) options.signal.removeEventListener('abort', abort);
+            };
+            const abort = () => {
+                finish();
+                reject(new DOMException('Parsing was cancelled', 'AbortError'));
+            };
+            if (options.signal) options.signal.addEventListener('abort', abort);
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                started = true;
+                if (message.type === 'progress') {
+                    if (options.onProgress) options.onProgress(message.progress);
+                } else if (message.type === 'records') {
+                    this.appendRecords(parser.parsedData, message.parsedData);
+                } else if (message.type === 'done') {
+                    // The worker only saw one batch at a time, so counts and time range are taken over the whole file here
+                    parser.report = IngestionReport.from(message.report, parser.format).complete(parser.parsedData);
+                    finish();
+                    resolve(true);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
+            // A worker that fails before saying anything could not load its scripts; one that fails later hit a bad file
+            worker.onerror = (e) => {
+                e.preventDefault();
+                finish();
+                if (started) {
+                    reject(new Error(e.message || 'Log worker failed'));
+                } else {
+                    console.warn('Log worker failed to start, parsing on the page instead:', e.message);
+                    this.workerAvailable = false;
+                    resolve(false);
+                }
+            };
+
+            worker.postMessage({ file, format: parser.format, chunkSize: this.chunkSize });
+        });
+    }
+
+    // Batches can hold far more records than a spread push accepts as arguments
+    appendRecords(parsedData, batch) {
+        Object.keys(batch).forEach(bucket => {
+            if (!parsedData[bucket]) parsedData[bucket] = [];
+            const records = parsedData[bucket];
+            batch[bucket].forEach(record => records.push(record));
+        });
+    }
+}
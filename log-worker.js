@@ -0,0 +1,48 @@
+// Log Worker - parses one dropped file off the main thread and posts the normalized records back in batches.
+// Detection stays on the page, where loaded Sigma rules live; the worker only turns raw logs into parsedData buckets.
+importScripts(
+    'event-utils.js',
+    'windows-event-reader.js',
+    'json-stream.js',
+    'sha256.js',
+    'ingestion-report.js',
+    'mitre-attack.js',
+    'network-zones.js',
+    'user-activity.js',
+    'base-parser.js',
+    'parser-registry.js',
+    'sysmon-parser.js',
+    'defender-parser.js',
+    'elk-parser.js',
+    'wazuh-parser.js'
+);
+
+// Messages posted back: { type: 'progress', progress }, { type: 'records', parsedData }, { type: 'done', report } or { type: 'error', message }
+self.onmessage = async (e) => {
+    const { file, format, chunkSize } = e.data;
+    const parser = parserRegistry.create(format);
+    if (!parser) {
+        self.postMessage({ type: 'error', message: `No parser available for format "${format}".` });
+        return;
+    }
+
+    // Records parsed so far are handed over after every chunk so the worker never holds the whole file
+    const flush = () => {
+        const parsedData = parser.parsedData;
+        if (!Object.values(parsedData).some(records => records.length > 0)) return;
+        parser.parsedData = BaseLogParser.createEmptyParsedData();
+        self.postMessage({ type: 'records', parsedData });
+    };
+
+    try {
+        await parser.parseStream(file, {
+            chunkSize,
+            onProgress: progress => self.postMessage({ type: 'progress', progress }),
+            onChunk: flush
+        });
+        flush();
+        self.postMessage({ type: 'done', report: parser.report });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,120 @@
+// MITRE ATT&CK - technique lookup for threat indicators and the tactic/technique matrix built from them
+
+// Enterprise tactics in the order ATT&CK lays out the matrix columns
+const MITRE_TACTICS = [
+    { id: 'TA0043', name: 'Reconnaissance' },
+    { id: 'TA0042', name: 'Resource Development' },
+    { id: 'TA0001', name: 'Initial Access' },
+    { id: 'TA0002', name: 'Execution' },
+    { id: 'TA0003', name: 'Persistence' },
+    { id: 'TA0004', name: 'Privilege Escalation' },
+    { id: 'TA0005', name: 'Defense Evasion' },
+    { id: 'TA0006', name: 'Credential Access' },
+    { id: 'TA0007', name: 'Discovery' },
+    { id: 'TA0008', name: 'Lateral Movement' },
+    { id: 'TA0009', name: 'Collection' },
+    { id: 'TA0011', name: 'Command and Control' },
+    { id: 'TA0010', name: 'Exfiltration' },
+    { id: 'TA0040', name: 'Impact' }
+];
+
+// Techniques the detection hooks report. Many techniques serve several tactics; each is listed under the one the hook detects it for.
+const MITRE_TECHNIQUES = {
+    'T1003.001': { name: 'OS Credential Dumping: LSASS Memory', tactic: 'Credential Access' },
+    'T1027': { name: 'Obfuscated Files or Information', tactic: 'Defense Evasion' },
+    'T1027.010': { name: 'Obfuscated Files or Information: Command Obfuscation', tactic: 'Defense Evasion' },
+    'T1021.002': { name: 'Remote Services: SMB/Windows Admin Shares', tactic: 'Lateral Movement' },
+    'T1037.001': { name: 'Boot or Logon Initialization Scripts: Logon Script (Windows)', tactic: 'Persistence' },
+    'T1055': { name: 'Process Injection', tactic: 'Defense Evasion' },
+    'T1059.001': { name: 'Command and Scripting Interpreter: PowerShell', tactic: 'Execution' },
+    'T1047': { name: 'Windows Management Instrumentation', tactic: 'Execution' },
+    'T1068': { name: 'Exploitation for Privilege Escalation', tactic: 'Privilege Escalation' },
+    'T1070.004': { name: 'Indicator Removal: File Deletion', tactic: 'Defense Evasion' },
+    'T1070.006': { name: 'Indicator Removal: Timestomp', tactic: 'Defense Evasion' },
+    'T1071': { name: 'Application Layer Protocol', tactic: 'Command and Control' },
+    'T1074': { name: 'Data Staged', tactic: 'Collection' },
+    'T1105': { name: 'Ingress Tool Transfer', tactic: 'Command and Control' },
+    'T1110.001': { name: 'Brute Force: Password Guessing', tactic: 'Credential Access' },
+    'T1110.003': { name: 'Brute Force: Password Spraying', tactic: 'Credential Access' },
+    'T1140': { name: 'Deobfuscate/Decode Files or Information', tactic: 'Defense Evasion' },
+    'T1197': { name: 'BITS Jobs', tactic: 'Defense Evasion' },
+    'T1204.002': { name: 'User Execution: Malicious File', tactic: 'Execution' },
+    'T1218.005': { name: 'System Binary Proxy Execution: Mshta', tactic: 'Defense Evasion' },
+    'T1218.010': { name: 'System Binary Proxy Execution: Regsvr32', tactic: 'Defense Evasion' },
+    'T1218.011': { name: 'System Binary Proxy Execution: Rundll32', tactic: 'Defense Evasion' },
+    'T1220': { name: 'XSL Script Processing', tactic: 'Defense Evasion' },
+    'T1543.003': { name: 'Create or Modify System Process: Windows Service', tactic: 'Persistence' },
+    'T1546.003': { name: 'Event Triggered Execution: WMI Event Subscription', tactic: 'Persistence' },
+    'T1546.010': { name: 'Event Triggered Execution: AppInit DLLs', tactic: 'Persistence' },
+    'T1546.012': { name: 'Event Triggered Execution: Image File Execution Options Injection', tactic: 'Persistence' },
+    'T1547.001': { name: 'Boot or Logon Autostart Execution: Registry Run Keys / Startup Folder', tactic: 'Persistence' },
+    'T1547.004': { name: 'Boot or Logon Autostart Execution: Winlogon Helper DLL', tactic: 'Persistence' },
+    'T1559': { name: 'Inter-Process Communication', tactic: 'Execution' },
+    'T1564.003': { name: 'Hide Artifacts: Hidden Window', tactic: 'Defense Evasion' },
+    'T1569.002': { name: 'System Services: Service Execution', tactic: 'Execution' },
+    'T1574.002': { name: 'Hijack Execution Flow: DLL Side-Loading', tactic: 'Defense Evasion' }
+};
+
+// Resolves a technique ID to { techniqueId, techniqueName, tactic }, or null without one.
+// Sources that name the technique themselves (e.g. Wazuh's rule.mitre) pass their own tactic and name; they win over the table.
+function mitreTechnique(id, tactic, name) {
+    if (!id) return null;
+    const techniqueId = String(id).trim().toUpperCase();
+    const known = MITRE_TECHNIQUES[techniqueId] || {};
+    return {
+        techniqueId,
+        techniqueName: name || known.name || techniqueId,
+        tactic: tactic || known.tactic || 'Unknown Tactic'
+    };
+}
+
+// Technique IDs mentioned in free text, e.g. Defender's AttackTechniques "Process Injection (T1055)"
+function extractTechniqueIds(text) {
+    if (!text) return [];
+    const source = Array.isArray(text) ? text.join(' ') : String(text);
+    return [...new Set((source.match(/\bT\d{4}(?:\.\d{3})?\b/gi) || []).map(id => id.toUpperCase()))];
+}
+
+// Groups threat indicators into matrix columns (tactics) and cells (techniques), each cell keeping its supporting indicators
+class AttackMatrixBuilder {
+    constructor(indicators) {
+        this.indicators = indicators || [];
+    }
+
+    // Returns { tactics: [{ tacticId, tactic, techniques: [{ techniqueId, techniqueName, count, indicators }] }], maxCount, techniqueCount, unmapped }
+    build() {
+        const columns = new Map(MITRE_TACTICS.map(tactic => [tactic.name, { tacticId: tactic.id, tactic: tactic.name, techniques: [] }]));
+        const cells = new Map();
+        let unmapped = 0;
+
+        this.indicators.forEach(indicator => {
+            if (!indicator || typeof indicator !== 'object' || !indicator.techniqueId) {
+                unmapped++;
+                return;
+            }
+            const tactic = indicator.tactic || 'Unknown Tactic';
+            // Tactics outside the enterprise list (e.g. from third-party rules) get a column at the end
+            if (!columns.has(tactic)) columns.set(tactic, { tacticId: null, tactic, techniques: [] });
+
+            const key = `${tactic}|${indicator.techniqueId}`;
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = { techniqueId: indicator.techniqueId, techniqueName: indicator.techniqueName, count: 0, indicators: [] };
+                cells.set(key, cell);
+                columns.get(tactic).techniques.push(cell);
+            }
+            cell.count++;
+            cell.indicators.push(indicator);
+        });
+
+        const tactics = [...columns.values()];
+        tactics.forEach(column => column.techniques.sort((a, b) => b.count - a.count || a.techniqueId.localeCompare(b.techniqueId)));
+
+        return {
+            tactics,
+            maxCount: Math.max(0, ...[...cells.values()].map(cell => cell.count)),
+            techniqueCount: cells.size,
+            unmapped
+        };
+    }
+}
@@ -0,0 +1,205 @@
+// Network Graph - links hosts and processes to the addresses they connected to, names those addresses after the DNS
+// queries that resolved to them, and finds beaconing: connections repeated at a steady interval to one destination
+
+// Node types in the left-to-right order the graph is laid out
+const NETWORK_GRAPH_NODE_TYPES = ['host', 'process', 'destination'];
+
+// Addresses in a DNS answer, whichever way the source wrote it: Sysmon's "type:  5 cdn.example;::ffff:1.2.3.4;",
+// Defender's "1.2.3.4;5.6.7.8", ECS dns.answers joined with ", " or Wazuh's ";"-separated rdata
+function resolvedAddresses(queryResults) {
+    if (queryResults === undefined || queryResults === null) return [];
+    const values = Array.isArray(queryResults) ? queryResults : String(queryResults).split(/[;,|\s]+/);
+    return values.map(value => String(value).trim()).filter(value => ipAddressKey(value) !== null);
+}
+
+// Maps addresses back to the names that resolved to them
+class DnsResolutionIndex {
+    constructor(dnsQueries) {
+        // Address key -> [{ name, time }] sorted by time, unparseable times first
+        this.resolutions = new Map();
+        (dnsQueries || []).forEach(query => {
+            if (!query.queryName) return;
+            const name = String(query.queryName).replace(/\.$/, '').toLowerCase();
+            const time = parseTimestamp(query.timestamp);
+            resolvedAddresses(query.queryResults).forEach(address => {
+                const key = ipAddressKey(address);
+                if (!this.resolutions.has(key)) this.resolutions.set(key, []);
+                const list = this.resolutions.get(key);
+                if (!list.some(entry => entry.name === name && entry.time === time)) list.push({ name, time });
+            });
+        });
+        this.resolutions.forEach(list => list.sort((a, b) => (isNaN(a.time) ? -Infinity : a.time) - (isNaN(b.time) ? -Infinity : b.time)));
+    }
+
+    // The name looked up most recently before the connection; a lookup logged after it when there was none before
+    resolve(address, timestamp) {
+        const list = this.resolutions.get(ipAddressKey(address));
+        if (!list) return null;
+        const time = parseTimestamp(timestamp);
+        if (isNaN(time)) return list[list.length - 1].name;
+        let best = null;
+        list.forEach(entry => {
+            if (isNaN(entry.time) || entry.time <= time) best = entry;
+        });
+        return (best || list[0]).name;
+    }
+
+    // Every name that resolved to the address
+    domains(address) {
+        const list = this.resolutions.get(ipAddressKey(address));
+        return list ? [...new Set(list.map(entry => entry.name))] : [];
+    }
+}
+
+class NetworkGraphBuilder {
+    constructor(connections, dnsQueries) {
+        this.connections = connections || [];
+        this.resolver = dnsQueries instanceof DnsResolutionIndex ? dnsQueries : new DnsResolutionIndex(dnsQueries);
+    }
+
+    // Returns { nodes: [{ id, type, label, title, count, domains, zone }], edges: [{ from, to, count, ports, protocols, first, last }],
+    // destinations: [{ address, domains, zone, connections, ports, protocols, processes, hosts, first, last }] }
+    build() {
+        this.nodes = new Map();
+        this.edges = new Map();
+        const destinations = new Map();
+
+        this.connections.forEach(connection => {
+            if (!connection.destinationIp) return;
+            const hostName = connection.host || connection.sourceIp || 'Unknown host';
+            const processName = connection.processName || connection.process || 'N/A';
+            const host = this.addNode('host', hostName, hostName);
+            const process = this.addNode('process', `${hostName}|${String(connection.image || processName).toLowerCase()}`, processName, connection.image || processName);
+            const address = String(connection.destinationIp);
+            const key = ipAddressKey(address) || address.toLowerCase();
+            const destination = this.addNode('destination', key, address);
+            destination.domains = this.resolver.domains(address);
+            destination.zone = networkZones.zoneOf(address).name;
+
+            this.addEdge(host, process, connection);
+            this.addEdge(process, destination, connection);
+
+            if (!destinations.has(key)) {
+                destinations.set(key, {
+                    address, domains: destination.domains, zone: destination.zone, connections: 0,
+                    ports: new Set(), protocols: new Set(), processes: new Set(), hosts: new Set(), first: undefined, last: undefined
+                });
+            }
+            const summary = destinations.get(key);
+            summary.connections++;
+            if (connection.destinationPort) summary.ports.add(String(connection.destinationPort));
+            if (connection.protocol) summary.protocols.add(String(connection.protocol).toLowerCase());
+            summary.processes.add(processName);
+            summary.hosts.add(hostName);
+            this.extendTimeRange(summary, connection.timestamp);
+        });
+
+        return {
+            nodes: [...this.nodes.values()],
+            edges: [...this.edges.values()].map(edge => ({ ...edge, ports: [...edge.ports], protocols: [...edge.protocols] })),
+            destinations: [...destinations.values()]
+                .map(summary => ({
+                    ...summary,
+                    ports: [...summary.ports],
+                    protocols: [...summary.protocols],
+                    processes: [...summary.processes],
+                    hosts: [...summary.hosts]
+                }))
+                .sort((a, b) => b.connections - a.connections)
+        };
+    }
+
+    addNode(type, key, label, title = label) {
+        const id = `${type}:${key.toLowerCase()}`;
+        let node = this.nodes.get(id);
+        if (!node) {
+            node = { id, type, label, title, count: 0, domains: [], zone: null };
+            this.nodes.set(id, node);
+        }
+        node.count++;
+        return node;
+    }
+
+    // Edges are aggregated per node pair, with the ports and protocols seen and when traffic was first and last seen
+    addEdge(from, to, connection) {
+        const key = `${from.id}|${to.id}`;
+        let edge = this.edges.get(key);
+        if (!edge) {
+            edge = { from: from.id, to: to.id, count: 0, ports: new Set(), protocols: new Set(), first: undefined, last: undefined };
+            this.edges.set(key, edge);
+        }
+        edge.count++;
+        if (connection.destinationPort) edge.ports.add(String(connection.destinationPort));
+        if (connection.protocol) edge.protocols.add(String(connection.protocol).toLowerCase());
+        this.extendTimeRange(edge, connection.timestamp);
+    }
+
+    extendTimeRange(target, timestamp) {
+        const time = parseTimestamp(timestamp);
+        if (isNaN(time)) return;
+        if (target.first === undefined || time < parseTimestamp(target.first)) target.first = timestamp;
+        if (target.last === undefined || time > parseTimestamp(target.last)) target.last = timestamp;
+    }
+}
+
+// Beaconing: a process connecting to the same address and port again and again at a near-constant interval.
+// Intervals are compared with their median, so a few missed or doubled check-ins do not hide an implant.
+class BeaconDetector {
+    constructor(options = {}) {
+        // Fewer connections than this are not enough to call an interval regular
+        this.minConnections = options.minConnections || 6;
+        // Connections closer together than this are a burst (retries, a download), not a check-in
+        this.minIntervalSeconds = options.minIntervalSeconds || 5;
+        // An interval is regular when within this share of the median interval
+        this.tolerance = options.tolerance || 0.2;
+        // ... and this share of all intervals must be regular
+        this.minRegularShare = options.minRegularShare || 0.8;
+    }
+
+    // Returns [{ host, processName, image, destinationIp, destinationPort, domain, count, intervalSeconds, jitter, first, last, records }],
+    // most regular first; jitter is the mean deviation of the regular intervals from the median, as a share of it
+    detect(connections, resolver = null) {
+        const series = new Map();
+        (connections || []).forEach(connection => {
+            const time = parseTimestamp(connection.timestamp);
+            if (!connection.destinationIp || isNaN(time)) return;
+            const host = connection.host || connection.sourceIp || 'Unknown host';
+            const image = String(connection.image || connection.processName || 'N/A').toLowerCase();
+            const key = `${host}|${image}|${ipAddressKey(connection.destinationIp) || connection.destinationIp}|${connection.destinationPort || ''}`;
+            if (!series.has(key)) series.set(key, []);
+            series.get(key).push({ time, connection });
+        });
+
+        const beacons = [];
+        series.forEach(points => {
+            if (points.length < this.minConnections) return;
+            points.sort((a, b) => a.time - b.time);
+            const intervals = [];
+            for (let i = 1; i < points.length; i++) intervals.push((points[i].time - points[i - 1].time) / 1000);
+            const median = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+            if (median < this.minIntervalSeconds) return;
+            const regular = intervals.filter(interval => Math.abs(interval - median) <= median * this.tolerance);
+            if (regular.length < intervals.length * this.minRegularShare) return;
+
+            const first = points[0].connection;
+            const last = points[points.length - 1].connection;
+            beacons.push({
+                host: first.host || first.sourceIp || 'Unknown host',
+                processName: first.processName || first.process || 'N/A',
+                image: first.image,
+                destinationIp: first.destinationIp,
+                destinationPort: first.destinationPort,
+                domain: resolver ? resolver.resolve(first.destinationIp, first.timestamp) : null,
+                count: points.length,
+                intervalSeconds: median,
+                jitter: regular.reduce((sum, interval) => sum + Math.abs(interval - median), 0) / regular.length / median,
+                first: first.timestamp,
+                last: last.timestamp,
+                records: points.map(point => point.connection)
+            });
+        });
+        return beacons.sort((a, b) => a.jitter - b.jitter || b.count - a.count);
+    }
+}
+
+const beaconDetector = new BeaconDetector();
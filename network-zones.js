@@ -0,0 +1,201 @@
+// Network Zones - IPv4/IPv6 address parsing, CIDR ranges, address classification and the user's own network zones
+// (DMZ, server VLANs, VPN pools, cloud ranges) that connections are grouped and judged by
+
+// Special-purpose ranges (RFC 6890 and friends). The most specific range containing an address decides its type.
+const IP_ADDRESS_RANGES = [
+    { cidr: '0.0.0.0/8', type: 'unspecified' },
+    { cidr: '10.0.0.0/8', type: 'private' },
+    { cidr: '100.64.0.0/10', type: 'shared' },
+    { cidr: '127.0.0.0/8', type: 'loopback' },
+    { cidr: '169.254.0.0/16', type: 'link-local' },
+    { cidr: '172.16.0.0/12', type: 'private' },
+    { cidr: '192.0.0.0/24', type: 'reserved' },
+    { cidr: '192.0.2.0/24', type: 'documentation' },
+    { cidr: '192.168.0.0/16', type: 'private' },
+    { cidr: '198.18.0.0/15', type: 'reserved' },
+    { cidr: '198.51.100.0/24', type: 'documentation' },
+    { cidr: '203.0.113.0/24', type: 'documentation' },
+    { cidr: '224.0.0.0/4', type: 'multicast' },
+    { cidr: '240.0.0.0/4', type: 'reserved' },
+    { cidr: '255.255.255.255/32', type: 'broadcast' },
+    { cidr: '::/128', type: 'unspecified' },
+    { cidr: '::1/128', type: 'loopback' },
+    { cidr: '100::/64', type: 'reserved' },
+    { cidr: '2001:db8::/32', type: 'documentation' },
+    { cidr: 'fc00::/7', type: 'private' },
+    { cidr: 'fe80::/10', type: 'link-local' },
+    { cidr: 'ff00::/8', type: 'multicast' }
+];
+
+const IP_ADDRESS_TYPE_LABELS = {
+    public: 'Internet',
+    private: 'Private network',
+    shared: 'Carrier-grade NAT',
+    loopback: 'Loopback',
+    'link-local': 'Link-local',
+    multicast: 'Multicast',
+    broadcast: 'Broadcast',
+    unspecified: 'Unspecified address',
+    documentation: 'Documentation range',
+    reserved: 'Reserved range',
+    invalid: 'Unknown address'
+};
+
+// Address types that never leave the organisation's own networks
+const INTERNAL_IP_TYPES = ['private', 'shared', 'loopback', 'link-local'];
+
+// Returns { version: 4 | 6, value: BigInt } or null. Accepts [brackets], %zone suffixes and IPv4-in-IPv6 tails.
+function parseIpAddress(text) {
+    let address = String(text === undefined || text === null ? '' : text).trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+        const parts = address.split('.').map(Number);
+        if (parts.some(part => part > 255)) return null;
+        return { version: 4, value: parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n) };
+    }
+    if (!address.includes(':')) return null;
+
+    const ipv4Tail = address.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (ipv4Tail) {
+        const ipv4 = parseIpAddress(ipv4Tail[1]);
+        if (!ipv4) return null;
+        address = address.slice(0, -ipv4Tail[1].length) + `${(ipv4.value >> 16n).toString(16)}:${(ipv4.value & 0xFFFFn).toString(16)}`;
+    }
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    // Without "::" all eight groups must be written; "::" stands for at least one
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+    const groups = head.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), tail);
+    if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+    return { version: 6, value: groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n) };
+}
+
+// "10.0.0.0/8", "fd00::/8" or a single address. Returns { version, prefix, mask, network, text } or null.
+function parseCidrRange(text) {
+    const [addressText, bits, extra] = String(text).trim().split('/');
+    const address = parseIpAddress(addressText);
+    if (!address || extra !== undefined) return null;
+    const width = address.version === 4 ? 32 : 128;
+    if (bits !== undefined && !/^\d{1,3}$/.test(bits)) return null;
+    const prefix = bits === undefined ? width : Number(bits);
+    if (prefix > width) return null;
+    const all = (1n << BigInt(width)) - 1n;
+    const mask = all ^ ((1n << BigInt(width - prefix)) - 1n);
+    return { version: address.version, prefix, mask, network: address.value & mask, text: String(text).trim() };
+}
+
+// Takes an address string or a parsed address
+function ipInRange(address, range) {
+    const parsed = typeof address === 'object' && address !== null ? address : parseIpAddress(address);
+    return !!parsed && parsed.version === range.version && (parsed.value & range.mask) === range.network;
+}
+
+const IP_ADDRESS_RANGE_TABLE = IP_ADDRESS_RANGES.map(entry => ({ ...entry, range: parseCidrRange(entry.cidr) }));
+const IPV4_MAPPED_RANGE = parseCidrRange('::ffff:0:0/96');
+
+// parseIpAddress, with ::ffff:10.0.0.1 (the IPv4 address as seen by a dual-stack socket) turned back into 10.0.0.1
+function parseHostAddress(text) {
+    const address = parseIpAddress(text);
+    return address && ipInRange(address, IPV4_MAPPED_RANGE) ? { version: 4, value: address.value & 0xFFFFFFFFn } : address;
+}
+
+// One key per address however it is written: 10.0.0.1, ::ffff:a00:1 and [0:0:0:0:0:ffff:10.0.0.1] are alike. Null if not an address.
+function ipAddressKey(text) {
+    const address = parseHostAddress(text);
+    return address ? `${address.version}:${address.value.toString(16)}` : null;
+}
+
+// Returns { type, label, version, internal }; type is a key of IP_ADDRESS_TYPE_LABELS
+function classifyIpAddress(text) {
+    const address = parseHostAddress(text);
+    if (!address) return { type: 'invalid', label: IP_ADDRESS_TYPE_LABELS.invalid, version: null, internal: false };
+    let best = null;
+    IP_ADDRESS_RANGE_TABLE.forEach(entry => {
+        if (ipInRange(address, entry.range) && (!best || entry.range.prefix > best.range.prefix)) best = entry;
+    });
+    const type = best ? best.type : 'public';
+    return { type, label: IP_ADDRESS_TYPE_LABELS[type], version: address.version, internal: INTERNAL_IP_TYPES.includes(type) };
+}
+
+class NetworkZones {
+    constructor() {
+        // { name, ranges: [range] } in the order they were defined
+        this.zones = [];
+        // { line, message } for every line of the definition that could not be read
+        this.errors = [];
+        this.text = '';
+        this.cache = new Map();
+    }
+
+    // One zone per line, "Name: cidr, cidr ...", e.g. "DMZ: 203.0.113.0/24". Lines starting with # are comments.
+    // Replaces the current zones; returns the number of zones defined.
+    load(text) {
+        this.zones = [];
+        this.errors = [];
+        this.text = String(text || '');
+        this.cache.clear();
+        this.text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+            const match = trimmed.match(/^([^:=]+?)\s*[:=]\s*(.*)$/);
+            if (!match || !match[2].trim()) {
+                this.errors.push({ line: index + 1, message: `Expected "Name: cidr, cidr", got "${trimmed}"` });
+                return;
+            }
+            const ranges = [];
+            match[2].split(/[\s,;]+/).filter(Boolean).forEach(cidr => {
+                const range = parseCidrRange(cidr);
+                if (range) ranges.push(range);
+                else this.errors.push({ line: index + 1, message: `"${cidr}" is not an IP address or CIDR range` });
+            });
+            if (ranges.length === 0) return;
+            const existing = this.zones.find(zone => zone.name === match[1]);
+            if (existing) existing.ranges.push(...ranges);
+            else this.zones.push({ name: match[1], ranges });
+        });
+        return this.zones.length;
+    }
+
+    // The zone an address sits in: the user's zone with the most specific matching range, else one named after its type.
+    // Returns { name, custom, type, internet }; internet is true for public addresses outside every user zone.
+    zoneOf(address) {
+        const key = String(address === undefined || address === null ? '' : address);
+        if (this.cache.has(key)) return this.cache.get(key);
+        const classification = classifyIpAddress(key);
+        const parsed = parseHostAddress(key);
+        let best = null;
+        if (parsed) {
+            this.zones.forEach(zone => zone.ranges.forEach(range => {
+                if (ipInRange(parsed, range) && (!best || range.prefix > best.range.prefix)) best = { zone, range };
+            }));
+        }
+        const zone = best
+            ? { name: best.zone.name, custom: true, type: classification.type, internet: false }
+            : { name: classification.label, custom: false, type: classification.type, internet: classification.type === 'public' };
+        // Busy captures repeat a few thousand addresses many times over
+        if (this.cache.size < 50000) this.cache.set(key, zone);
+        return zone;
+    }
+
+    // Connections grouped by destination zone: [{ name, custom, type, internet, connections, destinations, sourceZones }].
+    // Internet traffic comes first, then the user's zones in the order defined, then the rest.
+    group(connections) {
+        const groups = new Map();
+        connections.forEach(connection => {
+            const zone = this.zoneOf(connection.destinationIp);
+            if (!groups.has(zone.name)) groups.set(zone.name, { ...zone, connections: [], destinations: new Set(), sourceZones: new Set() });
+            const group = groups.get(zone.name);
+            group.connections.push(connection);
+            group.destinations.add(connection.destinationIp);
+            if (connection.sourceIp) group.sourceZones.add(this.zoneOf(connection.sourceIp).name);
+        });
+        const order = zone => zone.internet ? -1 : zone.custom ? this.zones.findIndex(candidate => candidate.name === zone.name) : this.zones.length;
+        return [...groups.values()]
+            .sort((a, b) => order(a) - order(b) || b.connections.length - a.connections.length)
+            .map(group => ({ ...group, destinations: group.destinations.size, sourceZones: [...group.sourceZones] }));
+    }
+}
+
+const networkZones = new NetworkZones();
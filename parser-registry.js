@@ -0,0 +1,41 @@
+// Parser Registry - every log source registers itself here so the UI and format detection pick it up
+class ParserRegistry {
+    constructor() {
+        this.definitions = {};
+    }
+
+    // definition: { format, label, parserClass, signatures, fileNameHints, detectContent }
+    //   signatures    - [{ weight, reason, test(record) }] used by LogFormatDetector to sniff content
+    //   fileNameHints - lowercase substrings that suggest this format when content is ambiguous
+    //   detectContent - optional (text) => { score, reason } | null for formats that are not JSON records
+    register(definition) {
+        if (!definition || !definition.format || typeof definition.parserClass !== 'function') {
+            throw new Error('Parser definitions need a format and a parserClass');
+        }
+        if (this.definitions[definition.format]) {
+            console.warn(`Parser for format "${definition.format}" is already registered and will be replaced`);
+        }
+        this.definitions[definition.format] = {
+            label: definition.format,
+            signatures: [],
+            fileNameHints: [],
+            ...definition
+        };
+    }
+
+    get(format) {
+        return this.definitions[format] || null;
+    }
+
+    list() {
+        return Object.values(this.definitions);
+    }
+
+    // Returns a new parser instance for the format, or null if nothing handles it
+    create(format) {
+        const definition = this.get(format);
+        return definition ? new definition.parserClass() : null;
+    }
+}
+
+const parserRegistry = new ParserRegistry();
@@ -0,0 +1,148 @@
+// Process Tree Reconstruction - rebuilds parent/child lineage per host from ProcessId/ParentProcessId
+class ProcessTreeBuilder {
+    constructor(parsedData) {
+        this.parsedData = parsedData;
+        this.nodesByHost = {};
+        this.hostLabels = new Map();
+        this.parents = new Map();
+    }
+
+    // Builds { hosts: [{ host, roots, processCount }], unattributed } from the parsed records
+    build() {
+        this.nodesByHost = {};
+        this.hostLabels = new Map();
+        this.parents = new Map();
+
+        // Index every observed process creation by host and PID
+        (this.parsedData.processes || []).forEach(proc => {
+            this.addNode(this.createNode(proc, false));
+        });
+        Object.values(this.nodesByHost).forEach(pids => {
+            Object.values(pids).forEach(nodes => nodes.sort((a, b) => this.compareNodes(a, b)));
+        });
+
+        // Link children to the parent that was alive when they started
+        this.allNodes().forEach(node => {
+            if (node.parentProcessId === undefined || node.parentProcessId === null) return;
+            const parent = this.findNode(node.host, node.parentProcessId, node.time);
+            if (parent && parent !== node && !this.isAncestor(node, parent)) {
+                this.parents.set(node, parent);
+                parent.children.push(node);
+            }
+        });
+
+        // Attach file, network and DNS activity under the process that produced it
+        const unattributed = [];
+        this.attachEvents(this.parsedData.fileActivities, 'fileActivities', unattributed);
+        this.attachEvents(this.parsedData.networkConnections, 'networkConnections', unattributed);
+        this.attachEvents(this.parsedData.dnsQueries, 'dnsQueries', unattributed);
+
+        // Mark when each process exited
+        (this.parsedData.processTerminations || []).forEach(termination => {
+            const node = this.findNode(termination.host, termination.processId, parseTimestamp(termination.timestamp));
+            if (node) node.terminatedAt = termination.timestamp;
+        });
+
+        const hosts = Object.keys(this.nodesByHost).sort().map(key => {
+            const nodes = this.allNodes(key);
+            nodes.forEach(node => node.children.sort((a, b) => this.compareNodes(a, b)));
+            return {
+                host: this.hostLabels.get(key) || key,
+                processCount: nodes.length,
+                roots: nodes.filter(node => !this.parents.has(node)).sort((a, b) => this.compareNodes(a, b))
+            };
+        });
+
+        return { hosts, unattributed };
+    }
+
+    createNode(record, inferred) {
+        return {
+            host: record.host || 'Unknown host',
+            processId: record.processId,
+            parentProcessId: inferred ? undefined : record.parentProcessId,
+            processName: record.processName || 'N/A',
+            image: record.image,
+            commandLine: record.commandLine,
+            user: record.user,
+            timestamp: inferred ? undefined : record.timestamp,
+            terminatedAt: undefined,
+            time: inferred ? NaN : parseTimestamp(record.timestamp),
+            // Inferred nodes are processes we only know about from their activity, not from a creation event
+            inferred,
+            children: [],
+            fileActivities: [],
+            networkConnections: [],
+            dnsQueries: []
+        };
+    }
+
+    // One tree per machine however each source spells it, e.g. "WS01" and "ws01.corp.local" (hostKey in host-activity.js)
+    hostIndex(host) {
+        return hostKey(host) || 'Unknown host';
+    }
+
+    addNode(node) {
+        const host = this.hostIndex(node.host);
+        // The longest spelling is usually the fully qualified one
+        if (node.host.length > (this.hostLabels.get(host) || '').length) this.hostLabels.set(host, node.host);
+        const pids = this.nodesByHost[host] || (this.nodesByHost[host] = {});
+        const key = String(node.processId);
+        (pids[key] || (pids[key] = [])).push(node);
+    }
+
+    allNodes(host) {
+        const hosts = host ? [host] : Object.keys(this.nodesByHost);
+        return hosts.flatMap(h => Object.values(this.nodesByHost[h] || {}).flat());
+    }
+
+    // PIDs get reused, so pick the most recent process with that PID that started at or before the given time.
+    // Null when every process with that PID started later: the one asked for was never seen starting.
+    findNode(host, processId, time) {
+        const candidates = (this.nodesByHost[this.hostIndex(host)] || {})[String(processId)];
+        if (!candidates || candidates.length === 0) return null;
+        if (isNaN(time)) return candidates[candidates.length - 1];
+        // A process known only from its activity has no start time; it stands in only when no start matches
+        let match = null;
+        let untimed = null;
+        candidates.forEach(node => {
+            if (isNaN(node.time)) untimed = node;
+            else if (node.time <= time) match = node;
+        });
+        return match || untimed;
+    }
+
+    isAncestor(node, candidate) {
+        for (let current = candidate; current; current = this.parents.get(current)) {
+            if (current === node) return true;
+        }
+        return false;
+    }
+
+    attachEvents(events, bucket, unattributed) {
+        (events || []).forEach(event => {
+            if (event.processId === undefined || event.processId === null) {
+                unattributed.push({ ...event, eventType: bucket });
+                return;
+            }
+            const host = event.host || 'Unknown host';
+            let node = this.findNode(host, event.processId, parseTimestamp(event.timestamp));
+            if (!node) {
+                node = this.createNode(event, true);
+                this.addNode(node);
+            }
+            if (node.inferred && (!node.processName || node.processName === 'N/A')) {
+                node.processName = event.processName || node.processName;
+                node.image = event.image || node.image;
+            }
+            node[bucket].push(event);
+        });
+    }
+
+    compareNodes(a, b) {
+        if (isNaN(a.time) && isNaN(b.time)) return 0;
+        if (isNaN(a.time)) return 1;
+        if (isNaN(b.time)) return -1;
+        return a.time - b.time;
+    }
+}
@@ -0,0 +1,482 @@
+// Sigma Rule Engine - evaluates Sigma detection rules against the normalized events of every parser
+// Supported: logsource categories mapped below, field modifiers contains/startswith/endswith/all/re/cidr/exists/windash/lt/lte/gt/gte,
+// wildcards, keyword lists, and conditions with and/or/not, parentheses and "1 of"/"all of" (including "them").
+// Aggregations (count, near) and encoding modifiers (base64, utf16) are reported as unsupported and the rule is skipped.
+
+// Sigma logsource categories, the bucket they read and which records in it they apply to
+const SIGMA_LOGSOURCE_CATEGORIES = {
+    process_creation: { bucket: 'processes' },
+    process_termination: { bucket: 'processTerminations' },
+    network_connection: { bucket: 'networkConnections' },
+    dns_query: { bucket: 'dnsQueries' },
+    dns: { bucket: 'dnsQueries' },
+    file_event: { bucket: 'fileActivities', accepts: record => !/delet|time changed|stream/i.test(record.action || '') },
+    file_delete: { bucket: 'fileActivities', accepts: record => /delet/i.test(record.action || '') },
+    file_change: { bucket: 'fileActivities', accepts: record => /time changed/i.test(record.action || '') },
+    create_stream_hash: { bucket: 'fileActivities', accepts: record => /stream/i.test(record.action || '') },
+    registry_event: { bucket: 'registryChanges' },
+    registry_add: { bucket: 'registryChanges', accepts: record => record.action === 'Key Created' },
+    registry_delete: { bucket: 'registryChanges', accepts: record => record.action === 'Key Deleted' },
+    // Sources such as Defender only report value writes and leave the action empty
+    registry_set: { bucket: 'registryChanges', accepts: record => !record.action || record.action === 'Value Set' },
+    registry_rename: { bucket: 'registryChanges', accepts: record => record.action === 'Key Renamed' },
+    image_load: { bucket: 'dllActivities', accepts: record => record.action !== 'Driver Loaded' },
+    driver_load: { bucket: 'dllActivities', accepts: record => record.action === 'Driver Loaded' },
+    process_access: { bucket: 'processAccess', accepts: record => record.action !== 'CreateRemoteThread' },
+    create_remote_thread: { bucket: 'processAccess', accepts: record => record.action === 'CreateRemoteThread' },
+    pipe_created: { bucket: 'pipeActivities' },
+    wmi_event: { bucket: 'wmiActivities' },
+    antivirus: { bucket: 'threats' }
+};
+
+// Sysmon's EventType values, rebuilt from the normalized action
+const SIGMA_EVENT_TYPES = {
+    'Value Set': 'SetValue', 'Key Created': 'CreateKey', 'Key Deleted': 'DeleteKey', 'Key Renamed': 'RenameKey',
+    'WMI Filter': 'WmiFilterEvent', 'WMI Consumer': 'WmiConsumerEvent', 'WMI Binding': 'WmiBindingEvent'
+};
+
+// Sigma (Sysmon) field names and where they live in normalized records. Strings are record properties,
+// functions derive the value. Unlisted fields fall back to the record property of the same or camelCased name.
+const SIGMA_FIELD_MAP = {
+    Image: 'image',
+    CommandLine: 'commandLine',
+    ParentImage: (record, context) => (context.parentOf(record) || {}).image,
+    ParentCommandLine: (record, context) => (context.parentOf(record) || {}).commandLine,
+    User: 'user',
+    Computer: 'host',
+    ProcessId: 'processId',
+    ParentProcessId: 'parentProcessId',
+    TargetFilename: 'filePath',
+    Filename: 'filePath',
+    SourceIp: 'sourceIp',
+    SourcePort: 'sourcePort',
+    DestinationIp: 'destinationIp',
+    DestinationPort: 'destinationPort',
+    // Not Sysmon fields: the address type (public, private, loopback, ...) and network zone of each end (network-zones.js)
+    SourceIpType: record => record.sourceIp ? classifyIpAddress(record.sourceIp).type : undefined,
+    DestinationIpType: record => record.destinationIp ? classifyIpAddress(record.destinationIp).type : undefined,
+    SourceZone: record => record.sourceIp ? networkZones.zoneOf(record.sourceIp).name : undefined,
+    DestinationZone: record => record.destinationIp ? networkZones.zoneOf(record.destinationIp).name : undefined,
+    Protocol: 'protocol',
+    QueryName: 'queryName',
+    QueryResults: 'queryResults',
+    TargetObject: record => record.valueName ? `${record.key}\\${record.valueName}` : record.key,
+    Details: 'valueData',
+    NewName: 'newName',
+    EventType: record => SIGMA_EVENT_TYPES[record.action],
+    ImageLoaded: 'imageLoaded',
+    Signed: 'signed',
+    // Antivirus rules use Signature for the detection name
+    Signature: record => record.signature !== undefined ? record.signature : record.threatName,
+    SignatureStatus: 'signatureStatus',
+    Hashes: 'hashes',
+    SourceImage: 'sourceImage',
+    TargetImage: 'targetImage',
+    SourceProcessId: 'sourceProcessId',
+    TargetProcessId: 'targetProcessId',
+    GrantedAccess: 'grantedAccess',
+    CallTrace: 'callTrace',
+    StartAddress: 'startAddress',
+    StartModule: 'startModule',
+    StartFunction: 'startFunction',
+    PipeName: 'pipeName',
+    Operation: 'operation',
+    EventNamespace: 'namespace',
+    Name: 'name',
+    Query: 'query',
+    Type: 'consumerType',
+    Destination: 'destination',
+    Consumer: 'consumer',
+    Filter: 'filter'
+};
+
+const SIGMA_SUPPORTED_MODIFIERS = ['contains', 'startswith', 'endswith', 'all', 're', 'i', 'm', 's', 'cidr', 'exists', 'windash', 'lt', 'lte', 'gt', 'gte'];
+
+class SigmaRuleEngine {
+    constructor() {
+        this.rules = [];
+        // Rules replaced by a later rule with the same id, oldest first; one comes back when its replacement is removed
+        this.shadowed = [];
+        // { origin, title, message } for every document that could not be loaded
+        this.errors = [];
+        this.fieldLookup = {};
+        Object.keys(SIGMA_FIELD_MAP).forEach(field => { this.fieldLookup[field.toLowerCase()] = SIGMA_FIELD_MAP[field]; });
+    }
+
+    // Parses every rule document in the YAML text. A rule with the same id as a loaded one replaces it,
+    // so a tuned copy of a bundled rule overrides the original. Returns the number of rules loaded.
+    loadRules(text, origin) {
+        let documents;
+        try {
+            documents = parseYamlDocuments(text);
+        } catch (error) {
+            this.errors.push({ origin, title: null, message: error.message });
+            return 0;
+        }
+
+        let loaded = 0;
+        documents.forEach(document => {
+            try {
+                const rule = this.compileRule(document, origin);
+                const existing = rule.id ? this.rules.findIndex(candidate => candidate.id === rule.id) : -1;
+                if (existing >= 0) {
+                    this.shadowed.push(this.rules[existing]);
+                    this.rules[existing] = rule;
+                } else {
+                    this.rules.push(rule);
+                }
+                loaded++;
+            } catch (error) {
+                this.errors.push({ origin, title: isPlainObject(document) ? document.title || null : null, message: error.message });
+            }
+        });
+        return loaded;
+    }
+
+    // Drops the rules (and load errors) from one origin, or everything when no origin is given.
+    // A rule those rules had replaced is active again, so removing a tuned copy restores the bundled original.
+    removeRules(origin) {
+        this.rules = origin === undefined ? [] : this.rules.filter(rule => rule.origin !== origin);
+        this.shadowed = origin === undefined ? [] : this.shadowed.filter(rule => rule.origin !== origin);
+        this.errors = origin === undefined ? [] : this.errors.filter(error => error.origin !== origin);
+        for (let index = this.shadowed.length - 1; index >= 0; index--) {
+            const rule = this.shadowed[index];
+            if (this.rules.some(active => active.id === rule.id)) continue;
+            this.rules.push(rule);
+            this.shadowed.splice(index, 1);
+        }
+    }
+
+    // Returns [{ rule, bucket, record, fields }] in time order; fields lists the { field, value } pairs that matched
+    evaluate(parsedData) {
+        const context = this.createContext(parsedData);
+        const matches = [];
+        this.rules.forEach(rule => {
+            const records = parsedData[rule.logsource.bucket] || [];
+            records.forEach(record => {
+                if (rule.logsource.accepts && !rule.logsource.accepts(record)) return;
+                const fields = [];
+                if (rule.conditions.some(condition => this.evaluateCondition(condition, rule, record, context, fields))) {
+                    matches.push({ rule, bucket: rule.logsource.bucket, record, fields: this.uniqueFields(fields) });
+                }
+            });
+        });
+        return matches.sort((a, b) => (parseTimestamp(a.record.timestamp) || 0) - (parseTimestamp(b.record.timestamp) || 0));
+    }
+
+    // --- Compilation ---
+
+    compileRule(document, origin) {
+        if (!isPlainObject(document)) throw new Error('Rule is not a YAML mapping');
+        if (document.action) throw new Error(`Rule collections (action: ${document.action}) are not supported`);
+        if (!document.title) throw new Error('Rule has no title');
+        const detection = document.detection;
+        if (!isPlainObject(detection) || detection.condition === undefined) throw new Error('Rule has no detection condition');
+
+        const category = ((document.logsource || {}).category || '').toLowerCase();
+        const logsource = SIGMA_LOGSOURCE_CATEGORIES[category];
+        if (!logsource) throw new Error(`Unsupported logsource category "${category || 'none'}"`);
+
+        const selections = {};
+        Object.keys(detection).forEach(name => {
+            if (name === 'condition' || name === 'timeframe') return;
+            selections[name] = this.compileSelection(detection[name]);
+        });
+
+        const tags = (Array.isArray(document.tags) ? document.tags : []).map(tag => String(tag).toLowerCase());
+        const techniqueTag = tags.find(tag => /^attack\.t\d{4}(\.\d{3})?$/.test(tag));
+        const tactic = tags.map(tag => this.tacticFromTag(tag)).find(Boolean);
+
+        return {
+            id: document.id ? String(document.id) : null,
+            title: String(document.title),
+            description: document.description ? String(document.description).trim() : '',
+            level: String(document.level || 'medium').toLowerCase(),
+            status: document.status || null,
+            tags,
+            techniqueId: techniqueTag ? techniqueTag.slice('attack.'.length).toUpperCase() : null,
+            tactic: tactic || null,
+            falsepositives: [].concat(document.falsepositives || []),
+            origin,
+            logsource,
+            selections,
+            conditions: [].concat(detection.condition).map(condition => this.parseCondition(String(condition), selections))
+        };
+    }
+
+    // attack.command_and_control -> "Command and Control"
+    tacticFromTag(tag) {
+        const name = tag.replace(/^attack\./, '').replace(/-/g, '_');
+        const tactic = MITRE_TACTICS.find(candidate => candidate.name.toLowerCase().replace(/ /g, '_') === name);
+        return tactic ? tactic.name : null;
+    }
+
+    // A selection is a map (all fields must match), a list of maps (any map matches) or a list of keywords
+    compileSelection(definition) {
+        if (isPlainObject(definition)) {
+            const conditions = Object.keys(definition).map(key => this.compileFieldCondition(key, definition[key]));
+            return { type: 'map', conditions };
+        }
+        const items = Array.isArray(definition) ? definition : [definition];
+        if (items.length > 0 && items.every(isPlainObject)) {
+            return { type: 'any', selections: items.map(item => this.compileSelection(item)) };
+        }
+        return { type: 'keywords', matchers: items.map(item => this.compileValue(item, ['contains'])) };
+    }
+
+    compileFieldCondition(key, value) {
+        const [field, ...modifiers] = key.split('|').map(part => part.trim());
+        const unsupported = modifiers.filter(modifier => !SIGMA_SUPPORTED_MODIFIERS.includes(modifier.toLowerCase()));
+        if (unsupported.length > 0) throw new Error(`Unsupported modifier "${unsupported.join('|')}" on ${field}`);
+        const lowered = modifiers.map(modifier => modifier.toLowerCase());
+        const values = Array.isArray(value) ? value : [value];
+        return {
+            field,
+            all: lowered.includes('all'),
+            matchers: values.map(item => this.compileValue(item, lowered))
+        };
+    }
+
+    // Returns a test(actual) function for one expected value
+    compileValue(expected, modifiers) {
+        if (modifiers.includes('exists')) {
+            const shouldExist = expected === true || String(expected).toLowerCase() === 'true';
+            return actual => this.isPresent(actual) === shouldExist;
+        }
+        if (expected === null) return actual => !this.isPresent(actual);
+
+        const comparison = ['lt', 'lte', 'gt', 'gte'].find(modifier => modifiers.includes(modifier));
+        if (comparison) {
+            const limit = Number(expected);
+            return actual => {
+                const number = Number(actual);
+                if (!this.isPresent(actual) || isNaN(number)) return false;
+                return { lt: number < limit, lte: number <= limit, gt: number > limit, gte: number >= limit }[comparison];
+            };
+        }
+
+        if (modifiers.includes('cidr')) {
+            const range = parseCidrRange(String(expected));
+            if (!range) throw new Error(`Invalid CIDR range "${expected}"`);
+            return actual => this.isPresent(actual) && ipInRange(String(actual), range);
+        }
+
+        if (modifiers.includes('re')) {
+            let source = String(expected);
+            let flags = ['i', 'm', 's'].filter(flag => modifiers.includes(flag)).join('');
+            // Inline (?i) as written in many community rules
+            if (source.startsWith('(?i)')) {
+                source = source.slice(4);
+                if (!flags.includes('i')) flags += 'i';
+            }
+            let pattern;
+            try {
+                pattern = new RegExp(source, flags);
+            } catch (error) {
+                throw new Error(`Invalid regular expression "${expected}": ${error.message}`);
+            }
+            return actual => this.isPresent(actual) && pattern.test(String(actual));
+        }
+
+        // Plain values: case-insensitive, with * and ? wildcards
+        let variants = [String(expected)];
+        if (modifiers.includes('windash')) variants = [...new Set(variants.concat(variants.map(text => text.replace(/(^|\s)-/g, '$1/'))))];
+        const patterns = variants.map(text => {
+            let body = this.wildcardToRegex(text);
+            if (modifiers.includes('contains') || modifiers.includes('startswith')) body += '.*';
+            if (modifiers.includes('contains') || modifiers.includes('endswith')) body = '.*' + body;
+            return new RegExp(`^${body}$`, 'is');
+        });
+        return actual => this.isPresent(actual) && patterns.some(pattern => pattern.test(String(actual)));
+    }
+
+    // Escapes regex syntax except Sigma's wildcards; "\*" and "\?" stay literal
+    wildcardToRegex(text) {
+        let result = '';
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\\' && (text[i + 1] === '*' || text[i + 1] === '?')) {
+                result += '\\' + text[++i];
+            } else if (ch === '*') {
+                result += '.*';
+            } else if (ch === '?') {
+                result += '.';
+            } else {
+                result += ch.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+            }
+        }
+        return result;
+    }
+
+    // --- Conditions ---
+
+    // Parses "selection and not (filter1 or 1 of filter_*)" into a tree of { type, ... } nodes
+    parseCondition(text, selections) {
+        if (text.includes('|')) throw new Error(`Aggregation conditions are not supported: "${text}"`);
+        const tokens = text.match(/\(|\)|[^\s()]+/g) || [];
+        let position = 0;
+        const peek = () => (tokens[position] || '').toLowerCase();
+        const fail = message => { throw new Error(`Condition "${text}": ${message}`); };
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === 'or') {
+                position++;
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = () => {
+            let node = parseNot();
+            while (peek() === 'and') {
+                position++;
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseNot = () => {
+            if (peek() === 'not') {
+                position++;
+                return { type: 'not', operand: parseNot() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = tokens[position++];
+            if (token === undefined) fail('unexpected end');
+            if (token === '(') {
+                const node = parseOr();
+                if (tokens[position++] !== ')') fail('missing ")"');
+                return node;
+            }
+            if (/^(1|any|all)$/i.test(token) && peek() === 'of') {
+                position++;
+                const target = tokens[position++];
+                if (!target) fail(`"${token} of" needs a selection name or "them"`);
+                const names = this.selectionNames(target, selections);
+                if (names.length === 0) fail(`no selection matches "${target}"`);
+                return { type: 'of', quantifier: token.toLowerCase() === 'all' ? 'all' : 'any', names };
+            }
+            if (!selections[token]) fail(`unknown selection "${token}"`);
+            return { type: 'selection', name: token };
+        };
+
+        const tree = parseOr();
+        if (position < tokens.length) fail(`unexpected "${tokens[position]}"`);
+        return tree;
+    }
+
+    // "them" means every selection except those starting with an underscore
+    selectionNames(target, selections) {
+        const names = Object.keys(selections);
+        if (target.toLowerCase() === 'them') return names.filter(name => !name.startsWith('_'));
+        const pattern = new RegExp(`^${this.wildcardToRegex(target)}$`);
+        return names.filter(name => pattern.test(name));
+    }
+
+    // Matched fields are only kept for branches that made the condition true
+    evaluateCondition(node, rule, record, context, fields) {
+        const local = [];
+        let result;
+        switch (node.type) {
+            case 'or':
+                result = this.evaluateCondition(node.left, rule, record, context, local) || this.evaluateCondition(node.right, rule, record, context, local);
+                break;
+            case 'and':
+                result = this.evaluateCondition(node.left, rule, record, context, local) && this.evaluateCondition(node.right, rule, record, context, local);
+                break;
+            case 'not':
+                result = !this.evaluateCondition(node.operand, rule, record, context, []);
+                break;
+            case 'of': {
+                const test = name => this.evaluateCondition({ type: 'selection', name }, rule, record, context, local);
+                result = node.quantifier === 'all' ? node.names.every(test) : node.names.some(test);
+                break;
+            }
+            case 'selection': {
+                const matched = this.matchSelection(rule.selections[node.name], record, context);
+                if (matched) local.push(...matched);
+                result = Boolean(matched);
+                break;
+            }
+        }
+        if (result) fields.push(...local);
+        return result;
+    }
+
+    // Returns the matched [{ field, value }] or null
+    matchSelection(selection, record, context) {
+        if (selection.type === 'any') {
+            for (const option of selection.selections) {
+                const matched = this.matchSelection(option, record, context);
+                if (matched) return matched;
+            }
+            return null;
+        }
+        if (selection.type === 'keywords') {
+            const entry = Object.entries(record).find(([, value]) => (typeof value === 'string' || typeof value === 'number') &&
+                selection.matchers.some(test => test(value)));
+            return entry ? [{ field: entry[0], value: entry[1] }] : null;
+        }
+
+        const matched = [];
+        for (const condition of selection.conditions) {
+            const actual = this.fieldValue(condition.field, record, context);
+            const values = Array.isArray(actual) ? actual : [actual];
+            const test = matcher => values.some(value => matcher(value));
+            const ok = condition.all ? condition.matchers.every(test) : condition.matchers.some(test);
+            if (!ok) return null;
+            matched.push({ field: condition.field, value: Array.isArray(actual) ? actual.join(', ') : actual });
+        }
+        return matched;
+    }
+
+    fieldValue(field, record, context) {
+        const mapped = this.fieldLookup[field.toLowerCase()];
+        if (typeof mapped === 'function') return mapped(record, context);
+        if (typeof mapped === 'string') return record[mapped];
+        if (field in record) return record[field];
+        return record[field.charAt(0).toLowerCase() + field.slice(1)];
+    }
+
+    isPresent(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    uniqueFields(fields) {
+        const seen = new Set();
+        return fields.filter(({ field, value }) => {
+            const key = `${field}=${value}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // --- Context for derived fields ---
+
+    // Indexes process creations so ParentImage/ParentCommandLine can be resolved (latest creation of the PID before the event)
+    createContext(parsedData) {
+        const byProcess = new Map();
+        (parsedData.processes || []).forEach(process => {
+            const key = `${process.host || ''}|${process.processId}`;
+            if (!byProcess.has(key)) byProcess.set(key, []);
+            byProcess.get(key).push(process);
+        });
+        return {
+            parentOf: record => {
+                if (record.parentProcessId === undefined || record.parentProcessId === null) return null;
+                const candidates = byProcess.get(`${record.host || ''}|${record.parentProcessId}`);
+                if (!candidates) return null;
+                const time = parseTimestamp(record.timestamp);
+                let parent = null;
+                candidates.forEach(candidate => {
+                    const created = parseTimestamp(candidate.timestamp);
+                    if (created > time) return;
+                    if (!parent || !(parseTimestamp(parent.timestamp) > created)) parent = candidate;
+                });
+                return parent;
+            }
+        };
+    }
+}
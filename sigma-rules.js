@@ -0,0 +1,525 @@
+// Bundled Sigma Rules - the default detections, loaded into sigmaEngine at startup
+// Rules loaded from a folder in the UI override these by id, so tuning a rule means copying it, editing it and loading the copy.
+
+const SIGMA_DEFAULT_RULES = String.raw`
+title: SMB Connection to an Internal Host
+id: 18f05454-d95f-48eb-a2b7-b18aa3873ba8
+status: experimental
+description: A user-mode process opened an SMB session to another internal host, as used for lateral movement and remote execution.
+tags:
+    - attack.lateral_movement
+    - attack.t1021.002
+logsource:
+    category: network_connection
+detection:
+    selection:
+        DestinationPort: 445
+        DestinationIp|exists: true
+    filter_system:
+        Image: 'System'
+    # Internet and loopback are the only zones that are not another internal host; user-defined zones count as internal
+    filter_not_internal:
+        DestinationZone:
+            - 'Internet'
+            - 'Loopback'
+    condition: selection and not 1 of filter_*
+falsepositives:
+    - File server access from administrative tools
+level: medium
+---
+title: Archive Staged in a Temp Folder
+id: 67dbfc32-c884-4e7d-ab09-c36008d63218
+status: experimental
+description: An archive was written to a temporary folder, a common staging step before exfiltration.
+tags:
+    - attack.collection
+    - attack.t1074
+logsource:
+    category: file_event
+detection:
+    selection_folder:
+        TargetFilename|contains:
+            - '\Temp\'
+            - '/tmp/'
+    selection_archive:
+        TargetFilename|endswith:
+            - '.zip'
+            - '.rar'
+            - '.7z'
+            - '.tar'
+            - '.gz'
+            - '.cab'
+    condition: all of selection_*
+falsepositives:
+    - Installers and updaters unpacking into Temp
+level: medium
+---
+title: Logs or Forensic Artifacts Deleted
+id: 069ecb79-fa3c-4305-a706-3bf4cbcccbb5
+status: experimental
+description: An event log, log file, shell history, prefetch file or shadow copy was deleted, removing the record of what ran.
+tags:
+    - attack.defense_evasion
+    - attack.t1070.004
+logsource:
+    category: file_delete
+detection:
+    selection_extension:
+        TargetFilename|endswith:
+            - '.evtx'
+            - '.etl'
+            - '.log'
+            - '.pf'
+            - '\ConsoleHost_history.txt'
+            - '/.bash_history'
+            - '/.zsh_history'
+    selection_folder:
+        TargetFilename|contains:
+            - '\Windows\Prefetch\'
+            - '\System Volume Information\'
+            - '\winevt\Logs\'
+            - '/var/log/'
+    condition: 1 of selection_*
+falsepositives:
+    - Log rotation and disk cleanup tools
+level: medium
+---
+title: Executable Deleted from a Staging Folder
+id: 259a47b1-19cf-4c5f-b3d2-71255057629b
+status: experimental
+description: A program or script was deleted from a temporary or world-writable folder, as droppers do to clean up after themselves.
+tags:
+    - attack.defense_evasion
+    - attack.t1070.004
+logsource:
+    category: file_delete
+detection:
+    selection_folder:
+        TargetFilename|contains:
+            - '\Temp\'
+            - '\Users\Public\'
+            - '\ProgramData\'
+            - '\AppData\Roaming\'
+            - '/tmp/'
+            - '/dev/shm/'
+    selection_extension:
+        TargetFilename|endswith:
+            - '.exe'
+            - '.dll'
+            - '.scr'
+            - '.ps1'
+            - '.bat'
+            - '.cmd'
+            - '.vbs'
+            - '.js'
+            - '.hta'
+            - '.sh'
+    condition: all of selection_*
+falsepositives:
+    - Installers and updaters removing their own temporary files
+level: low
+---
+title: File Creation Time Changed
+id: 6f5982fe-ce10-4fe6-afcd-48fe4eb2208d
+status: experimental
+description: A process rewrote the creation time of a file (Sysmon EventID 2), the signature of timestomping.
+tags:
+    - attack.defense_evasion
+    - attack.t1070.006
+logsource:
+    category: file_change
+detection:
+    selection:
+        TargetFilename|exists: true
+    condition: selection
+falsepositives:
+    - Archive extractors and sync tools that restore original timestamps
+level: medium
+---
+title: Registry Run Key Modified
+id: 3371ae37-666c-4141-ab38-8ec465ab940e
+status: experimental
+description: A value was written under a Run or RunOnce key, which starts a program at logon.
+tags:
+    - attack.persistence
+    - attack.t1547.001
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|contains:
+            - '\CurrentVersion\Run\'
+            - '\CurrentVersion\RunOnce\'
+            - '\CurrentVersion\RunOnceEx\'
+            - '\CurrentVersion\RunServices\'
+            - '\CurrentVersion\RunServicesOnce\'
+            - '\CurrentVersion\Policies\Explorer\Run\'
+    condition: selection
+falsepositives:
+    - Software installers registering their own autostart entries
+level: medium
+---
+title: Winlogon Helper Value Modified
+id: 19b75394-b848-4205-aa90-08e47abc50c4
+status: experimental
+description: The Winlogon Userinit, Shell or Notify value was changed so another program runs at logon.
+tags:
+    - attack.persistence
+    - attack.t1547.004
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|contains: '\CurrentVersion\Winlogon\'
+        TargetObject|endswith:
+            - '\Userinit'
+            - '\Shell'
+            - '\Notify'
+    condition: selection
+falsepositives:
+    - Kiosk and shell replacement configurations
+level: high
+---
+title: Image File Execution Options Debugger Set
+id: 9f4e3c06-b38a-4fee-ae56-dcafed36eb6f
+status: experimental
+description: A debugger or GlobalFlag was set for an executable under Image File Execution Options, so another program runs whenever it starts.
+tags:
+    - attack.persistence
+    - attack.t1546.012
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|contains: '\Image File Execution Options\'
+        TargetObject|endswith:
+            - '\Debugger'
+            - '\GlobalFlag'
+    condition: selection
+falsepositives:
+    - Developers attaching debuggers
+level: high
+---
+title: AppInit DLLs Modified
+id: cdefc095-6b2a-4257-8f88-63740739b0b3
+status: experimental
+description: The AppInit_DLLs value was changed, loading a DLL into every process that loads user32.dll.
+tags:
+    - attack.persistence
+    - attack.t1546.010
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|endswith: '\Windows\AppInit_DLLs'
+    condition: selection
+falsepositives:
+    - Legacy software that still relies on AppInit
+level: high
+---
+title: Service Image Path or ServiceDll Modified
+id: 5dfa98a0-0641-48d2-a9ae-49efbbe0c7e0
+status: experimental
+description: The binary a Windows service runs was set or changed.
+tags:
+    - attack.persistence
+    - attack.t1543.003
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|contains: '\CurrentControlSet\Services\'
+        TargetObject|endswith:
+            - '\ImagePath'
+            - '\ServiceDll'
+    condition: selection
+falsepositives:
+    - Service installation and updates
+level: medium
+---
+title: Logon Script Registered
+id: d4b39314-eefb-476b-bcc4-2de9637452c5
+status: experimental
+description: UserInitMprLogonScript was set, running a script at every logon of the user.
+tags:
+    - attack.persistence
+    - attack.t1037.001
+logsource:
+    category: registry_set
+detection:
+    selection:
+        TargetObject|endswith: '\Environment\UserInitMprLogonScript'
+    condition: selection
+falsepositives:
+    - Rarely used legitimately
+level: high
+---
+title: Unsigned or Invalidly Signed Driver Loaded
+id: 697a0e3c-184b-428f-b478-9725789ecac3
+status: experimental
+description: A kernel driver without a valid signature was loaded, as seen with rootkits and vulnerable-driver attacks.
+tags:
+    - attack.privilege_escalation
+    - attack.t1068
+logsource:
+    category: driver_load
+detection:
+    selection_unsigned:
+        Signed: 'false'
+    selection_status:
+        SignatureStatus|exists: true
+    filter_valid:
+        SignatureStatus: 'Valid'
+    condition: selection_unsigned or (selection_status and not filter_valid)
+falsepositives:
+    - Test-signed drivers on development machines
+level: high
+---
+title: Unsigned DLL Loaded from a User-Writable Folder
+id: d7a0ec33-6937-4f34-bb77-3cfd6f5d5c90
+status: experimental
+description: An unsigned module was loaded from a folder ordinary users can write to, typical of DLL side-loading.
+tags:
+    - attack.defense_evasion
+    - attack.t1574.002
+logsource:
+    category: image_load
+detection:
+    selection:
+        Signed: 'false'
+        ImageLoaded|contains:
+            - '\Temp\'
+            - '\AppData\'
+            - '\Downloads\'
+            - '\Users\Public\'
+            - '\ProgramData\'
+    condition: selection
+falsepositives:
+    - Per-user application installs that ship unsigned plugins
+level: medium
+---
+title: Remote Thread Created in Another Process
+id: 490ec815-564a-4980-b38d-ef5c810b6c92
+status: experimental
+description: A process started a thread inside another process (Sysmon EventID 8), the classic code injection primitive.
+tags:
+    - attack.defense_evasion
+    - attack.t1055
+logsource:
+    category: create_remote_thread
+detection:
+    selection:
+        TargetImage|exists: true
+    condition: selection
+falsepositives:
+    - Debuggers, some security products and accessibility software
+level: high
+---
+title: LSASS Memory Read Access
+id: 762ebafa-02aa-4b78-b80e-52a85e3fff73
+status: experimental
+description: A process opened lsass.exe with PROCESS_VM_READ (0x10) in its granted access, which credential dumpers need.
+tags:
+    - attack.credential_access
+    - attack.t1003.001
+logsource:
+    category: process_access
+detection:
+    selection_target:
+        TargetImage|endswith: '\lsass.exe'
+    # The low byte of the mask has bit 0x10 set when its high hex digit is odd
+    selection_access:
+        GrantedAccess|endswith:
+            - '1?'
+            - '3?'
+            - '5?'
+            - '7?'
+            - '9?'
+            - 'b?'
+            - 'd?'
+            - 'f?'
+    condition: all of selection_*
+falsepositives:
+    - Antivirus and endpoint agents scanning LSASS
+level: high
+---
+title: Process Access from Unbacked Memory
+id: 1a5a5b21-449d-4814-ba2b-97b0df261080
+status: experimental
+description: The call stack of a process access includes code outside any loaded module, as left by injected shellcode.
+tags:
+    - attack.defense_evasion
+    - attack.t1055
+logsource:
+    category: process_access
+detection:
+    selection:
+        CallTrace|contains: 'UNKNOWN'
+    condition: selection
+falsepositives:
+    - JIT-compiled runtimes such as .NET and browsers
+level: high
+---
+title: Cobalt Strike or Metasploit Named Pipe
+id: ed017af1-c169-4273-a324-cd00312a03fb
+status: experimental
+description: A named pipe with a default Cobalt Strike or Metasploit name was created or connected to.
+tags:
+    - attack.execution
+    - attack.t1559
+logsource:
+    category: pipe_created
+detection:
+    selection:
+        PipeName|re|i: '^\\?(msagent_|postex_|status_|MSSE-\d+-server|meterpreter|win_svc|ntsvcs_|scerpc_)'
+    condition: selection
+falsepositives:
+    - Unlikely
+level: high
+---
+title: PsExec-Style Service Pipe
+id: d69693f9-33c1-4572-bee5-224f965ca202
+status: experimental
+description: A named pipe used by PsExec, RemCom, PAExec or CSExec was created, indicating remote service execution.
+tags:
+    - attack.execution
+    - attack.t1569.002
+logsource:
+    category: pipe_created
+detection:
+    selection:
+        PipeName|re|i: '^\\?(PSEXESVC|RemCom_|paexec|csexec)'
+    condition: selection
+falsepositives:
+    - Administrators using PsExec
+level: medium
+---
+title: WMI Event Subscription Binding Created
+id: 2585f876-ac15-4a7a-9e51-5ee534e43a2c
+status: experimental
+description: A WMI event filter was bound to a consumer, a fileless persistence mechanism.
+tags:
+    - attack.persistence
+    - attack.t1546.003
+logsource:
+    category: wmi_event
+detection:
+    selection:
+        EventType: 'WmiBindingEvent'
+    filter_deleted:
+        Operation: 'Deleted'
+    condition: selection and not filter_deleted
+falsepositives:
+    - Management agents such as SCCM
+level: high
+---
+title: WMI Command Line or Script Consumer Created
+id: fa6a71f3-0994-4310-922c-86abe5a8d648
+status: experimental
+description: A WMI consumer that runs a command line or script was registered.
+tags:
+    - attack.persistence
+    - attack.t1546.003
+logsource:
+    category: wmi_event
+detection:
+    selection:
+        EventType: 'WmiConsumerEvent'
+        Type|contains:
+            - 'Command Line'
+            - 'CommandLine'
+            - 'Script'
+    filter_deleted:
+        Operation: 'Deleted'
+    condition: selection and not filter_deleted
+falsepositives:
+    - Management agents such as SCCM
+level: high
+---
+title: Encoded PowerShell Command Line
+id: 08c3d79f-5c8a-49f4-ae64-0b1ae84c10ab
+status: experimental
+description: PowerShell was started with a Base64-encoded command, which hides the script from casual review.
+tags:
+    - attack.execution
+    - attack.t1059.001
+logsource:
+    category: process_creation
+detection:
+    selection_image:
+        Image|endswith:
+            - '\powershell.exe'
+            - '\pwsh.exe'
+    selection_flag:
+        CommandLine|windash|contains:
+            - ' -e '
+            - ' -en '
+            - ' -enc '
+            - ' -enco'
+            - ' -EncodedCommand'
+    condition: all of selection_*
+falsepositives:
+    - Management scripts that pass encoded commands
+level: high
+---
+title: Office Application Spawned a Shell
+id: 9393e025-7522-4246-989c-85c4e13d0f8e
+status: experimental
+description: Word, Excel, PowerPoint or Outlook started a command interpreter or script host, typical of a malicious document.
+tags:
+    - attack.execution
+    - attack.t1204.002
+logsource:
+    category: process_creation
+detection:
+    selection_parent:
+        ParentImage|endswith:
+            - '\winword.exe'
+            - '\excel.exe'
+            - '\powerpnt.exe'
+            - '\outlook.exe'
+    selection_child:
+        Image|endswith:
+            - '\cmd.exe'
+            - '\powershell.exe'
+            - '\pwsh.exe'
+            - '\wscript.exe'
+            - '\cscript.exe'
+            - '\mshta.exe'
+            - '\rundll32.exe'
+            - '\regsvr32.exe'
+    condition: all of selection_*
+falsepositives:
+    - Add-ins that shell out
+level: high
+---
+title: Script Interpreter Connecting to the Internet
+id: c01e5777-cd17-48da-a623-3fb0a50328f1
+status: experimental
+description: A shell, script host or LOLBin opened a connection to an Internet address outside every defined network zone, as download cradles and C2 implants do.
+tags:
+    - attack.command_and_control
+    - attack.t1071
+logsource:
+    category: network_connection
+detection:
+    selection:
+        Image|endswith:
+            - '\cmd.exe'
+            - '\powershell.exe'
+            - '\pwsh.exe'
+            - '\wscript.exe'
+            - '\cscript.exe'
+            - '\mshta.exe'
+            - '\rundll32.exe'
+            - '\regsvr32.exe'
+        DestinationZone: 'Internet'
+    condition: selection
+falsepositives:
+    - Admin scripts that fetch updates; add the update servers to a network zone
+level: medium
+`;
+
+// The shared engine every parser evaluates its events with
+const sigmaEngine = new SigmaRuleEngine();
+sigmaEngine.loadRules(SIGMA_DEFAULT_RULES, 'bundled');
@@ -1,79 +1,99 @@
 // Log Parser Engine for Security Log Analysis - Sysmon
-class SysmonLogParser {
+class SysmonLogParser extends BaseLogParser {
     constructor() {
-        this.parsedData = {
-            processes: [],
-            networkConnections: [],
-            fileActivities: [],
-            dllActivities: [],
-            registryChanges: [],
-            userActivities: [],
-            threats: [],
-            dnsQueries: []
-        };
+        super('sysmon');
     }
 
-    // Main parsing function
-    async parseLogs(files, format) {
-        console.log(`Parsing ${files.length} files in ${format} format using SysmonLogParser`);
-
-        // Clear parsedData for new analysis
-        this.parsedData = {
-            processes: [], networkConnections: [], fileActivities: [],
-            dllActivities: [], registryChanges: [], userActivities: [],
-            threats: [], dnsQueries: []
-        };
+    parseContent(content) {
+        this.parseSysmonLogs(content);
+    }
 
-        for (let file of files) {
-            const content = await this.readFile(file);
-            await this.parseByFormat(content, format);
-        }
+    // Event XML and .evtx name the machine in System/Computer; JSON exports use Computer, MachineName or Hostname
+    parseRecord(event) {
+        this.withHost(event.Computer || event.MachineName || event.Hostname, () => this.processSysmonEvent(event));
+    }
 
-        return this.generateVisualizationData();
+    recordType(event) {
+        return `EventID ${event.EventID}`;
     }
 
-    // Read file content
+    // Reads raw bytes so binary .evtx files survive; anything else is decoded to text
     async readFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.readAsText(file);
-        });
+        const buffer = await file.arrayBuffer();
+        return EvtxReader.isEvtx(buffer) ? buffer : decodeText(buffer);
     }
 
-    // Parse based on format
-    async parseByFormat(content, format) {
-        if (format === 'sysmon') {
-            this.parseSysmonLogs(content);
-        } else {
-            console.warn(`SysmonLogParser received an unsupported format: ${format}`);
+    // .evtx and event XML are read whole; only JSON exports are streamed
+    async parseStream(file, options = {}) {
+        const head = await file.slice(0, 1024).arrayBuffer();
+        if (EvtxReader.isEvtx(head) || /^\uFEFF?\s*</.test(decodeText(head))) {
+            this.parsedData = BaseLogParser.createEmptyParsedData();
+            this.report = new IngestionReport(this.format, file.name);
+            this.parseSysmonLogs(await this.readFile(file));
+            this.report.sha256 = new Sha256().update(await file.arrayBuffer()).hex();
+            this.report.complete(this.parsedData);
+            if (options.onProgress) options.onProgress({ bytesRead: file.size, totalBytes: file.size, records: this.report.recordsRead, skipped: this.report.skippedCount });
+            return;
         }
+        return super.parseStream(file, options);
     }
 
     // --- Sysmon Log Parsing ---
+    // Accepts JSON arrays, event XML exports and binary .evtx files (passed in as an ArrayBuffer)
     parseSysmonLogs(content) {
         console.log("Parsing Sysmon logs");
-        try {
-            const events = JSON.parse(content);
-            if (Array.isArray(events)) {
-                events.forEach(event => this.processSysmonEvent(event));
+        if (content instanceof ArrayBuffer) {
+            const reader = new EvtxReader(content);
+            this.processWindowsEvents(reader.readEvents(), reader.errors);
+            return;
+        }
+        if (/^\uFEFF?\s*</.test(content)) {
+            const reader = new WindowsEventXmlReader();
+            this.processWindowsEvents(reader.readEvents(content), reader.errors);
+            return;
+        }
+        this.parseJsonRecords(content);
+    }
+
+    // Exported logs can hold other channels alongside Sysmon; only Sysmon events and Security logon events are processed
+    processWindowsEvents(events, errors) {
+        events.forEach((event, index) => {
+            const location = `record ${event.EventRecordID || index + 1}`;
+            const channel = `${event.Provider || ''} ${event.Channel || ''}`;
+            if (!(event.Provider || event.Channel) || /sysmon/i.test(channel) || (/security/i.test(channel) && WINDOWS_LOGON_EVENTS[Number(event.EventID)])) {
+                this.readRecord(event, location);
             } else {
-                console.error("Sysmon log content is not a JSON array:", content);
+                this.report.recordsRead++;
+                this.report.skip(`Not a Sysmon or logon event (${event.Channel || event.Provider} ${event.EventID})`, location);
             }
-        } catch (error) {
-            console.error("Error parsing Sysmon content as JSON:", error);
-        }
+        });
+        // .evtx errors belong to a record; XML errors are structural and only have an offset
+        errors.forEach(error => {
+            if (error.recordId !== undefined) this.report.malformed(error.message, `record ${error.recordId}`);
+            else this.report.skip(error.message, `offset ${error.offset}`);
+        });
     }
 
     processSysmonEvent(event) {
-        if (event.EventID === 1) this.processProcessCreation(event);
-        else if (event.EventID === 3) this.processNetworkConnection(event);
-        else if (event.EventID === 11 || event.EventID === 23 || event.EventID === 15) this.processFileActivity(event);
-        else if (event.EventID === 22) this.processDnsQuery(event);
+        // Exports from some collectors carry the EventID as a string
+        switch (Number(event.EventID)) {
+            case 1: this.processProcessCreation(event); break;
+            case 2: case 11: case 15: case 23: case 26: case 29: this.processFileActivity(event); break;
+            case 3: this.processNetworkConnection(event); break;
+            case 5: this.processProcessTermination(event); break;
+            case 6: case 7: this.processImageLoad(event); break;
+            case 8: case 10: this.processProcessAccess(event); break;
+            case 12: case 13: case 14: this.processRegistryEvent(event); break;
+            case 17: case 18: this.processPipeEvent(event); break;
+            case 19: case 20: case 21: this.processWmiEvent(event); break;
+            case 22: this.processDnsQuery(event); break;
+            // Security channel logon events carry no UtcTime; the event's own creation time stands in
+            case 4624: case 4625: case 4648: case 4672: this.processWindowsLogon(event, event.TimeCreated || event.UtcTime); break;
+        }
     }
 
     processProcessCreation(event) {
-        const processName = event.Image ? event.Image.split('\\').pop() : 'N/A';
+        const processName = this.processNameFromImage(event.Image);
         this.parsedData.processes.push({
             timestamp: event.UtcTime || new Date().toISOString(),
             processId: event.ProcessId,
@@ -81,12 +101,15 @@ class SysmonLogParser {
             image: event.Image,
             commandLine: event.CommandLine,
             user: event.User,
+            hashes: event.Hashes,
+            // Ties the process to the logon session it runs in (user-activity.js)
+            logonId: logonIdKey(event.LogonId),
             processName: processName
         });
     }
 
     processNetworkConnection(event) {
-        const processName = event.Image ? event.Image.split('\\').pop() : 'N/A';
+        const processName = this.processNameFromImage(event.Image);
         this.parsedData.networkConnections.push({
             timestamp: event.UtcTime || new Date().toISOString(),
             sourceIp: event.SourceIp,
@@ -94,6 +117,8 @@ class SysmonLogParser {
             destinationIp: event.DestinationIp,
             destinationPort: event.DestinationPort,
             protocol: event.Protocol,
+            // false when the logging host accepted the connection rather than opened it
+            initiated: event.Initiated === undefined ? undefined : String(event.Initiated).toLowerCase() === 'true',
             processId: event.ProcessId,
             image: event.Image,
             user: event.User,
@@ -103,14 +128,17 @@ class SysmonLogParser {
 
     processFileActivity(event) {
         let action = '';
-        switch (event.EventID) {
+        switch (Number(event.EventID)) {
+            case 2: action = 'File Creation Time Changed'; break;
             case 11: action = 'File Created'; break;
             case 23: action = 'File Deleted'; break;
             case 15: action = 'File Stream Created'; break;
+            case 26: action = 'File Delete Detected'; break;
+            case 29: action = 'Executable File Created'; break;
             default: action = `EventID ${event.EventID}`;
         }
-        const processName = event.Image ? event.Image.split('\\').pop() : 'N/A';
-        this.parsedData.fileActivities.push({
+        const processName = this.processNameFromImage(event.Image);
+        const activity = {
             timestamp: event.UtcTime || new Date().toISOString(),
             filePath: event.TargetFilename,
             action: action,
@@ -118,12 +146,128 @@ class SysmonLogParser {
             processId: event.ProcessId,
             image: event.Image,
             user: event.User,
-            processName: processName
+            processName: processName,
+            // 23, 26 and 29 hash the file; 15 hashes the stream, whose name follows the file's after a colon
+            hashes: event.Hashes || event.Hash
+        };
+        if (Number(event.EventID) === 15 && event.Contents) activity.streamContents = event.Contents;
+        if (Number(event.EventID) === 2) {
+            activity.creationTime = event.CreationUtcTime;
+            activity.previousCreationTime = event.PreviousCreationUtcTime;
+        }
+        this.parsedData.fileActivities.push(activity);
+    }
+
+    processProcessTermination(event) {
+        this.parsedData.processTerminations.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            processId: event.ProcessId,
+            image: event.Image,
+            user: event.User,
+            processName: this.processNameFromImage(event.Image)
+        });
+    }
+
+    // EventID 6 (driver loaded) has no owning process; EventID 7 is a DLL loaded into a process
+    processImageLoad(event) {
+        const isDriver = Number(event.EventID) === 6;
+        this.parsedData.dllActivities.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            action: isDriver ? 'Driver Loaded' : 'Image Loaded',
+            imageLoaded: event.ImageLoaded,
+            imageName: this.processNameFromImage(event.ImageLoaded),
+            hashes: event.Hashes,
+            signed: event.Signed,
+            signature: event.Signature,
+            signatureStatus: event.SignatureStatus,
+            processId: isDriver ? undefined : event.ProcessId,
+            image: isDriver ? 'System' : event.Image,
+            user: event.User,
+            processName: isDriver ? 'System' : this.processNameFromImage(event.Image)
+        });
+    }
+
+    // EventID 8 (CreateRemoteThread) and 10 (ProcessAccess) describe one process acting on another
+    processProcessAccess(event) {
+        this.parsedData.processAccess.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            action: Number(event.EventID) === 8 ? 'CreateRemoteThread' : 'Process Access',
+            sourceProcessId: event.SourceProcessId,
+            sourceImage: event.SourceImage,
+            targetProcessId: event.TargetProcessId,
+            targetImage: event.TargetImage,
+            targetProcessName: this.processNameFromImage(event.TargetImage),
+            grantedAccess: event.GrantedAccess,
+            callTrace: event.CallTrace,
+            startAddress: event.StartAddress,
+            startModule: event.StartModule,
+            startFunction: event.StartFunction,
+            processId: event.SourceProcessId,
+            image: event.SourceImage,
+            user: event.SourceUser || event.User,
+            processName: this.processNameFromImage(event.SourceImage)
+        });
+    }
+
+    processRegistryEvent(event) {
+        const eventId = Number(event.EventID);
+        let action = 'Value Set';
+        if (eventId === 12) action = event.EventType === 'DeleteKey' || event.EventType === 'DeleteValue' ? 'Key Deleted' : 'Key Created';
+        else if (eventId === 14) action = 'Key Renamed';
+
+        // For value events the last segment of TargetObject is the value name
+        const targetObject = event.TargetObject || '';
+        const splitAt = targetObject.lastIndexOf('\\');
+        const isValue = eventId === 13 || event.EventType === 'DeleteValue';
+        this.parsedData.registryChanges.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            action,
+            key: isValue && splitAt > 0 ? targetObject.slice(0, splitAt) : targetObject,
+            valueName: isValue && splitAt > 0 ? targetObject.slice(splitAt + 1) : undefined,
+            valueData: eventId === 13 ? (event.NewValue || event.Details) : undefined,
+            newName: event.NewName,
+            processId: event.ProcessId,
+            image: event.Image,
+            user: event.User,
+            processName: this.processNameFromImage(event.Image)
+        });
+    }
+
+    processPipeEvent(event) {
+        this.parsedData.pipeActivities.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            action: Number(event.EventID) === 17 ? 'Pipe Created' : 'Pipe Connected',
+            pipeName: event.PipeName,
+            processId: event.ProcessId,
+            image: event.Image,
+            user: event.User,
+            processName: this.processNameFromImage(event.Image)
+        });
+    }
+
+    // EventIDs 19-21: WMI event filter, consumer and filter-to-consumer binding
+    processWmiEvent(event) {
+        const actions = { 19: 'WMI Filter', 20: 'WMI Consumer', 21: 'WMI Binding' };
+        this.parsedData.wmiActivities.push({
+            timestamp: event.UtcTime || new Date().toISOString(),
+            action: actions[Number(event.EventID)],
+            operation: event.Operation,
+            name: event.Name,
+            namespace: event.EventNamespace,
+            query: event.Query,
+            consumerType: event.Type,
+            destination: event.Destination,
+            consumer: event.Consumer,
+            filter: event.Filter,
+            // Events 19-21 name the account that registered the WMI object (User), not a process
+            user: event.User,
+            image: event.Image,
+            processName: this.processNameFromImage(event.Image)
         });
     }
 
     processDnsQuery(event) {
-        const processName = event.Image ? event.Image.split('\\').pop() : 'N/A';
+        const processName = this.processNameFromImage(event.Image);
         this.parsedData.dnsQueries.push({
             timestamp: event.UtcTime || new Date().toISOString(),
             queryName: event.QueryName,
@@ -134,56 +278,32 @@ class SysmonLogParser {
             processName: processName
         });
     }
+}
 
-    // Consolidate data for visualization
-    generateVisualizationData() {
-        const visualization = {
-            aptPatterns: { threatIndicators: [], attackChain: [] },
-            fileMap: { fileActivities: [] },
-            networkMap: { connections: [], dnsQueries: [] }
-        };
-        let step = 1;
-
-        this.parsedData.networkConnections.forEach(conn => {
-            const processName = conn.processName || 'N/A';
-            if (!this.isInternalIP(conn.destinationIp)) {
-                visualization.aptPatterns.threatIndicators.push(`Command and Control Connection: Outbound connection to C2 IP: ${conn.destinationIp}:${conn.destinationPort} (Process: ${processName})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Command and Control (C2): Suspicious network connection to ${conn.destinationIp}:${conn.destinationPort} from ${processName}`);
-            } else if (this.isInternalIP(conn.destinationIp) && conn.destinationPort === 445) {
-                visualization.aptPatterns.threatIndicators.push(`Lateral Movement - SMB: Internal SMB connection: ${conn.sourceIp} -> ${conn.destinationIp} (Process: ${processName})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Lateral Movement: Internal SMB connection from ${conn.sourceIp} to ${conn.destinationIp}`);
-            }
-            visualization.networkMap.connections.push({ ...conn, process: processName });
-        });
-
-        this.parsedData.fileActivities.forEach(file => {
-            const processName = file.processName || 'N/A';
-            if (file.action === 'File Created' && file.filePath.includes('Temp')) {
-                visualization.aptPatterns.threatIndicators.push(`Exfiltration Staging: File created in temp for potential exfiltration: ${file.filePath} (Process: ${processName}) (User: ${file.user})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Exfiltration: Data staged for exfiltration via ${file.filePath}`);
-            } else if (file.action === 'File Deleted') {
-                visualization.aptPatterns.threatIndicators.push(`Evidence Tampering: File Deleted: ${file.filePath} (Process: ${processName}) (User: ${file.user})`);
-                visualization.aptPatterns.attackChain.push(`${step++}. Evidence Tampering: File ${file.filePath} deleted`);
-            }
-            visualization.fileMap.fileActivities.push({ ...file, process: processName });
-        });
-        
-        visualization.networkMap.dnsQueries = this.parsedData.dnsQueries.map(dns => ({ ...dns, process: dns.processName }));
-
-        return visualization;
-    }
-
-    isInternalIP(ip) {
-        if (!ip) return false;
-        if (ip === '127.0.0.1' || ip === '::1') return true;
-        const parts = ip.split('.');
-        if (parts.length === 4) {
-            const p1 = parseInt(parts[0], 10);
-            const p2 = parseInt(parts[1], 10);
-            if (p1 === 10) return true;
-            if (p1 === 172 && p2 >= 16 && p2 <= 31) return true;
-            if (p1 === 192 && p2 === 168) return true;
+parserRegistry.register({
+    format: 'sysmon',
+    label: 'Sysmon',
+    parserClass: SysmonLogParser,
+    fileNameHints: ['sysmon'],
+    detectContent: text => {
+        if (text.startsWith('ElfFile')) {
+            // Provider names are stored as UTF-16 inside the binary
+            return text.includes('S\0y\0s\0m\0o\0n')
+                ? { score: 1, reason: 'EVTX file with Sysmon events' }
+                : { score: 0.5, reason: 'EVTX file' };
         }
-        return false;
-    }
-}
+        if (/^<(\?xml|Events|Event)[\s>]/.test(text)) {
+            return /Microsoft-Windows-Sysmon/i.test(text)
+                ? { score: 1, reason: 'Sysmon event XML' }
+                : { score: 0.4, reason: 'Windows event XML' };
+        }
+        return null;
+    },
+    signatures: [
+        { weight: 3, reason: 'EventID', test: r => /^\d{1,2}$/.test(String(r.EventID ?? '')) },
+        { weight: 3, reason: 'UtcTime', test: r => typeof r.UtcTime === 'string' },
+        { weight: 2, reason: 'Image/TargetFilename/ProcessGuid', test: r => 'Image' in r || 'TargetFilename' in r || 'ProcessGuid' in r },
+        { weight: 1, reason: 'ProcessId', test: r => 'ProcessId' in r },
+        { weight: 1, reason: 'Sysmon channel', test: r => /sysmon/i.test(String(r.Channel || r.ProviderName || '')) || 'Computer' in r }
+    ]
+});
@@ -0,0 +1,12 @@
+// CommandLineAnalyzer: unwrapping obfuscated command lines
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { CommandLineAnalyzer } = pageGlobals('CommandLineAnalyzer');
+
+test('backticks are removed from plain characters and kept on escapes of either case', () => {
+    const layer = new CommandLineAnalyzer().unwrap('G`C`I | Write-Host "`e[1mbold`E[0m"', true);
+    assert.strictEqual(layer.key, 'backtick');
+    assert.strictEqual(layer.text, 'GCI | Write-Host "`e[1mbold`E[0m"');
+});
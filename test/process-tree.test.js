@@ -0,0 +1,44 @@
+// Process tree: parents across PID reuse and host spellings
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { ProcessTreeBuilder, BaseLogParser } = pageGlobals('ProcessTreeBuilder', 'BaseLogParser');
+
+function processes(records) {
+    return { ...BaseLogParser.createEmptyParsedData(), processes: records };
+}
+
+// Built in this realm: arrays from the page's context fail deepStrictEqual's prototype check
+function names(nodes) {
+    return Array.from(nodes, node => node.processName);
+}
+
+test('a child is not placed under a later process that reused its parent PID', () => {
+    const tree = new ProcessTreeBuilder(processes([
+        { host: 'WS01', processId: 700, parentProcessId: 500, processName: 'child.exe', timestamp: '2024-03-01T00:00:10Z' },
+        { host: 'WS01', processId: 500, parentProcessId: 4, processName: 'latecomer.exe', timestamp: '2024-03-01T00:01:40Z' }
+    ])).build();
+    assert.deepStrictEqual(names(tree.hosts[0].roots), ['child.exe', 'latecomer.exe']);
+    assert.strictEqual(tree.hosts[0].roots[1].children.length, 0);
+});
+
+test('a child is placed under the process that held the PID when it started', () => {
+    const tree = new ProcessTreeBuilder(processes([
+        { host: 'WS01', processId: 500, processName: 'first.exe', timestamp: '2024-03-01T00:00:00Z' },
+        { host: 'WS01', processId: 700, parentProcessId: 500, processName: 'child.exe', timestamp: '2024-03-01T00:00:10Z' },
+        { host: 'WS01', processId: 500, processName: 'latecomer.exe', timestamp: '2024-03-01T00:01:40Z' }
+    ])).build();
+    const first = tree.hosts[0].roots.find(node => node.processName === 'first.exe');
+    assert.deepStrictEqual(names(first.children), ['child.exe']);
+});
+
+test('sources that spell the host differently share one tree', () => {
+    const tree = new ProcessTreeBuilder(processes([
+        { host: 'ws01.corp.local', processId: 500, processName: 'parent.exe', timestamp: '2024-03-01T00:00:00Z' },
+        { host: 'WS01', processId: 700, parentProcessId: 500, processName: 'child.exe', timestamp: '2024-03-01T00:00:10Z' }
+    ])).build();
+    assert.strictEqual(tree.hosts.length, 1);
+    assert.strictEqual(tree.hosts[0].host, 'ws01.corp.local');
+    assert.deepStrictEqual(names(tree.hosts[0].roots[0].children), ['child.exe']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageGlobals } = require('./page-scripts');
+
+const { SigmaRuleEngine, SIGMA_DEFAULT_RULES } = pageGlobals('SigmaRuleEngine', 'SIGMA_DEFAULT_RULES');
+const BUNDLED_ID = '18f05454-d95f-48eb-a2b7-b18aa3873ba8';
+
+// A rule with the given title and the bundled SMB rule's id
+function tunedRule(title) {
+    return [
+        `title: ${title}`,
+        `id: ${BUNDLED_ID}`,
+        'logsource:',
+        '    category: network_connection',
+        'detection:',
+        '    selection:',
+        '        DestinationPort: 445',
+        '    condition: selection',
+        'level: high'
+    ].join('\n');
+}
+
+function activeTitles(engine) {
+    return Array.from(engine.rules.filter(rule => rule.id === BUNDLED_ID), rule => rule.title);
+}
+
+test('removing a rule that replaced a bundled one restores the bundled rule', () => {
+    const engine = new SigmaRuleEngine();
+    const bundled = engine.loadRules(SIGMA_DEFAULT_RULES, 'bundled');
+    engine.loadRules(tunedRule('Tuned SMB'), 'tuned.yml');
+    assert.deepStrictEqual(activeTitles(engine), ['Tuned SMB']);
+    assert.strictEqual(engine.rules.length, bundled);
+
+    engine.removeRules('tuned.yml');
+    assert.deepStrictEqual(activeTitles(engine), ['SMB Connection to an Internal Host']);
+    assert.strictEqual(engine.rules.length, bundled);
+});
+
+test('a rule replaced twice comes back in the order it was overridden', () => {
+    const engine = new SigmaRuleEngine();
+    engine.loadRules(SIGMA_DEFAULT_RULES, 'bundled');
+    engine.loadRules(tunedRule('First copy'), 'first.yml');
+    engine.loadRules(tunedRule('Second copy'), 'second.yml');
+
+    engine.removeRules('first.yml');
+    assert.deepStrictEqual(activeTitles(engine), ['Second copy']);
+    engine.removeRules('second.yml');
+    assert.deepStrictEqual(activeTitles(engine), ['SMB Connection to an Internal Host']);
+
+    engine.removeRules();
+    assert.strictEqual(engine.rules.length, 0);
+});
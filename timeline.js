@@ -0,0 +1,135 @@
+// Timeline - places every normalized event on a time axis, one lane per event type, and flags bursts of activity
+
+// Lanes in display order and the buckets that feed each one. Threat indicators fill the alert lane.
+const TIMELINE_LANES = [
+    { key: 'process', label: 'Process', buckets: ['processes', 'processTerminations', 'processAccess', 'dllActivities', 'pipeActivities', 'wmiActivities'] },
+    { key: 'file', label: 'File', buckets: ['fileActivities'] },
+    { key: 'network', label: 'Network', buckets: ['networkConnections'] },
+    { key: 'dns', label: 'DNS', buckets: ['dnsQueries'] },
+    { key: 'registry', label: 'Registry', buckets: ['registryChanges'] },
+    { key: 'logon', label: 'Logon', buckets: ['userActivities'] },
+    { key: 'alert', label: 'Alert', buckets: ['threats'] }
+];
+
+// True when a timestamp falls inside { start, end } (epoch ms, inclusive). No window keeps everything.
+function withinTimeWindow(timestamp, timeWindow) {
+    if (!timeWindow) return true;
+    const time = parseTimestamp(timestamp);
+    return !isNaN(time) && time >= timeWindow.start && time <= timeWindow.end;
+}
+
+// Copy of the parsed buckets holding only the events inside the window
+function filterParsedData(parsedData, timeWindow) {
+    if (!timeWindow) return parsedData;
+    const filtered = {};
+    Object.keys(parsedData).forEach(bucket => {
+        filtered[bucket] = parsedData[bucket].filter(record => withinTimeWindow(record.timestamp, timeWindow));
+    });
+    return filtered;
+}
+
+class TimelineBuilder {
+    constructor(parsedData, indicators, options = {}) {
+        this.parsedData = parsedData;
+        this.indicators = indicators || [];
+        // A burst is at least burstThreshold events of the same kind within burstWindowMs, e.g. a run of file deletions
+        this.burstWindowMs = options.burstWindowMs || 5000;
+        this.burstThreshold = options.burstThreshold || 10;
+    }
+
+    // Returns { start, end, lanes: [{ key, label, events: [{ time, bucket, record }] }], bursts, untimed }
+    build() {
+        let untimed = 0;
+        const lanes = TIMELINE_LANES.map(lane => ({ key: lane.key, label: lane.label, events: [] }));
+        const add = (laneIndex, bucket, record) => {
+            const time = parseTimestamp(record.timestamp);
+            if (isNaN(time)) {
+                untimed++;
+                return;
+            }
+            lanes[laneIndex].events.push({ time, bucket, record });
+        };
+
+        TIMELINE_LANES.forEach((lane, laneIndex) => {
+            lane.buckets.forEach(bucket => (this.parsedData[bucket] || []).forEach(record => add(laneIndex, bucket, record)));
+        });
+        // Rule and hook indicators sit in the alert lane next to the vendor detections
+        const alertLane = TIMELINE_LANES.findIndex(lane => lane.key === 'alert');
+        this.indicators.forEach(indicator => {
+            if (indicator && typeof indicator === 'object') add(alertLane, 'indicator', indicator);
+        });
+
+        let start = Infinity;
+        let end = -Infinity;
+        lanes.forEach(lane => {
+            lane.events.sort((a, b) => a.time - b.time);
+            if (lane.events.length === 0) return;
+            start = Math.min(start, lane.events[0].time);
+            end = Math.max(end, lane.events[lane.events.length - 1].time);
+        });
+
+        return {
+            start: isFinite(start) ? start : null,
+            end: isFinite(end) ? end : null,
+            lanes,
+            bursts: this.findBursts(lanes),
+            untimed
+        };
+    }
+
+    // Sliding window over each lane's events of one kind; overlapping windows merge into a single burst
+    findBursts(lanes) {
+        const bursts = [];
+        lanes.forEach(lane => {
+            const kinds = new Map();
+            lane.events.forEach(event => {
+                const kind = this.eventKind(event);
+                if (!kinds.has(kind)) kinds.set(kind, []);
+                kinds.get(kind).push(event.time);
+            });
+
+            kinds.forEach((times, kind) => {
+                let first = 0;
+                let current = null;
+                for (let last = 0; last < times.length; last++) {
+                    while (times[last] - times[first] > this.burstWindowMs) first++;
+                    if (last - first + 1 < this.burstThreshold) continue;
+                    if (current && first <= current.last) {
+                        current.last = last;
+                    } else {
+                        current = { first, last };
+                        bursts.push({ lane: lane.key, kind, range: current, times });
+                    }
+                }
+            });
+        });
+
+        return bursts
+            .map(({ lane, kind, range, times }) => {
+                const start = times[range.first];
+                const end = times[range.last];
+                const count = range.last - range.first + 1;
+                return {
+                    lane,
+                    kind,
+                    start,
+                    end,
+                    count,
+                    label: `${count} ${kind} events within ${Math.max(1, Math.ceil((end - start) / 1000))}s`
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // What makes events "the same kind" for burst detection, e.g. "File Deleted" or "Network Connection"
+    eventKind(event) {
+        const { bucket, record } = event;
+        if (bucket === 'indicator' || bucket === 'threats') return 'Alert';
+        if (bucket === 'processes') return 'Process Create';
+        if (bucket === 'processTerminations') return 'Process Terminated';
+        if (bucket === 'networkConnections') return 'Network Connection';
+        if (bucket === 'dnsQueries') return 'DNS Query';
+        if (bucket === 'fileActivities') return record.action || record.activityType || 'File Activity';
+        return record.action || bucket;
+    }
+}
@@ -0,0 +1,216 @@
+// User Activity - logons, failed logons, explicit credential use and privilege assignment from every source, the sessions
+// they open with the processes started in them, and bursts of failed logons (brute force, password spraying)
+
+// Windows logon types (4624/4625 LogonType); Defender and Winlogbeat report the name instead of the number
+const LOGON_TYPES = {
+    2: 'Interactive', 3: 'Network', 4: 'Batch', 5: 'Service', 7: 'Unlock', 8: 'NetworkCleartext', 9: 'NewCredentials',
+    10: 'RemoteInteractive', 11: 'CachedInteractive', 12: 'CachedRemoteInteractive', 13: 'CachedUnlock'
+};
+
+// Security event IDs read as user activity, and the action each is listed as
+const WINDOWS_LOGON_EVENTS = {
+    4624: 'Logon',
+    4625: 'Logon Failed',
+    4648: 'Explicit Credentials',
+    4672: 'Special Privileges'
+};
+
+// NTSTATUS codes in the Status and SubStatus of 4625
+const LOGON_FAILURE_REASONS = {
+    '0xc000006a': 'Wrong password',
+    '0xc0000064': 'No such user',
+    '0xc000006d': 'Bad user name or password',
+    '0xc000006e': 'Account restriction',
+    '0xc000006f': 'Outside permitted logon hours',
+    '0xc0000070': 'Workstation not permitted',
+    '0xc0000071': 'Password expired',
+    '0xc0000072': 'Account disabled',
+    '0xc0000133': 'Clock out of sync with the domain controller',
+    '0xc000015b': 'Logon type not granted',
+    '0xc0000193': 'Account expired',
+    '0xc0000224': 'Password must be changed',
+    '0xc0000234': 'Account locked out'
+};
+
+// Logon IDs as lowercase hex, however the source wrote them: Windows logs "0x3E7", Defender the decimal 999
+function logonIdKey(value) {
+    if (value === undefined || value === null || value === '' || value === '-') return undefined;
+    try {
+        return `0x${BigInt(String(value).trim()).toString(16)}`;
+    } catch (error) {
+        return String(value).toLowerCase();
+    }
+}
+
+// The number of a logon type given either its number or its name
+function logonTypeNumber(type) {
+    if (type === undefined || type === null || type === '') return undefined;
+    if (LOGON_TYPES[Number(type)]) return Number(type);
+    const number = Object.keys(LOGON_TYPES).find(key => LOGON_TYPES[key].toLowerCase() === String(type).toLowerCase());
+    return number ? Number(number) : undefined;
+}
+
+// Successful logons, the 4672 privilege assignments and 4648 credential uses of the same logon, and the processes started under it
+class UserActivityBuilder {
+    constructor(parsedData) {
+        this.activities = parsedData.userActivities || [];
+        this.processes = parsedData.processes || [];
+    }
+
+    // Returns { sessions: [{ key, host, user, logonId, logonType, logonTypeName, sourceIp, workstation, start, privileged,
+    // privileges, explicitCredentials, processes }], logonTypes: [{ name, success, failure }],
+    // sources: [{ source, success, failure, users }] }, sessions in time order and the rest busiest first
+    build() {
+        const sessionKey = record => record.logonId ? `${hostKey(record.host) || ''}|${record.logonId}` : null;
+        const sessions = [];
+        const byKey = new Map();
+        this.activities.forEach(record => {
+            if (record.action !== 'Logon') return;
+            const session = {
+                key: sessionKey(record),
+                host: record.host,
+                user: record.user,
+                logonId: record.logonId,
+                logonType: record.logonType,
+                logonTypeName: record.logonTypeName,
+                sourceIp: record.sourceIp,
+                workstation: record.workstation,
+                start: record.timestamp,
+                privileged: !!record.localAdmin,
+                privileges: [],
+                explicitCredentials: [],
+                processes: []
+            };
+            sessions.push(session);
+            // A logon ID is reused after a reboot; later events belong to the latest logon that had it
+            if (session.key) byKey.set(session.key, session);
+        });
+        const sessionOf = record => {
+            const key = sessionKey(record);
+            return key ? byKey.get(key) : undefined;
+        };
+        this.activities.forEach(record => {
+            const session = sessionOf(record);
+            if (!session) return;
+            if (record.action === 'Special Privileges') {
+                session.privileged = true;
+                (record.privileges || []).forEach(privilege => { if (!session.privileges.includes(privilege)) session.privileges.push(privilege); });
+            } else if (record.action === 'Explicit Credentials') {
+                session.explicitCredentials.push(record);
+            }
+        });
+        this.processes.forEach(process => {
+            const session = sessionOf(process);
+            if (session) session.processes.push(process);
+        });
+
+        const logonTypes = new Map();
+        const sources = new Map();
+        this.activities.forEach(record => {
+            if (record.action !== 'Logon' && record.action !== 'Logon Failed') return;
+            const outcome = record.action === 'Logon' ? 'success' : 'failure';
+            const typeName = record.logonTypeName || 'Unknown';
+            if (!logonTypes.has(typeName)) logonTypes.set(typeName, { name: typeName, success: 0, failure: 0 });
+            logonTypes.get(typeName)[outcome]++;
+            const source = record.sourceIp || record.workstation;
+            if (!source) return;
+            if (!sources.has(source)) sources.set(source, { source, success: 0, failure: 0, users: new Set() });
+            sources.get(source)[outcome]++;
+            if (record.user) sources.get(source).users.add(record.user);
+        });
+
+        return {
+            sessions: sessions.sort((a, b) => parseTimestamp(a.start) - parseTimestamp(b.start)),
+            logonTypes: [...logonTypes.values()].sort((a, b) => b.success + b.failure - a.success - a.failure),
+            sources: [...sources.values()]
+                .map(source => ({ ...source, users: [...source.users] }))
+                .sort((a, b) => b.failure - a.failure || b.success - a.success)
+        };
+    }
+}
+
+// Failed logons from one source close together in time. Many failures against one account are brute force (password guessing);
+// failures spread over many accounts are password spraying. A burst followed by a successful logon to one of its accounts from
+// the same source means a guess probably worked.
+class LogonBurstDetector {
+    constructor(options = {}) {
+        // Failures further apart than this start a new burst
+        this.maxGapSeconds = options.maxGapSeconds || 300;
+        // Failures against one account in one burst to call it brute force
+        this.minFailures = options.minFailures || 10;
+        // Accounts tried in one burst to call it password spraying
+        this.minAccounts = options.minAccounts || 5;
+    }
+
+    // Returns [{ kind, source, hosts, users: [{ user, failures }], failures, first, last, succeeded, records }], worst first;
+    // kind is 'Brute force' or 'Password spraying', succeeded the first later logon { user, host, timestamp } or null
+    detect(activities) {
+        const failures = new Map();
+        const successes = new Map();
+        (activities || []).forEach(record => {
+            const time = parseTimestamp(record.timestamp);
+            if (isNaN(time) || !record.user) return;
+            const target = record.action === 'Logon Failed' ? failures : record.action === 'Logon' ? successes : null;
+            if (!target) return;
+            const source = this.sourceOf(record);
+            if (!target.has(source)) target.set(source, []);
+            target.get(source).push({ time, record });
+        });
+
+        const bursts = [];
+        failures.forEach((points, source) => {
+            points.sort((a, b) => a.time - b.time);
+            let run = [points[0]];
+            const close = () => {
+                const burst = this.classify(source, run, successes.get(source) || []);
+                if (burst) bursts.push(burst);
+            };
+            for (let i = 1; i < points.length; i++) {
+                if (points[i].time - points[i - 1].time > this.maxGapSeconds * 1000) {
+                    close();
+                    run = [];
+                }
+                run.push(points[i]);
+            }
+            close();
+        });
+        return bursts.sort((a, b) => !!b.succeeded - !!a.succeeded || b.failures - a.failures);
+    }
+
+    // Where the attempts came from: the remote address, else the workstation name, else the host itself for local attempts
+    sourceOf(record) {
+        const address = ipAddressKey(record.sourceIp);
+        if (address && !['loopback', 'unspecified'].includes(classifyIpAddress(record.sourceIp).type)) return String(record.sourceIp);
+        if (record.workstation) return String(record.workstation);
+        return `${record.host || 'Unknown host'} (local)`;
+    }
+
+    classify(source, run, successes) {
+        const users = new Map();
+        run.forEach(({ record }) => users.set(record.user, (users.get(record.user) || 0) + 1));
+        const mostTried = Math.max(...users.values());
+        let kind = null;
+        if (users.size >= this.minAccounts) kind = 'Password spraying';
+        else if (mostTried >= this.minFailures) kind = 'Brute force';
+        if (!kind) return null;
+
+        const first = run[0];
+        const last = run[run.length - 1];
+        const success = successes
+            .filter(point => point.time >= first.time && point.time <= last.time + this.maxGapSeconds * 1000 && users.has(point.record.user))
+            .sort((a, b) => a.time - b.time)[0];
+        return {
+            kind,
+            source,
+            hosts: [...new Set(run.map(({ record }) => record.host).filter(Boolean))],
+            users: [...users].sort((a, b) => b[1] - a[1]).map(([user, failures]) => ({ user, failures })),
+            failures: run.length,
+            first: first.record.timestamp,
+            last: last.record.timestamp,
+            succeeded: success ? { user: success.record.user, host: success.record.host, timestamp: success.record.timestamp } : null,
+            records: run.map(point => point.record)
+        };
+    }
+}
+
+const logonBurstDetector = new LogonBurstDetector();
@@ -1,103 +1,319 @@
 // Log Parser Engine for Security Log Analysis - Wazuh
-class WazuhLogParser {
+class WazuhLogParser extends BaseLogParser {
     constructor() {
-        this.parsedData = {
-            processes: [],
-            networkConnections: [],
-            fileActivities: [],
-            dllActivities: [],
-            registryChanges: [],
-            userActivities: [],
-            threats: [],
-            dnsQueries: []
-        };
+        super('wazuh');
     }
 
-    // Main parsing function
-    async parseLogs(files, format) {
-        console.log(`Parsing ${files.length} files in ${format} format using WazuhLogParser`);
+    parseContent(content) {
+        this.parseWazuhLogs(content);
+    }
 
-        // Clear parsedData for new analysis
-        this.parsedData = {
-            processes: [], networkConnections: [], fileActivities: [],
-            dllActivities: [], registryChanges: [], userActivities: [],
-            threats: [], dnsQueries: []
-        };
+    // --- Wazuh Log Parsing ---
+    // Accepts a JSON array of alerts or Wazuh's own alerts.json, which holds one alert per line
+    parseWazuhLogs(content) {
+        console.log("Parsing Wazuh logs");
+        this.parseJsonRecords(content);
+    }
 
-        for (let file of files) {
-            const content = await this.readFile(file);
-            await this.parseByFormat(content, format);
+    // agent.id numbers the endpoint within one manager, so it is only kept next to the agent's name
+    parseRecord(alert) {
+        if (isPlainObject(alert)) this.withHost(alert.agent?.name, () => this.processAlert(alert), alert.agent?.id);
+        else this.skipRecord('Not an alert object');
+    }
+
+    recordType(alert) {
+        return isPlainObject(alert) && alert.decoder?.name ? `Decoder ${alert.decoder.name}` : 'Alert';
+    }
+
+    // Every alert becomes a threat; the decoder-specific parts also fill the process, network, DNS and file buckets
+    processAlert(alert) {
+        const timestamp = alert.timestamp || new Date().toISOString();
+        const rule = alert.rule || {};
+        const data = alert.data || {};
+        const mitre = rule.mitre || {};
+        // agent.name is the monitored endpoint; alerts raised on the manager itself carry no agent
+        const host = alert.agent?.name || alert.manager?.name;
+        const win = data.win || {};
+        const eventdata = win.eventdata || {};
+        const image = alert.syscheck?.audit?.process?.name || data.audit?.exe || eventdata.image || eventdata.newProcessName;
+
+        // Create a threat indicator from the Wazuh rule
+        if (rule.id && rule.description) {
+            this.parsedData.threats.push({
+                timestamp: timestamp,
+                threatName: rule.description,
+                rule: rule.id,
+                severity: this.mapWazuhLevel(rule.level),
+                description: alert.full_log || rule.description,
+                type: 'wazuh_alert',
+                processName: image ? this.processNameFromImage(image) : (data.audit?.event?.process?.name || data.command || 'N/A'),
+                filePath: alert.syscheck?.path || data.file || data.audit?.event?.file || eventdata.targetFilename,
+                user: alert.syscheck?.audit?.user?.name || eventdata.user || eventdata.subjectUserName,
+                host,
+                // Wazuh rules carry their own ATT&CK mapping; the first technique is used for the matrix
+                techniqueId: [].concat(mitre.id || [])[0],
+                techniqueName: [].concat(mitre.technique || [])[0],
+                tactic: [].concat(mitre.tactic || [])[0]
+            });
         }
 
-        return this.generateVisualizationData();
+        if (isPlainObject(alert.syscheck)) this.processSyscheck(alert.syscheck, timestamp, host);
+        if (isPlainObject(data.audit?.event)) this.processAuditEvent(data.audit.event, timestamp, host);
+        else if (isPlainObject(data.audit)) this.processAuditd(data.audit, timestamp, host);
+        if (isPlainObject(win.system)) this.processEventChannel(win, host);
+        else if (this.authenticationOutcome(rule)) this.processAuthentication(alert, timestamp, host);
+        else this.processNetworkFields(data, timestamp, host);
+    }
+
+    // Logon alerts (sshd, PAM, su, ...) are grouped by their outcome; null for any other alert
+    authenticationOutcome(rule) {
+        const groups = [].concat(rule.groups || []);
+        if (groups.includes('authentication_success')) return 'success';
+        if (groups.some(group => ['authentication_failed', 'authentication_failures', 'invalid_login'].includes(group))) return 'failure';
+        return null;
     }
 
-    // Read file content
-    async readFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.readAsText(file);
+    // The srcip of a logon alert is where the logon came from, so it becomes user activity rather than a connection
+    processAuthentication(alert, timestamp, host) {
+        const data = alert.data || {};
+        const failed = this.authenticationOutcome(alert.rule) === 'failure';
+        const program = alert.predecoder?.program_name || alert.decoder?.parent || alert.decoder?.name;
+        this.parsedData.userActivities.push({
+            timestamp,
+            action: failed ? 'Logon Failed' : 'Logon',
+            user: data.dstuser || data.srcuser || data.user,
+            subjectUser: data.dstuser && data.srcuser ? data.srcuser : undefined,
+            logonTypeName: program === 'sshd' ? 'SSH' : undefined,
+            sourceIp: data.srcip,
+            sourcePort: data.srcport,
+            logonProcess: program,
+            failureReason: failed ? alert.rule.description : undefined,
+            processName: program || 'N/A',
+            host
         });
     }
 
-    // Parse based on format
-    async parseByFormat(content, format) {
-        if (format === 'wazuh') {
-            this.parseWazuhLogs(content);
-        } else {
-            console.warn(`WazuhLogParser received an unsupported format: ${format}`);
+    // syscheck (FIM): the file, what happened to it, its hashes and size before and after, and with whodata the process
+    processSyscheck(syscheck, timestamp, host) {
+        if (!syscheck.path) return;
+        const actions = { added: 'File Created', modified: 'File Modified', deleted: 'File Deleted' };
+        const process = syscheck.audit?.process || {};
+        this.parsedData.fileActivities.push({
+            timestamp: timestamp,
+            filePath: syscheck.path,
+            action: actions[syscheck.event] || `File ${syscheck.event || 'Changed'}`,
+            activityType: `wazuh-fim-${syscheck.event}`,
+            processId: process.id,
+            parentProcessId: process.ppid,
+            image: process.name,
+            user: syscheck.audit?.user?.name || syscheck.uname_after,
+            processName: process.name ? this.processNameFromImage(process.name) : 'N/A',
+            host,
+            hashes: this.fileHashes(syscheck.md5_after, syscheck.sha1_after, syscheck.sha256_after),
+            previousHashes: this.fileHashes(syscheck.md5_before, syscheck.sha1_before, syscheck.sha256_before),
+            size: this.toNumber(syscheck.size_after),
+            previousSize: this.toNumber(syscheck.size_before),
+            changedAttributes: syscheck.changed_attributes,
+            fimMode: syscheck.mode
+        });
+    }
+
+    // Older FIM integrations nest the change under data.audit.event
+    processAuditEvent(event, timestamp, host) {
+        if (!event.file || !event.action) return;
+        this.parsedData.fileActivities.push({
+            timestamp: timestamp,
+            filePath: event.file,
+            action: event.action,
+            activityType: `wazuh-fim-${event.action}`,
+            processId: event.process?.pid,
+            parentProcessId: event.process?.ppid,
+            image: event.process?.name,
+            user: event.user,
+            processName: event.process?.name || 'N/A',
+            host,
+            hashes: this.fileHashes(event.md5_after, event.sha1_after, event.sha256_after),
+            previousHashes: this.fileHashes(event.md5_before, event.sha1_before, event.sha256_before),
+            size: this.toNumber(event.size_after),
+            previousSize: this.toNumber(event.size_before)
+        });
+    }
+
+    // auditd decoder: execve syscalls become processes, file syscalls become file activity
+    processAuditd(audit, timestamp, host) {
+        const syscall = this.auditSyscallName(audit.syscall);
+        const image = audit.exe;
+        const common = {
+            timestamp: timestamp,
+            processId: audit.pid,
+            image,
+            user: audit.auid && audit.auid !== '4294967295' ? audit.auid : audit.uid,
+            processName: this.processNameFromImage(image || audit.command),
+            host
+        };
+
+        if (syscall === 'execve' || isPlainObject(audit.execve)) {
+            const args = isPlainObject(audit.execve)
+                ? Object.keys(audit.execve).sort((a, b) => Number(a.slice(1)) - Number(b.slice(1))).map(key => audit.execve[key])
+                : [];
+            this.parsedData.processes.push({
+                ...common,
+                parentProcessId: audit.ppid,
+                commandLine: args.length > 0 ? args.join(' ') : audit.command
+            });
+            return;
         }
+
+        const fileName = audit.file?.name;
+        if (!fileName) return;
+        const actions = {
+            unlink: 'File Deleted', unlinkat: 'File Deleted', rmdir: 'File Deleted',
+            rename: 'File Renamed', renameat: 'File Renamed', renameat2: 'File Renamed',
+            creat: 'File Created', mkdir: 'File Created',
+            chmod: 'File Attributes Changed', fchmod: 'File Attributes Changed', fchmodat: 'File Attributes Changed',
+            chown: 'File Attributes Changed', fchownat: 'File Attributes Changed'
+        };
+        // Relative names are resolved against the process working directory
+        const filePath = /^\//.test(fileName) || !audit.cwd ? fileName : `${audit.cwd.replace(/\/$/, '')}/${fileName}`;
+        this.parsedData.fileActivities.push({
+            ...common,
+            filePath,
+            action: actions[syscall] || 'File Accessed',
+            activityType: `wazuh-audit-${syscall || 'syscall'}`,
+            auditKey: audit.key,
+            success: audit.success
+        });
     }
 
-    // --- Wazuh Log Parsing ---
-    parseWazuhLogs(content) {
-        console.log("Parsing Wazuh logs");
-        try {
-            const alerts = JSON.parse(content);
-            if (Array.isArray(alerts)) {
-                alerts.forEach(alert => {
-                    const timestamp = alert.timestamp || new Date().toISOString();
-                    const rule = alert.rule || {};
-                    const data = alert.data || {};
-
-                    // Create a threat indicator from the Wazuh rule
-                    if (rule.id && rule.description) {
-                        this.parsedData.threats.push({
-                            timestamp: timestamp,
-                            threatName: rule.description,
-                            rule: rule.id,
-                            severity: this.mapWazuhLevel(rule.level),
-                            description: alert.full_log || rule.description,
-                            type: 'wazuh_alert',
-                            processName: data.audit?.event?.process?.name || data.command || 'N/A'
-                        });
-                    }
-
-                    // Specifically parse file integrity monitoring events
-                    if (data.audit?.event?.file && data.audit?.event?.action) {
-                        const event = data.audit.event;
-                        this.parsedData.fileActivities.push({
-                            timestamp: timestamp,
-                            filePath: event.file,
-                            action: event.action,
-                            activityType: `wazuh-fim-${event.action}`,
-                            processId: event.process?.pid,
-                            image: event.process?.name,
-                            user: event.user,
-                            processName: event.process?.name || 'N/A'
-                        });
-                    }
-                    // Add other parsers for different Wazuh decoders as needed
+    // x86_64 numbers for the syscalls above; the decoder reports either the number or the name
+    auditSyscallName(syscall) {
+        const numbers = {
+            2: 'open', 59: 'execve', 82: 'rename', 83: 'mkdir', 84: 'rmdir', 85: 'creat', 87: 'unlink',
+            90: 'chmod', 91: 'fchmod', 92: 'chown', 257: 'openat', 260: 'fchownat', 263: 'unlinkat',
+            264: 'renameat', 268: 'fchmodat', 316: 'renameat2'
+        };
+        if (syscall === undefined || syscall === null) return undefined;
+        return numbers[syscall] || String(syscall).toLowerCase();
+    }
+
+    // Windows eventchannel decoder. Sysmon events go through the Sysmon parser's handlers and logon events through the shared
+    // Security logon mapping; a few other Security events are mapped here.
+    processEventChannel(win, host) {
+        const system = win.system;
+        const eventdata = win.eventdata || {};
+        const eventId = Number(system.eventID);
+        host = host || system.computer;
+
+        // Wazuh lower-cases the first letter of every EventData name (utcTime, targetFilename, ...)
+        const event = { EventID: eventId };
+        Object.keys(eventdata).forEach(key => { event[key.charAt(0).toUpperCase() + key.slice(1)] = eventdata[key]; });
+        if (/sysmon/i.test(`${system.providerName || ''} ${system.channel || ''}`)) {
+            this.withHost(host, () => this.sysmonParser().processSysmonEvent(event));
+            return;
+        }
+
+        const timestamp = system.systemTime || new Date().toISOString();
+        if (WINDOWS_LOGON_EVENTS[eventId]) {
+            this.withHost(host, () => this.processWindowsLogon(event, timestamp));
+            return;
+        }
+        const user = eventdata.subjectDomainName && eventdata.subjectUserName
+            ? `${eventdata.subjectDomainName}\\${eventdata.subjectUserName}`
+            : eventdata.subjectUserName;
+        switch (eventId) {
+            // 4688: a new process has been created (PIDs are hex strings)
+            case 4688:
+                this.parsedData.processes.push({
+                    timestamp,
+                    processId: this.parseWindowsId(eventdata.newProcessId),
+                    parentProcessId: this.parseWindowsId(eventdata.processId),
+                    image: eventdata.newProcessName,
+                    commandLine: eventdata.commandLine,
+                    user,
+                    // TargetLogonId (Windows 10 and later) is the new process's own session; 0x0 when not recorded
+                    logonId: logonIdKey(eventdata.targetLogonId && eventdata.targetLogonId !== '0x0' ? eventdata.targetLogonId : eventdata.subjectLogonId),
+                    processName: this.processNameFromImage(eventdata.newProcessName),
+                    host
+                });
+                break;
+            // 4663: an attempt was made to access an object; only file objects are kept
+            case 4663:
+                if (eventdata.objectType && eventdata.objectType !== 'File') break;
+                this.parsedData.fileActivities.push({
+                    timestamp,
+                    filePath: eventdata.objectName,
+                    action: /delete/i.test(eventdata.accessList || '') || eventdata.accessMask === '0x10000' ? 'File Deleted' : 'File Accessed',
+                    activityType: 'wazuh-eventchannel-4663',
+                    processId: this.parseWindowsId(eventdata.processId),
+                    image: eventdata.processName,
+                    user,
+                    processName: this.processNameFromImage(eventdata.processName),
+                    host
                 });
-            } else {
-                console.error("Wazuh log content is not a JSON array:", content);
-            }
-        } catch (error) {
-            console.error("Error parsing Wazuh content as JSON:", error);
+                break;
+            // 5156: the Windows Filtering Platform permitted a connection
+            case 5156:
+                this.parsedData.networkConnections.push({
+                    timestamp,
+                    sourceIp: eventdata.sourceAddress,
+                    sourcePort: eventdata.sourcePort,
+                    destinationIp: eventdata.destAddress,
+                    destinationPort: eventdata.destPort,
+                    protocol: { 6: 'tcp', 17: 'udp', 1: 'icmp' }[eventdata.protocol] || eventdata.protocol,
+                    // %%14592 is inbound, %%14593 outbound
+                    initiated: { '%%14592': false, '%%14593': true }[eventdata.direction],
+                    processId: eventdata.processID !== undefined ? Number(eventdata.processID) : undefined,
+                    image: eventdata.application,
+                    processName: this.processNameFromImage(eventdata.application),
+                    host
+                });
+                break;
+        }
+    }
+
+    // Firewall, IDS and web decoders report srcip/dstip; Suricata's eve.json uses src_ip/dest_ip and adds DNS records
+    processNetworkFields(data, timestamp, host) {
+        const sourceIp = data.srcip || data.src_ip;
+        const destinationIp = data.dstip || data.dest_ip;
+        if (sourceIp || destinationIp) {
+            this.parsedData.networkConnections.push({
+                timestamp,
+                sourceIp,
+                sourcePort: data.srcport || data.src_port,
+                destinationIp,
+                destinationPort: data.dstport || data.dest_port,
+                protocol: data.protocol || data.proto,
+                user: data.srcuser || data.dstuser,
+                processName: data.program_name || 'N/A',
+                host
+            });
+        }
+        if (data.dns?.rrname) {
+            const answers = [].concat(data.dns.answers || []).map(answer => answer.rdata).filter(Boolean);
+            this.parsedData.dnsQueries.push({
+                timestamp,
+                queryName: data.dns.rrname,
+                queryResults: answers.length > 0 ? answers.join(';') : data.dns.rdata,
+                sourceIp,
+                processName: 'N/A',
+                host
+            });
         }
     }
-    
+
+    // One Sysmon parser writes into this parser's buckets for every forwarded Sysmon event
+    sysmonParser() {
+        if (!this.forwardedSysmon) this.forwardedSysmon = new SysmonLogParser();
+        this.forwardedSysmon.parsedData = this.parsedData;
+        return this.forwardedSysmon;
+    }
+
+    toNumber(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+    }
+
     // Maps Wazuh's numeric level to a severity string
     mapWazuhLevel(level) {
         if (!level) return 'low';
@@ -107,53 +323,34 @@ class WazuhLogParser {
         return 'informational'; // Levels below 3
     }
 
-
-    // Consolidate data for visualization
-    generateVisualizationData() {
-        const visualization = {
-            aptPatterns: { threatIndicators: [], attackChain: [] },
-            fileMap: { fileActivities: [] },
-            networkMap: { connections: [], dnsQueries: [] }
-        };
-        let step = 1;
-        
-        // Add threats from Wazuh alerts
-        this.parsedData.threats.forEach(t => {
-            visualization.aptPatterns.threatIndicators.push({
-                threatName: t.threatName,
-                description: t.description,
-                processName: t.processName,
-                severity: t.severity
-            });
-            visualization.aptPatterns.attackChain.push(`${step++}. ${t.threatName}: ${t.description}`);
-        });
-
-        this.parsedData.fileActivities.forEach(file => {
-            const processName = file.processName || 'N/A';
-            visualization.fileMap.fileActivities.push({ ...file, process: processName });
-        });
-
-        this.parsedData.networkConnections.forEach(conn => {
-            const processName = conn.processName || 'N/A';
-            visualization.networkMap.connections.push({ ...conn, process: processName });
-        });
-        
-        visualization.networkMap.dnsQueries = this.parsedData.dnsQueries.map(dns => ({ ...dns, process: dns.processName }));
-
-        return visualization;
-    }
-
-    isInternalIP(ip) {
-        if (!ip) return false;
-        if (ip === '127.0.0.1' || ip === '::1') return true;
-        const parts = ip.split('.');
-        if (parts.length === 4) {
-            const p1 = parseInt(parts[0], 10);
-            const p2 = parseInt(parts[1], 10);
-            if (p1 === 10) return true;
-            if (p1 === 172 && p2 >= 16 && p2 <= 31) return true;
-            if (p1 === 192 && p2 === 168) return true;
-        }
-        return false;
+    // --- Detection hooks ---
+    // Wazuh alerts join the attack chain as well as the indicator list
+    analyzeThreat(threat) {
+        return [{
+            indicator: {
+                threatName: threat.threatName,
+                description: threat.description,
+                processName: threat.processName,
+                severity: threat.severity
+            },
+            technique: threat.techniqueId,
+            tactic: threat.tactic,
+            techniqueName: threat.techniqueName,
+            step: `${threat.threatName}: ${threat.description}`
+        }];
     }
 }
+
+parserRegistry.register({
+    format: 'wazuh',
+    label: 'Wazuh',
+    parserClass: WazuhLogParser,
+    fileNameHints: ['wazuh'],
+    signatures: [
+        { weight: 3, reason: 'rule', test: r => isPlainObject(r.rule) && ('level' in r.rule || 'id' in r.rule) },
+        { weight: 2, reason: 'agent', test: r => isPlainObject(r.agent) && ('id' in r.agent || 'name' in r.agent) },
+        { weight: 2, reason: 'predecoder/decoder', test: r => isPlainObject(r.predecoder) || isPlainObject(r.decoder) },
+        { weight: 1, reason: 'full_log/manager/location', test: r => 'full_log' in r || 'manager' in r || 'location' in r },
+        { weight: 1, reason: 'timestamp', test: r => typeof r.timestamp === 'string' }
+    ]
+});
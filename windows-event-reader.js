@@ -0,0 +1,419 @@
+// Windows Event Log Readers - binary .evtx files and XML exports (wevtutil qe /f:xml, Event Viewer "Save as XML")
+// Both readers build element trees of { name, attributes, children } and flatten each <Event> with flattenWindowsEvent,
+// giving one plain object per event: System fields plus every EventData/Data[@Name] value.
+
+// EventData fields that hold numbers in the JSON exports the parsers were written against
+const WINDOWS_EVENT_NUMERIC_FIELD = /(ProcessId|Port)$/;
+
+function flattenWindowsEvent(eventElement, meta) {
+    const childElement = (element, name) => element ? element.children.find(child => typeof child === 'object' && child.name === name) : undefined;
+    const textOf = element => element ? element.children.filter(child => typeof child === 'string').join('') : undefined;
+    const system = childElement(eventElement, 'System');
+    const record = {};
+
+    if (system) {
+        const eventId = textOf(childElement(system, 'EventID'));
+        record.EventID = eventId !== undefined && /^\d+$/.test(eventId.trim()) ? Number(eventId) : eventId;
+        const provider = childElement(system, 'Provider');
+        if (provider) record.Provider = provider.attributes.Name;
+        record.Channel = textOf(childElement(system, 'Channel'));
+        record.Computer = textOf(childElement(system, 'Computer'));
+        const timeCreated = childElement(system, 'TimeCreated');
+        if (timeCreated) record.TimeCreated = timeCreated.attributes.SystemTime;
+        record.EventRecordID = textOf(childElement(system, 'EventRecordID'));
+        const security = childElement(system, 'Security');
+        if (security && security.attributes.UserID) record.SecurityUserID = security.attributes.UserID;
+    }
+    if (meta && record.EventRecordID === undefined) record.EventRecordID = meta.recordId;
+
+    const addField = (name, value) => {
+        if (value !== undefined && WINDOWS_EVENT_NUMERIC_FIELD.test(name) && /^\d+$/.test(String(value).trim())) value = Number(value);
+        record[name] = value;
+    };
+
+    const eventData = childElement(eventElement, 'EventData');
+    if (eventData) {
+        let unnamed = 0;
+        eventData.children.forEach(child => {
+            if (typeof child !== 'object' || child.name !== 'Data') return;
+            addField(child.attributes.Name || `Data${unnamed++}`, textOf(child));
+        });
+    }
+
+    // UserData wraps provider-specific elements one level deeper
+    const userData = childElement(eventElement, 'UserData');
+    if (userData) {
+        userData.children.forEach(wrapper => {
+            if (typeof wrapper !== 'object') return;
+            wrapper.children.forEach(child => {
+                if (typeof child === 'object') addField(child.name, textOf(child));
+            });
+        });
+    }
+
+    return record;
+}
+
+// Reads the binary EVTX format: a 4 KB file header followed by 64 KB chunks of BinXML event records
+class EvtxReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.errors = [];
+        this.chunkSize = 0x10000;
+    }
+
+    static isEvtx(buffer) {
+        if (!buffer || buffer.byteLength < 8) return false;
+        const bytes = new Uint8Array(buffer, 0, 8);
+        return String.fromCharCode(...bytes) === 'ElfFile\0';
+    }
+
+    // Returns one flattened record per event; records that fail to decode are listed in this.errors
+    readEvents() {
+        if (!EvtxReader.isEvtx(this.buffer)) throw new Error('Not an EVTX file (missing ElfFile signature)');
+        const events = [];
+        const headerBlockSize = this.view.getUint16(0x28, true) || 0x1000;
+
+        for (let chunk = headerBlockSize; chunk + this.chunkSize <= this.buffer.byteLength; chunk += this.chunkSize) {
+            if (this.ascii(chunk, 8) !== 'ElfChnk\0') continue;
+            this.readChunk(chunk, events);
+        }
+        return events;
+    }
+
+    readChunk(chunk, events) {
+        // Templates and names are addressed by offsets relative to the chunk they live in
+        this.chunk = chunk;
+        this.names = new Map();
+        this.templates = new Map();
+
+        const freeSpace = this.view.getUint32(chunk + 0x30, true);
+        const end = chunk + (freeSpace > 0x200 && freeSpace <= this.chunkSize ? freeSpace : this.chunkSize);
+        let offset = chunk + 0x200;
+
+        while (offset + 28 <= end && this.view.getUint32(offset, true) === 0x00002a2a) {
+            const size = this.view.getUint32(offset + 4, true);
+            if (size < 28 || offset + size > end) break;
+            const recordId = Number(this.view.getBigUint64(offset + 8, true));
+            try {
+                const nodes = this.readNodes({ pos: offset + 24 }, offset + size - 4, null, false);
+                const eventElement = nodes.find(node => typeof node === 'object' && node.name === 'Event');
+                if (eventElement) events.push(flattenWindowsEvent(eventElement, { recordId }));
+            } catch (error) {
+                this.errors.push({ recordId, offset, message: error.message });
+            }
+            offset += size;
+        }
+    }
+
+    // Parses BinXML tokens into elements and text until end-of-fragment, the closing tag, or the end offset
+    readNodes(cursor, end, values, insideElement) {
+        const nodes = [];
+        while (cursor.pos < end) {
+            const token = this.bytes[cursor.pos];
+            switch (token & 0x0f) {
+                case 0x00: // End of fragment
+                    cursor.pos++;
+                    return nodes;
+                case 0x01:
+                    nodes.push(this.readElement(cursor, end, values));
+                    break;
+                case 0x04: // Close element
+                    cursor.pos++;
+                    if (insideElement) return nodes;
+                    break;
+                case 0x05: case 0x07: case 0x08: case 0x09: case 0x0d: case 0x0e:
+                    nodes.push(...this.readContent(cursor, values));
+                    break;
+                case 0x0a: { // Processing instruction target
+                    const start = cursor.pos;
+                    const offset = this.view.getUint32(cursor.pos + 1, true);
+                    cursor.pos += 5;
+                    this.readName(cursor, offset, start);
+                    break;
+                }
+                case 0x0b: // Processing instruction data
+                    cursor.pos += 3 + this.view.getUint16(cursor.pos + 1, true) * 2;
+                    break;
+                case 0x0c:
+                    nodes.push(...this.readTemplateInstance(cursor));
+                    break;
+                case 0x0f: // Fragment header: token, major and minor version, flags
+                    cursor.pos += 4;
+                    break;
+                default:
+                    throw new Error(`Unexpected BinXML token 0x${token.toString(16)} at offset ${cursor.pos}`);
+            }
+        }
+        return nodes;
+    }
+
+    readElement(cursor, end, values) {
+        const start = cursor.pos;
+        const token = this.bytes[cursor.pos];
+        // Token, dependency identifier (2), data size (4), then the name offset
+        const nameOffset = this.view.getUint32(cursor.pos + 7, true);
+        cursor.pos += (token & 0x40) ? 15 : 11; // attribute list size follows when attributes are present
+        const element = { name: this.readName(cursor, nameOffset, start), attributes: {}, children: [] };
+
+        while ((this.bytes[cursor.pos] & 0x0f) === 0x06) {
+            const attributeStart = cursor.pos;
+            cursor.pos++;
+            const attributeNameOffset = this.view.getUint32(cursor.pos, true);
+            cursor.pos += 4;
+            const name = this.readName(cursor, attributeNameOffset, attributeStart);
+            const parts = [];
+            let present = false;
+            while ([0x05, 0x08, 0x09, 0x0d, 0x0e].includes(this.bytes[cursor.pos] & 0x0f)) {
+                const content = this.readContent(cursor, values);
+                if (content.length > 0) present = true;
+                parts.push(...content.filter(part => typeof part === 'string'));
+            }
+            if (present) element.attributes[name] = parts.join('');
+        }
+
+        const close = this.bytes[cursor.pos++];
+        if (close === 0x02) {
+            element.children = this.readNodes(cursor, end, values, true);
+        } else if (close !== 0x03) {
+            throw new Error(`Unterminated start tag <${element.name}> at offset ${start}`);
+        }
+        return element;
+    }
+
+    // Text-like tokens; substitutions expand to the record's values (strings, or elements for nested BinXML)
+    readContent(cursor, values) {
+        const token = this.bytes[cursor.pos];
+        switch (token & 0x0f) {
+            case 0x05: { // Value text: token, value type, character count, UTF-16 characters
+                const count = this.view.getUint16(cursor.pos + 2, true);
+                const text = this.utf16(cursor.pos + 4, count * 2);
+                cursor.pos += 4 + count * 2;
+                return [text];
+            }
+            case 0x07: { // CDATA section
+                const count = this.view.getUint16(cursor.pos + 1, true);
+                const text = this.utf16(cursor.pos + 3, count * 2);
+                cursor.pos += 3 + count * 2;
+                return [text];
+            }
+            case 0x08: { // Character reference
+                const code = this.view.getUint16(cursor.pos + 1, true);
+                cursor.pos += 3;
+                return [String.fromCharCode(code)];
+            }
+            case 0x09: { // Entity reference
+                const start = cursor.pos;
+                cursor.pos++;
+                const offset = this.view.getUint32(cursor.pos, true);
+                cursor.pos += 4;
+                const entity = this.readName(cursor, offset, start);
+                const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+                return [entities[entity] !== undefined ? entities[entity] : `&${entity};`];
+            }
+            default: { // Normal (0x0d) or optional (0x0e) substitution: token, substitution id, value type
+                const id = this.view.getUint16(cursor.pos + 1, true);
+                cursor.pos += 4;
+                const value = values ? values[id] : undefined;
+                if (value === undefined || value === null || value === '') return [];
+                return Array.isArray(value) ? value : [String(value)];
+            }
+        }
+    }
+
+    // A template instance names a template definition and supplies the values for its substitutions
+    readTemplateInstance(cursor) {
+        // Token, unknown byte, template id (4), then the chunk offset of the definition
+        const definitionOffset = this.view.getUint32(cursor.pos + 6, true);
+        cursor.pos += 10;
+
+        // Definition: next template offset (4), GUID (16), data size (4), then the BinXML fragment
+        const definitionStart = this.chunk + definitionOffset;
+        const dataSize = this.view.getUint32(definitionStart + 20, true);
+        if (!this.templates.has(definitionOffset)) {
+            this.templates.set(definitionOffset, { start: definitionStart + 24, end: definitionStart + 24 + dataSize });
+        }
+        // The first record using a template carries the definition inline, right here
+        if (definitionStart === cursor.pos) cursor.pos = definitionStart + 24 + dataSize;
+
+        const count = this.view.getUint32(cursor.pos, true);
+        cursor.pos += 4;
+        const descriptors = [];
+        for (let i = 0; i < count; i++) {
+            descriptors.push({ size: this.view.getUint16(cursor.pos, true), type: this.bytes[cursor.pos + 2] });
+            cursor.pos += 4;
+        }
+        const values = descriptors.map(descriptor => {
+            const value = this.readValue(cursor.pos, descriptor.size, descriptor.type);
+            cursor.pos += descriptor.size;
+            return value;
+        });
+
+        const template = this.templates.get(definitionOffset);
+        return this.readNodes({ pos: template.start }, template.end, values, false);
+    }
+
+    // Names are stored once per chunk: next offset (4), hash (2), character count (2), UTF-16 characters, null
+    readName(cursor, nameOffset, nodeStart) {
+        const start = this.chunk + nameOffset;
+        const count = this.view.getUint16(start + 6, true);
+        if (!this.names.has(nameOffset)) this.names.set(nameOffset, this.utf16(start + 8, count * 2));
+        // A name stored after the node that references it is inline, so the cursor has to skip it
+        if (nameOffset > nodeStart - this.chunk && start === cursor.pos) cursor.pos = start + 10 + count * 2;
+        return this.names.get(nameOffset);
+    }
+
+    // Decodes a substitution value into the text Windows would render in the event XML
+    readValue(pos, size, type) {
+        const view = this.view;
+        const hex = (value, digits) => '0x' + value.toString(16).padStart(digits || 0, '0');
+        switch (type) {
+            case 0x00: return null;
+            case 0x01: return this.utf16(pos, size).replace(/\0+$/, '');
+            case 0x02: return this.ascii(pos, size).replace(/\0+$/, '');
+            case 0x03: return view.getInt8(pos);
+            case 0x04: return view.getUint8(pos);
+            case 0x05: return view.getInt16(pos, true);
+            case 0x06: return view.getUint16(pos, true);
+            case 0x07: return view.getInt32(pos, true);
+            case 0x08: return view.getUint32(pos, true);
+            case 0x09: return this.bigToNumber(view.getBigInt64(pos, true));
+            case 0x0a: return this.bigToNumber(view.getBigUint64(pos, true));
+            case 0x0b: return view.getFloat32(pos, true);
+            case 0x0c: return view.getFloat64(pos, true);
+            case 0x0d: return view.getUint32(pos, true) !== 0 ? 'true' : 'false';
+            case 0x0e: return this.hexBytes(pos, size);
+            case 0x0f: return this.guid(pos);
+            case 0x10: return size === 8 ? hex(view.getBigUint64(pos, true), 16) : hex(view.getUint32(pos, true), 8);
+            case 0x11: return this.filetime(pos);
+            case 0x12: return this.systemtime(pos);
+            case 0x13: return this.sid(pos);
+            case 0x14: return hex(view.getUint32(pos, true));
+            case 0x15: return hex(view.getBigUint64(pos, true));
+            case 0x21: return this.readNodes({ pos }, pos + size, null, false); // Nested BinXML, e.g. UserData
+            case 0x81: return this.utf16(pos, size).split('\0').filter(Boolean).join(', ');
+            default: return this.hexBytes(pos, size);
+        }
+    }
+
+    utf16(pos, length) {
+        let text = '';
+        for (let i = 0; i + 1 < length; i += 2) text += String.fromCharCode(this.view.getUint16(pos + i, true));
+        return text;
+    }
+
+    ascii(pos, length) {
+        return String.fromCharCode(...this.bytes.subarray(pos, pos + length));
+    }
+
+    hexBytes(pos, length) {
+        return Array.from(this.bytes.subarray(pos, pos + length), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    bigToNumber(value) {
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value.toString();
+    }
+
+    guid(pos) {
+        const view = this.view;
+        const part = (value, digits) => value.toString(16).padStart(digits, '0');
+        const tail = this.hexBytes(pos + 8, 8);
+        return `{${part(view.getUint32(pos, true), 8)}-${part(view.getUint16(pos + 4, true), 4)}-${part(view.getUint16(pos + 6, true), 4)}-${tail.slice(0, 4)}-${tail.slice(4)}}`.toUpperCase();
+    }
+
+    // FILETIME: 100 ns intervals since 1601-01-01
+    filetime(pos) {
+        const ticks = this.view.getBigUint64(pos, true);
+        if (ticks === 0n) return null;
+        const ms = Number((ticks - 116444736000000000n) / 10000n);
+        const fraction = String(ticks % 10000000n).padStart(7, '0');
+        return new Date(ms).toISOString().replace(/\.\d{3}Z$/, `.${fraction}Z`);
+    }
+
+    systemtime(pos) {
+        const view = this.view;
+        const date = Date.UTC(view.getUint16(pos, true), view.getUint16(pos + 2, true) - 1, view.getUint16(pos + 6, true),
+            view.getUint16(pos + 8, true), view.getUint16(pos + 10, true), view.getUint16(pos + 12, true), view.getUint16(pos + 14, true));
+        return new Date(date).toISOString();
+    }
+
+    sid(pos) {
+        const revision = this.bytes[pos];
+        const subCount = this.bytes[pos + 1];
+        let authority = 0;
+        for (let i = 0; i < 6; i++) authority = authority * 256 + this.bytes[pos + 2 + i];
+        const parts = [`S-${revision}-${authority}`];
+        for (let i = 0; i < subCount; i++) parts.push(this.view.getUint32(pos + 8 + i * 4, true));
+        return parts.join('-');
+    }
+}
+
+// Reads event XML as written by wevtutil (bare <Event> elements) or Event Viewer (<Events> root)
+class WindowsEventXmlReader {
+    constructor() {
+        this.errors = [];
+    }
+
+    readEvents(text) {
+        const events = [];
+        const visit = nodes => nodes.forEach(node => {
+            if (typeof node !== 'object') return;
+            if (node.name === 'Event') events.push(flattenWindowsEvent(node));
+            else visit(node.children);
+        });
+        visit(this.parse(text));
+        return events;
+    }
+
+    // Minimal XML tokenizer: enough for event exports (elements, attributes, text, CDATA, comments)
+    parse(text) {
+        const root = { name: '#document', attributes: {}, children: [] };
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match[1] !== undefined) {
+                current.children.push(match[1]);
+            } else if (match[2] !== undefined) {
+                const name = this.localName(match[2]);
+                // Close up to the matching element so one malformed tag doesn't swallow the rest of the file
+                const index = stack.map(element => element.name).lastIndexOf(name);
+                if (index > 0) stack.length = index;
+                else this.errors.push({ offset: match.index, message: `Unmatched closing tag </${name}>` });
+            } else if (match[3] !== undefined) {
+                const element = { name: this.localName(match[3]), attributes: this.parseAttributes(match[4] || ''), children: [] };
+                current.children.push(element);
+                if (!match[5]) stack.push(element);
+            } else if (match[6] !== undefined) {
+                if (match[6].trim()) current.children.push(this.decodeEntities(match[6]));
+            }
+        }
+        if (stack.length > 1) this.errors.push({ offset: text.length, message: `Unclosed element <${stack[stack.length - 1].name}>` });
+        return root.children;
+    }
+
+    parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            attributes[this.localName(match[1])] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attributes;
+    }
+
+    localName(name) {
+        return name.includes(':') ? name.split(':').pop() : name;
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+            if (code[0] === '#') return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code.toLowerCase()];
+        });
+    }
+}
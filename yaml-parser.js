@@ -0,0 +1,339 @@
+// YAML Parser - the subset of YAML that Sigma rules are written in
+// Supports block mappings and sequences, flow sequences/mappings of scalars, plain and quoted scalars,
+// literal (|) and folded (>) block scalars, comments and multiple documents separated by "---".
+// Anchors, aliases, tags and complex keys are not supported.
+
+// Returns one value per document in the text
+function parseYamlDocuments(text) {
+    const documents = [];
+    let current = [];
+    String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+        if (/^---(\s|$)/.test(line)) {
+            documents.push(current);
+            current = [];
+        } else if (/^\.\.\.\s*$/.test(line)) {
+            documents.push(current);
+            current = [];
+        } else {
+            current.push(line);
+        }
+    });
+    documents.push(current);
+    return documents
+        .filter(lines => lines.some(line => line.trim() && !line.trim().startsWith('#')))
+        .map(lines => new YamlParser(lines).parse());
+}
+
+class YamlParser {
+    constructor(lines) {
+        this.lines = lines;
+        this.index = 0;
+    }
+
+    parse() {
+        const value = this.parseNode(0);
+        this.skipBlank();
+        if (this.index < this.lines.length) this.fail('Unexpected content');
+        return value;
+    }
+
+    // --- Line helpers ---
+
+    skipBlank() {
+        while (this.index < this.lines.length && this.stripComment(this.lines[this.index]).trim() === '') this.index++;
+    }
+
+    indentOf(line) {
+        const match = line.match(/^ */);
+        return match[0].length;
+    }
+
+    // Removes a trailing comment; "#" only starts a comment at the line start or after whitespace, outside quotes
+    stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                if (i === 0 || /[\s\[{,:-]/.test(line[i - 1])) quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i).replace(/\s+$/, '');
+            }
+        }
+        return line.replace(/\s+$/, '');
+    }
+
+    fail(message) {
+        throw new Error(`YAML line ${this.index + 1}: ${message}`);
+    }
+
+    // --- Block structure ---
+
+    // Parses whatever block starts at the next non-blank line, provided it is indented at least minIndent
+    parseNode(minIndent) {
+        this.skipBlank();
+        if (this.index >= this.lines.length) return null;
+        const line = this.stripComment(this.lines[this.index]);
+        const indent = this.indentOf(line);
+        if (indent < minIndent) return null;
+        const content = line.slice(indent);
+
+        if (/^-(\s|$)/.test(content)) return this.parseSequence(indent);
+        if (this.splitKey(content)) return this.parseMapping(indent);
+
+        // A plain or quoted scalar on its own, possibly continued on more indented lines
+        this.index++;
+        return this.parseInlineValue(this.continuePlain(content, indent - 1), indent - 1);
+    }
+
+    parseMapping(indent) {
+        const mapping = {};
+        while (true) {
+            this.skipBlank();
+            if (this.index >= this.lines.length) break;
+            const line = this.stripComment(this.lines[this.index]);
+            const lineIndent = this.indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) this.fail('Bad indentation');
+            const content = line.slice(indent);
+            if (/^-(\s|$)/.test(content)) break;
+
+            const entry = this.splitKey(content);
+            if (!entry) this.fail(`Expected "key: value" but found "${content}"`);
+            this.index++;
+            mapping[entry.key] = this.parseValueAfterKey(entry.rest, indent);
+        }
+        return mapping;
+    }
+
+    parseSequence(indent) {
+        const sequence = [];
+        while (true) {
+            this.skipBlank();
+            if (this.index >= this.lines.length) break;
+            const line = this.stripComment(this.lines[this.index]);
+            const lineIndent = this.indentOf(line);
+            if (lineIndent !== indent || !/^-(\s|$)/.test(line.slice(indent))) {
+                if (lineIndent > indent) this.fail('Bad indentation');
+                break;
+            }
+
+            const rest = line.slice(indent + 1);
+            const itemContent = rest.trim();
+            if (itemContent === '') {
+                this.index++;
+                sequence.push(this.parseNode(indent + 1));
+            } else if (/^-(\s|$)/.test(itemContent) || this.splitKey(itemContent)) {
+                // "- key: value" or "- - item": re-read the item as a block indented to where its content starts
+                const itemIndent = indent + 1 + (rest.length - rest.trimStart().length);
+                this.lines[this.index] = ' '.repeat(itemIndent) + itemContent;
+                sequence.push(this.parseNode(itemIndent));
+            } else {
+                this.index++;
+                sequence.push(this.parseValueAfterKey(itemContent, indent));
+            }
+        }
+        return sequence;
+    }
+
+    // Value that follows "key:" or "- " on the same line; parentIndent is the indentation of that line
+    parseValueAfterKey(rest, parentIndent) {
+        const value = rest.trim();
+        if (value === '') {
+            this.skipBlank();
+            if (this.index >= this.lines.length) return null;
+            const next = this.stripComment(this.lines[this.index]);
+            const nextIndent = this.indentOf(next);
+            // A sequence may sit at the same indentation as its parent key
+            if (nextIndent === parentIndent && /^-(\s|$)/.test(next.slice(nextIndent))) return this.parseSequence(nextIndent);
+            return nextIndent > parentIndent ? this.parseNode(parentIndent + 1) : null;
+        }
+        if (/^[|>][+-]?\d*$/.test(value)) return this.parseBlockScalar(value, parentIndent);
+        return this.parseInlineValue(this.continuePlain(value, parentIndent), parentIndent);
+    }
+
+    // Plain scalars may wrap onto following, more indented lines; flow collections may span lines until closed
+    continuePlain(value, parentIndent) {
+        if (/^[\[{]/.test(value)) {
+            while (!this.flowClosed(value) && this.index < this.lines.length) {
+                value += ' ' + this.stripComment(this.lines[this.index]).trim();
+                this.index++;
+            }
+            return value;
+        }
+        if (/^["']/.test(value)) {
+            const quote = value[0];
+            while (!this.quoteClosed(value, quote) && this.index < this.lines.length) {
+                value += ' ' + this.lines[this.index].trim();
+                this.index++;
+            }
+            return value;
+        }
+        while (this.index < this.lines.length) {
+            const line = this.stripComment(this.lines[this.index]);
+            if (line.trim() === '' || this.indentOf(line) <= parentIndent) break;
+            const content = line.trim();
+            if (/^-(\s|$)/.test(content) || this.splitKey(content)) break;
+            value += ' ' + content;
+            this.index++;
+        }
+        return value;
+    }
+
+    flowClosed(value) {
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < value.length; i++) {
+            const ch = value[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") quote = ch;
+            else if (ch === '[' || ch === '{') depth++;
+            else if (ch === ']' || ch === '}') depth--;
+        }
+        return depth <= 0;
+    }
+
+    quoteClosed(value, quote) {
+        for (let i = 1; i < value.length; i++) {
+            if (quote === '"' && value[i] === '\\') i++;
+            else if (value[i] === quote) {
+                if (quote === "'" && value[i + 1] === "'") i++;
+                else return true;
+            }
+        }
+        return false;
+    }
+
+    // Literal (|) keeps line breaks, folded (>) joins lines with spaces; "-" strips and "+" keeps the final newline
+    parseBlockScalar(header, parentIndent) {
+        const folded = header[0] === '>';
+        const chomping = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+        const explicitIndent = parseInt(header.replace(/[^\d]/g, ''), 10);
+        const raw = [];
+        let blockIndent = isNaN(explicitIndent) ? null : parentIndent + explicitIndent;
+
+        while (this.index < this.lines.length) {
+            const line = this.lines[this.index];
+            if (line.trim() === '') {
+                raw.push('');
+                this.index++;
+                continue;
+            }
+            const indent = this.indentOf(line);
+            if (blockIndent === null) blockIndent = indent;
+            if (indent < blockIndent || indent <= parentIndent) break;
+            raw.push(line.slice(blockIndent));
+            this.index++;
+        }
+
+        let trailing = 0;
+        while (raw.length > 0 && raw[raw.length - 1] === '') {
+            raw.pop();
+            trailing++;
+        }
+        let text;
+        if (folded) {
+            text = raw.reduce((result, line, i) => {
+                if (i === 0) return line;
+                if (line === '' || /^\s/.test(line)) return result + '\n' + line;
+                return result + (result.endsWith('\n') ? '' : ' ') + line;
+            }, '');
+        } else {
+            text = raw.join('\n');
+        }
+        if (chomping === 'strip' || raw.length === 0) return text;
+        return text + (chomping === 'keep' ? '\n'.repeat(trailing + 1) : '\n');
+    }
+
+    // Splits "key: rest" (the colon must be followed by a space or end the line); returns null when the text is not a mapping entry
+    splitKey(content) {
+        if (/^["']/.test(content)) {
+            const quote = content[0];
+            let i = 1;
+            for (; i < content.length; i++) {
+                if (quote === '"' && content[i] === '\\') i++;
+                else if (content[i] === quote) {
+                    if (quote === "'" && content[i + 1] === "'") i++;
+                    else break;
+                }
+            }
+            const after = content.slice(i + 1);
+            const match = after.match(/^\s*:(\s+|$)/);
+            if (!match) return null;
+            return { key: this.parseScalar(content.slice(0, i + 1)), rest: after.slice(match[0].length) };
+        }
+        if (/^[\[{]/.test(content)) return null;
+        const match = content.match(/^([^#]*?)\s*:(\s+|$)/);
+        if (!match || match[1] === '') return null;
+        return { key: match[1], rest: content.slice(match[0].length) };
+    }
+
+    // --- Scalars and flow collections ---
+
+    parseInlineValue(text, parentIndent) {
+        const value = text.trim();
+        if (value.startsWith('[') || value.startsWith('{')) return this.parseFlow(value);
+        return this.parseScalar(value);
+    }
+
+    parseFlow(text) {
+        const open = text[0];
+        const close = open === '[' ? ']' : '}';
+        const inner = text.slice(1, text.lastIndexOf(close)).trim();
+        const items = inner === '' ? [] : this.splitFlow(inner);
+        if (open === '[') return items.map(item => /^[\[{]/.test(item) ? this.parseFlow(item) : this.parseScalar(item));
+
+        const mapping = {};
+        items.forEach(item => {
+            const entry = this.splitKey(item) || { key: item, rest: '' };
+            const rest = entry.rest.trim();
+            mapping[typeof entry.key === 'string' ? entry.key : String(entry.key)] = /^[\[{]/.test(rest) ? this.parseFlow(rest) : this.parseScalar(rest);
+        });
+        return mapping;
+    }
+
+    // Splits flow collection content on top-level commas
+    splitFlow(text) {
+        const items = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") quote = ch;
+            else if (ch === '[' || ch === '{') depth++;
+            else if (ch === ']' || ch === '}') depth--;
+            else if (ch === ',' && depth === 0) {
+                items.push(text.slice(start, i).trim());
+                start = i + 1;
+            }
+        }
+        const last = text.slice(start).trim();
+        if (last !== '') items.push(last);
+        return items;
+    }
+
+    // Hex values such as GrantedAccess 0x1410 stay strings so they compare as written
+    parseScalar(text) {
+        const value = text.trim();
+        if (value.startsWith('"')) {
+            return value.slice(1, value.lastIndexOf('"')).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (escape, code) => {
+                if (code[0] === 'u' || code[0] === 'x') return String.fromCharCode(parseInt(code.slice(1), 16));
+                return { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' }[code] ?? code;
+            });
+        }
+        if (value.startsWith("'")) return value.slice(1, value.lastIndexOf("'")).replace(/''/g, "'");
+        if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+        if (/^[-+]?\d+$/.test(value)) return parseInt(value, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+        return value;
+    }
+}